@@ -0,0 +1,513 @@
+/**
+ * app-lock.js - 应用锁
+ * 职责：启动时及闲置、切换页面后要求输入密码；锁定期间模糊整个界面，防止旁人看到内容
+ *
+ * 应用锁只遮挡界面，不加密数据（加密见 encryption.js）。密码只保存 PBKDF2 校验值。
+ */
+
+const DiaryAppLock = (function() {
+  'use strict';
+
+  // 密码类型
+  const TYPES = {
+    PIN: 'pin',           // 4-8 位数字
+    PASSWORD: 'password'  // 任意字符，至少 4 个
+  };
+
+  // 自动锁定选项（分钟，0 表示不自动锁定）
+  const AUTO_LOCK_OPTIONS = [0, 1, 5, 15, 30];
+  const DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+  const PIN_PATTERN = /^\d{4,8}$/;
+  const MIN_PASSWORD_LENGTH = 4;
+
+  // 连续输错后暂停输入
+  const MAX_ATTEMPTS = 5;
+  const COOLDOWN_MS = 30 * 1000;
+
+  // 闲置检查间隔；记录用户操作的事件
+  const IDLE_CHECK_INTERVAL = 10 * 1000;
+  const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+
+  let lockScreen = null;
+  let inertElements = [];  // 锁定时设为 inert 的元素（解锁时只恢复这些）
+  let settingsOverlay = null;
+  let lastActivity = Date.now();
+  let idleTimer = null;
+  let failedAttempts = 0;
+  let cooldownUntil = 0;
+
+  /**
+   * 是否已启用应用锁
+   * @returns {boolean}
+   */
+  function isEnabled() {
+    return !!DiaryStorage.getAppLock();
+  }
+
+  /**
+   * 当前是否处于锁定状态
+   * @returns {boolean}
+   */
+  function isLocked() {
+    return lockScreen !== null;
+  }
+
+  /**
+   * 校验新密码
+   * @param {string} type - TYPES 中的值
+   * @param {string} code
+   * @param {string} confirmation - 再次输入的密码
+   * @returns {string|null} 错误提示，通过时返回 null
+   */
+  function validateCode(type, code, confirmation) {
+    if (type === TYPES.PIN && !PIN_PATTERN.test(code)) {
+      return '数字密码为 4-8 位数字';
+    }
+    if (type === TYPES.PASSWORD && code.length < MIN_PASSWORD_LENGTH) {
+      return `密码至少需要 ${MIN_PASSWORD_LENGTH} 个字符`;
+    }
+    if (code !== confirmation) {
+      return '两次输入的密码不一致';
+    }
+    return null;
+  }
+
+  /**
+   * ========================================
+   * 锁定界面
+   * ========================================
+   */
+
+  /**
+   * 锁定应用
+   * @param {Function} [onUnlocked] - 解锁后的回调（启动时用于继续渲染）
+   */
+  function lock(onUnlocked) {
+    const config = DiaryStorage.getAppLock();
+    if (!config || lockScreen) return;
+
+    const isPin = config.type === TYPES.PIN;
+
+    lockScreen = document.createElement('div');
+    lockScreen.className = 'app-lock-screen';
+    lockScreen.id = 'appLockScreen';
+
+    lockScreen.innerHTML = `
+      <form class="unlock-card app-lock-card" autocomplete="off">
+        <h2 class="unlock-title">已锁定</h2>
+        <p class="unlock-text">输入${isPin ? '数字密码' : '密码'}继续</p>
+        <input type="password" class="unlock-input" id="appLockInput"
+               ${isPin ? 'inputmode="numeric" pattern="[0-9]*"' : ''}
+               placeholder="${isPin ? '数字密码' : '密码'}" aria-label="密码" autocomplete="off">
+        <p class="unlock-error" aria-live="polite"></p>
+        <button type="submit" class="unlock-btn">解锁</button>
+      </form>
+    `;
+
+    const form = lockScreen.querySelector('form');
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      attemptUnlock(onUnlocked);
+    });
+
+    // 模糊并禁用其余界面（包括已打开的编辑器与弹窗）
+    // 原本就是 inert 的元素不记录，解锁后保持不变
+    inertElements = Array.from(document.body.children)
+      .filter(el => el.tagName !== 'SCRIPT' && !el.inert);
+    inertElements.forEach(el => {
+      el.inert = true;
+    });
+    document.body.classList.add('app-locked');
+    document.addEventListener('keydown', blockShortcuts, true);
+
+    document.body.appendChild(lockScreen);
+    lockScreen.querySelector('#appLockInput').focus();
+
+    console.log('🔒 应用已锁定');
+  }
+
+  /**
+   * 校验输入的密码并解锁
+   * @param {Function} [onUnlocked]
+   * @returns {Promise<void>}
+   */
+  async function attemptUnlock(onUnlocked) {
+    const screen = lockScreen;
+    const config = DiaryStorage.getAppLock();
+    if (!screen) return;
+
+    const input = screen.querySelector('#appLockInput');
+    const errorEl = screen.querySelector('.unlock-error');
+    const submitBtn = screen.querySelector('.unlock-btn');
+
+    if (Date.now() < cooldownUntil) {
+      errorEl.textContent = `尝试次数过多，请 ${Math.ceil((cooldownUntil - Date.now()) / 1000)} 秒后再试`;
+      return;
+    }
+    if (!input.value) return;
+
+    submitBtn.disabled = true;
+    const ok = !config || await DiaryCrypto.verifySecret(input.value, config);
+    submitBtn.disabled = false;
+
+    if (!ok) {
+      failedAttempts++;
+      if (failedAttempts >= MAX_ATTEMPTS) {
+        failedAttempts = 0;
+        cooldownUntil = Date.now() + COOLDOWN_MS;
+        errorEl.textContent = `尝试次数过多，请 ${COOLDOWN_MS / 1000} 秒后再试`;
+      } else {
+        errorEl.textContent = '密码不正确';
+      }
+      input.value = '';
+      input.focus();
+      return;
+    }
+
+    failedAttempts = 0;
+    unlock();
+    if (onUnlocked) onUnlocked();
+  }
+
+  /**
+   * 解除锁定
+   */
+  function unlock() {
+    if (!lockScreen) return;
+
+    lockScreen.remove();
+    lockScreen = null;
+
+    inertElements.forEach(el => {
+      el.inert = false;
+    });
+    inertElements = [];
+    document.body.classList.remove('app-locked');
+    document.removeEventListener('keydown', blockShortcuts, true);
+
+    lastActivity = Date.now();
+    console.log('🔓 应用已解锁');
+  }
+
+  /**
+   * 锁定期间拦截键盘快捷键（Esc、Ctrl+S 等），只允许在密码框中输入
+   * @param {KeyboardEvent} event
+   */
+  function blockShortcuts(event) {
+    if (!lockScreen || !lockScreen.contains(event.target)) {
+      event.preventDefault();
+    }
+    event.stopPropagation();
+  }
+
+  /**
+   * ========================================
+   * 自动锁定
+   * ========================================
+   */
+
+  /**
+   * 开始监听闲置与页面切换（应用启动后调用一次）
+   */
+  function startAutoLock() {
+    if (idleTimer) return;
+
+    const markActive = () => {
+      lastActivity = Date.now();
+    };
+    ACTIVITY_EVENTS.forEach(type => {
+      document.addEventListener(type, markActive, { passive: true, capture: true });
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      const config = DiaryStorage.getAppLock();
+      if (!config) return;
+
+      if (document.visibilityState === 'hidden') {
+        if (config.lockOnHide) lock();
+      } else {
+        // 页面隐藏期间计时器可能被暂停，回来时补做一次检查
+        checkIdle();
+      }
+    });
+
+    idleTimer = setInterval(checkIdle, IDLE_CHECK_INTERVAL);
+  }
+
+  /**
+   * 闲置超过设定时间后锁定
+   */
+  function checkIdle() {
+    const config = DiaryStorage.getAppLock();
+    if (!config || !config.autoLockMinutes || lockScreen) return;
+
+    if (Date.now() - lastActivity >= config.autoLockMinutes * 60 * 1000) {
+      lock();
+    }
+  }
+
+  /**
+   * ========================================
+   * 设置面板
+   * ========================================
+   */
+
+  /**
+   * 打开应用锁设置
+   */
+  function openSettings() {
+    if (settingsOverlay) close();
+
+    const config = DiaryStorage.getAppLock();
+
+    settingsOverlay = document.createElement('div');
+    settingsOverlay.className = 'editor-overlay app-lock-overlay active';
+    settingsOverlay.id = 'appLockOverlay';
+
+    settingsOverlay.innerHTML = `
+      <form class="editor-container app-lock-container" autocomplete="off">
+        <div class="editor-header">
+          <button type="button" class="btn-close" data-action="close" aria-label="关闭">×</button>
+          <span class="settings-panel-title">应用锁</span>
+        </div>
+        ${DiaryCrypto.isSupported() ? generateSettingsHTML(config) : `
+          <div class="settings-panel-body">
+            <p class="settings-panel-text">当前环境不支持应用锁。请通过 https 或 localhost 打开应用后再试。</p>
+          </div>
+        `}
+      </form>
+    `;
+
+    const form = settingsOverlay.querySelector('form');
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      handleSettingsAction(config ? 'change' : 'enable');
+    });
+
+    // 类型切换时调整输入框
+    form.addEventListener('change', (event) => {
+      const target = event.target;
+
+      if (target.name === 'type') {
+        updateCodeInputs(target.value);
+      } else if (config && (target.name === 'autoLockMinutes' || target.name === 'lockOnHide')) {
+        // 已启用时，自动锁定选项修改后立即生效
+        DiaryStorage.setAppLock({ ...DiaryStorage.getAppLock(), ...readAutoLockOptions() });
+      }
+    });
+
+    settingsOverlay.addEventListener('click', (event) => {
+      if (event.target === settingsOverlay) {
+        close();
+        return;
+      }
+
+      const btn = event.target.closest('[data-action]');
+      if (!btn || btn.disabled) return;
+
+      if (btn.dataset.action === 'close') {
+        close();
+      } else if (btn.dataset.action === 'disable') {
+        handleSettingsAction('disable');
+      } else if (btn.dataset.action === 'lock-now') {
+        close();
+        lock();
+      }
+    });
+
+    document.addEventListener('keydown', handleKeydown);
+    document.body.appendChild(settingsOverlay);
+
+    updateCodeInputs(config ? config.type : TYPES.PIN);
+  }
+
+  /**
+   * 关闭设置面板
+   */
+  function close() {
+    if (!settingsOverlay) return;
+
+    settingsOverlay.remove();
+    settingsOverlay = null;
+    document.removeEventListener('keydown', handleKeydown);
+  }
+
+  /**
+   * Esc 关闭设置面板
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (event.key === 'Escape') {
+      close();
+    }
+  }
+
+  /**
+   * 生成设置面板内容
+   * @param {object|null} config - 当前设置
+   * @returns {string} HTML 字符串
+   */
+  function generateSettingsHTML(config) {
+    const type = config ? config.type : TYPES.PIN;
+
+    const typeHTML = `
+      <div class="app-lock-types" role="radiogroup" aria-label="密码类型">
+        <label class="app-lock-type">
+          <input type="radio" name="type" value="${TYPES.PIN}" ${type === TYPES.PIN ? 'checked' : ''}> 数字密码
+        </label>
+        <label class="app-lock-type">
+          <input type="radio" name="type" value="${TYPES.PASSWORD}" ${type === TYPES.PASSWORD ? 'checked' : ''}> 文字密码
+        </label>
+      </div>
+    `;
+
+    if (!config) {
+      return `
+        <div class="settings-panel-body">
+          <p class="settings-panel-text">
+            打开应用、闲置一段时间或切换到其他页面后，需要输入密码才能查看日记。应用锁只遮挡界面，不加密数据。
+          </p>
+          ${typeHTML}
+          <input type="password" class="settings-panel-input" name="next" autocomplete="new-password">
+          <input type="password" class="settings-panel-input" name="confirm" placeholder="再次输入密码" autocomplete="new-password">
+          ${generateAutoLockHTML({ autoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES, lockOnHide: false })}
+          <p class="settings-panel-error" aria-live="polite"></p>
+        </div>
+        <div class="editor-footer">
+          <span></span>
+          <button type="submit" class="btn-save">启用应用锁</button>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="settings-panel-body">
+        ${generateAutoLockHTML(config)}
+        <p class="app-lock-section-title">修改密码</p>
+        <input type="password" class="settings-panel-input" name="current" placeholder="当前密码" autocomplete="current-password">
+        ${typeHTML}
+        <input type="password" class="settings-panel-input" name="next" autocomplete="new-password">
+        <input type="password" class="settings-panel-input" name="confirm" placeholder="再次输入新密码" autocomplete="new-password">
+        <p class="settings-panel-error" aria-live="polite"></p>
+      </div>
+      <div class="editor-footer">
+        <button type="button" class="btn-delete" data-action="disable">关闭应用锁</button>
+        <span class="app-lock-footer-actions">
+          <button type="button" class="btn-delete" data-action="lock-now">立即锁定</button>
+          <button type="submit" class="btn-save">修改密码</button>
+        </span>
+      </div>
+    `;
+  }
+
+  /**
+   * 生成自动锁定选项
+   * @param {object} options - { autoLockMinutes, lockOnHide }
+   * @returns {string} HTML 字符串
+   */
+  function generateAutoLockHTML({ autoLockMinutes, lockOnHide }) {
+    return `
+      <label class="app-lock-row">
+        <span>自动锁定</span>
+        <select class="app-lock-select" name="autoLockMinutes">
+          ${AUTO_LOCK_OPTIONS.map(minutes => `
+            <option value="${minutes}" ${minutes === autoLockMinutes ? 'selected' : ''}>
+              ${minutes === 0 ? '从不' : `闲置 ${minutes} 分钟后`}
+            </option>
+          `).join('')}
+        </select>
+      </label>
+      <label class="app-lock-row">
+        <span>切换到其他页面时锁定</span>
+        <input type="checkbox" name="lockOnHide" ${lockOnHide ? 'checked' : ''}>
+      </label>
+    `;
+  }
+
+  /**
+   * 按密码类型调整新密码输入框
+   * @param {string} type
+   */
+  function updateCodeInputs(type) {
+    if (!settingsOverlay) return;
+
+    const isPin = type === TYPES.PIN;
+    settingsOverlay.querySelectorAll('[name="next"], [name="confirm"]').forEach(input => {
+      input.inputMode = isPin ? 'numeric' : 'text';
+    });
+
+    const next = settingsOverlay.querySelector('[name="next"]');
+    if (next) {
+      next.placeholder = isPin ? '4-8 位数字' : `密码（至少 ${MIN_PASSWORD_LENGTH} 个字符）`;
+    }
+  }
+
+  /**
+   * 读取面板中的自动锁定选项
+   * @returns {object} { autoLockMinutes, lockOnHide }
+   */
+  function readAutoLockOptions() {
+    return {
+      autoLockMinutes: parseInt(settingsOverlay.querySelector('[name="autoLockMinutes"]').value, 10) || 0,
+      lockOnHide: settingsOverlay.querySelector('[name="lockOnHide"]').checked
+    };
+  }
+
+  /**
+   * 执行设置操作
+   * @param {string} action - 'enable' | 'change' | 'disable'
+   * @returns {Promise<void>}
+   */
+  async function handleSettingsAction(action) {
+    const panel = settingsOverlay;
+    if (!panel) return;
+
+    const value = name => (panel.querySelector(`[name="${name}"]`) || {}).value || '';
+    const type = (panel.querySelector('[name="type"]:checked') || {}).value || TYPES.PIN;
+    const errorEl = panel.querySelector('.settings-panel-error');
+    const config = DiaryStorage.getAppLock();
+
+    let error = null;
+    if (action !== 'disable') {
+      error = validateCode(type, value('next'), value('confirm'));
+    }
+    if (!error && action !== 'enable' && !value('current')) {
+      error = '请输入当前密码';
+    }
+    if (error) {
+      errorEl.textContent = error;
+      return;
+    }
+
+    if (action !== 'enable' && !(await DiaryCrypto.verifySecret(value('current'), config))) {
+      errorEl.textContent = '当前密码不正确';
+      return;
+    }
+
+    if (action === 'disable') {
+      DiaryStorage.setAppLock(null);
+      console.log('🔓 已关闭应用锁');
+    } else {
+      DiaryStorage.setAppLock({
+        type,
+        ...(await DiaryCrypto.hashSecret(value('next'))),
+        ...readAutoLockOptions()
+      });
+      console.log(action === 'enable' ? '🔒 已启用应用锁' : '🔒 应用锁密码已修改');
+    }
+
+    close();
+  }
+
+  // 公开接口
+  return {
+    TYPES,
+    isEnabled,
+    isLocked,
+    lock,
+    startAutoLock,
+    openSettings,
+    close
+  };
+})();
@@ -8,10 +8,39 @@ const DiaryApp = (function() {
 
   /**
    * 应用初始化
+   * @returns {Promise<void>}
    */
-  function init() {
+  async function init() {
     console.log('📝 日记应用启动中...');
 
+    // 🆕 初始化存储层（IndexedDB 为异步接口，需先读入数据）
+    await DiaryStorage.init();
+
+    // 🆕 数据损坏：先进入恢复界面，处理完成后再启动
+    if (DiaryStorage.getStatus() === 'corrupt') {
+      DiaryRecovery.show(DiaryStorage.getRecoveryInfo(), start);
+      return;
+    }
+
+    // 🆕 数据已加密：输入口令解锁后再启动（已输入口令，不再要求应用锁密码）
+    if (DiaryStorage.getStatus() === 'locked') {
+      DiaryEncryption.showUnlock(start);
+      return;
+    }
+
+    // 🆕 应用锁：验证密码后再渲染时间轴
+    if (DiaryAppLock.isEnabled()) {
+      DiaryAppLock.lock(start);
+      return;
+    }
+
+    start();
+  }
+
+  /**
+   * 启动界面（存储层就绪后）
+   */
+  function start() {
     // 初始化 UI 元素引用
     DiaryUI.initElements();
 
@@ -33,11 +62,39 @@ const DiaryApp = (function() {
     // 🆕 绑定日期跳转和范围设置按钮
     bindDateJumpButton();
     bindRangeSettingsButton();
+    bindCalendarModeButton();
     bindDateHintClear();
 
+    // 🆕 顶部"更多"菜单
+    bindAppMenuButton();
+
+    // 🆕 全文搜索
+    bindSearchButton();
+
+    // 🆕 每日目标进度
+    DiaryGoals.init();
+
+    // 🆕 编辑器中的附件，并清除没有被记录使用的附件
+    DiaryAttachments.init();
+
+    // 🆕 离线缓存与新版本提示（Service Worker）
+    DiaryOffline.register();
+
+    // 🆕 写作提醒
+    DiaryReminders.init();
+
+    // 🆕 应用锁：闲置或切换页面后自动锁定
+    DiaryAppLock.startAutoLock();
+
+    // 🆕 清除回收站中超过保留期限的记录
+    DiaryStorage.purgeExpiredEntries();
+
     // 🆕 点击外部关闭 popover
     document.addEventListener('click', closeAllPopovers);
 
+    // 🆕 其他标签页修改数据后刷新界面
+    DiaryStorage.subscribe(handleStorageChange);
+
     // 🆕 初始化心理联动（延迟执行，确保 DOM 已渲染）
     setTimeout(() => {
       initPsychologicalSync();
@@ -168,12 +225,120 @@ const DiaryApp = (function() {
    * 刷新时间轴
    */
   function refreshTimeline() {
-    const entries = DiaryStorage.getAllEntries();
-    const timelineData = DiaryModels.groupEntriesByDate(entries);
-    DiaryUI.renderTimeline(timelineData);
+    DiaryUI.renderTimeline(getTimelineData());
 
     // 🆕 同时刷新生命日历（记录可能变化）
     DiaryUI.renderLifeCalendar();
+
+    // 🆕 那年今日
+    DiaryOnThisDay.render();
+  }
+
+  /**
+   * ========================================
+   * 🆕 标签筛选与条件筛选
+   * ========================================
+   */
+
+  // 当前筛选的标签（不含 #），null 表示显示全部记录
+  let activeTag = null;
+
+  // 当前的筛选条件（见 filters.js），null 表示不筛选；与标签筛选同时生效
+  let activeFilter = null;
+
+  /**
+   * 获取时间轴数据（按当前标签与筛选条件过滤），同时更新筛选栏与生命日历
+   * @returns {Array} 按天分组的时间轴数据
+   */
+  function getTimelineData() {
+    let entries = DiaryStorage.getAllEntries();
+    const tags = DiaryModels.collectTags(entries);
+
+    // 标签已不存在（记录被删除或修改）时取消筛选
+    if (activeTag && !tags.some(item => item.tag.toLowerCase() === activeTag.toLowerCase())) {
+      activeTag = null;
+    }
+
+    if (activeTag) {
+      entries = entries.filter(entry => DiaryModels.hasTag(entry, activeTag));
+    }
+
+    entries = DiaryFilters.filterEntries(entries, activeFilter);
+    const timelineData = DiaryModels.groupEntriesByDate(entries);
+
+    DiaryUI.renderTagFilter(tags, activeTag, setTagFilter);
+    DiaryFilters.renderBar(activeFilter, entries.length, setFilter);
+
+    // 标签筛选：高亮含该标签的日子；条件筛选：淡化不符合条件的日子
+    const matchedDates = new Set(timelineData.map(day => day.date));
+    DiaryUI.setCalendarHighlight(activeTag ? matchedDates : null);
+    DiaryUI.setCalendarFilter(DiaryFilters.isActive(activeFilter) ? matchedDates : null);
+
+    return timelineData;
+  }
+
+  /**
+   * 按条件筛选时间轴
+   * @param {object|null} query - 筛选条件，null 取消筛选
+   */
+  function setFilter(query) {
+    activeFilter = DiaryFilters.isActive(query) ? query : null;
+    refreshTimeline();
+  }
+
+  /**
+   * 按标签筛选时间轴
+   * @param {string|null} tag - 标签，null 取消筛选
+   */
+  function setTagFilter(tag) {
+    activeTag = tag || null;
+    refreshTimeline();
+
+    // 回到筛选栏，从头查看筛选结果
+    const bar = document.getElementById('tagFilterBar');
+    if (bar && !bar.hidden) {
+      bar.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }
+
+  /**
+   * 获取当前筛选的标签
+   * @returns {string|null}
+   */
+  function getTagFilter() {
+    return activeTag;
+  }
+
+  /**
+   * 确保记录在时间轴上可见：不符合当前标签或筛选条件时取消筛选（保存后调用）
+   * @param {object} entry - 记录对象
+   */
+  function revealEntry(entry) {
+    if (!entry) return;
+
+    if (activeTag && !DiaryModels.hasTag(entry, activeTag)) {
+      activeTag = null;
+    }
+    if (activeFilter && !DiaryFilters.matchEntry(entry, activeFilter)) {
+      activeFilter = null;
+    }
+  }
+
+  /**
+   * 🆕 处理存储层数据变化（只响应其他标签页的修改，本页修改已各自刷新）
+   * @param {object} change - { source, sections, entryIds }
+   */
+  function handleStorageChange(change) {
+    if (change.source !== 'remote') return;
+
+    // 🆕 其他标签页修改了口令：重新解锁后再刷新
+    if (DiaryStorage.getStatus() === 'locked') {
+      DiaryEncryption.showUnlock(refreshTimeline);
+      return;
+    }
+
+    // refreshTimeline 会同时重绘生命日历
+    refreshTimeline();
   }
 
   /**
@@ -218,10 +383,31 @@ const DiaryApp = (function() {
     const btnSave = document.getElementById('btnSave');
     const btnDelete = document.getElementById('btnDelete');
     const btnClose = document.getElementById('btnClose');
+    const btnHistory = document.getElementById('btnHistory');
 
     if (btnSave) btnSave.addEventListener('click', handleSave);
     if (btnDelete) btnDelete.addEventListener('click', handleDelete);
     if (btnClose) btnClose.addEventListener('click', handleClose);
+    if (btnHistory) btnHistory.addEventListener('click', handleHistory);
+
+    // 🆕 原文 / Markdown 预览切换
+    const btnPreview = document.getElementById('btnPreview');
+    if (btnPreview) {
+      btnPreview.addEventListener('click', () => {
+        const overlay = document.getElementById('editorOverlay');
+        const preview = !overlay.classList.contains('editor-overlay--preview');
+        DiaryUI.setEditorPreview(preview);
+        if (!preview) document.getElementById('editorTextarea').focus();
+      });
+    }
+
+    // 🆕 点击编辑器顶部的天气、日期、时间修改记录
+    const editorWeather = document.getElementById('editorWeather');
+    const editorDate = document.getElementById('editorDate');
+    const editorTime = document.getElementById('editorTime');
+    if (editorWeather) editorWeather.addEventListener('click', toggleEditorWeatherPopover);
+    if (editorDate) editorDate.addEventListener('click', handleEditorDateClick);
+    if (editorTime) editorTime.addEventListener('click', handleEditorTimeClick);
 
     // 遮罩层点击关闭
     const overlay = document.getElementById('editorOverlay');
@@ -264,7 +450,7 @@ const DiaryApp = (function() {
   }
 
   /**
-   * 处理时间轴点击（事件委托：天气选择器 / 记录）
+   * 处理时间轴点击（事件委托：天气选择器 / 标签 / 链接 / 附件 / 记录）
    */
   function handleTimelineClick(event) {
     // 优先处理天气选择器点击
@@ -274,6 +460,29 @@ const DiaryApp = (function() {
       return;
     }
 
+    // 🆕 点击记录上的标签：按标签筛选，而不是打开编辑器
+    const tagBtn = event.target.closest('.entry-tag');
+    if (tagBtn) {
+      setTagFilter(tagBtn.dataset.tag);
+      return;
+    }
+
+    // 🆕 点击 Markdown 链接：在新窗口打开，而不是打开编辑器
+    if (event.target.closest('.markdown-content a')) {
+      return;
+    }
+
+    // 🆕 点击附件：查看图片或下载文件
+    const attachmentBtn = event.target.closest('.entry-attachment');
+    if (attachmentBtn) {
+      const entryId = attachmentBtn.closest('.entry-card').dataset.id;
+      const entry = DiaryStorage.getAllEntries().find(e => e.id === entryId);
+      if (entry) {
+        DiaryAttachments.open(entry.attachments || [], attachmentBtn.dataset.attachmentId);
+      }
+      return;
+    }
+
     // 处理记录点击（新结构使用 .entry-card）
     const entryElement = event.target.closest('.entry-card');
     if (entryElement) {
@@ -315,9 +524,11 @@ const DiaryApp = (function() {
    * @param {HTMLElement} weatherBtn - 天气按钮元素
    */
   function cycleWeather(dateKey, weatherBtn) {
-    const WEATHER_CYCLE = ['', 'sunny', 'cloudy', 'rainy', 'snowy'];
+    // 🆕 与写作入口、编辑器使用同一组天气；空字符串表示不设置（显示由当天记录推算的天气）
+    const WEATHER_CYCLE = ['', ...DiaryModels.WEATHER_OPTIONS.map(option => option.id)];
 
-    const currentWeather = weatherBtn.dataset.weather || '';
+    // 从当天设置的天气开始切换（按钮上可能显示的是推算的天气）
+    const currentWeather = DiaryStorage.getDailyWeather(dateKey);
     const currentIndex = WEATHER_CYCLE.indexOf(currentWeather);
     const nextIndex = (currentIndex + 1) % WEATHER_CYCLE.length;
     const nextWeather = WEATHER_CYCLE[nextIndex];
@@ -326,46 +537,218 @@ const DiaryApp = (function() {
     DiaryStorage.setDailyWeather(dateKey, nextWeather);
 
     // 更新 UI
-    weatherBtn.dataset.weather = nextWeather;
-    weatherBtn.innerHTML = DiaryUI.getWeatherIcon(nextWeather);
+    DiaryUI.updateWeatherSelector(weatherBtn, dateKey);
   }
 
   /**
    * 处理保存
    */
-  function handleSave() {
+  async function handleSave() {
     const overlay = document.getElementById('editorOverlay');
     const textarea = document.getElementById('editorTextarea');
+
+    // 🆕 等待正在处理的附件（期间编辑器可能已关闭或已保存）
+    await DiaryAttachments.whenEditorIdle();
+    if (!overlay.classList.contains('active')) return;
+
     const content = textarea.value.trim();
+    const attachments = DiaryAttachments.getEditorItems();
 
-    if (!content) {
+    if (!content && attachments.length === 0) {
       alert('内容不能为空');
       return;
     }
 
     const editingId = overlay.dataset.editingId;
-    const prefilledDate = overlay.dataset.prefilledDate;
+    // 🆕 在编辑器顶部选择的记录时间，或从日历跳转来的预填日期
+    const customTime = overlay.dataset.customTime ? parseInt(overlay.dataset.customTime) : null;
+    // 🆕 在编辑器顶部选择的天气
+    const weather = overlay.dataset.weather || '';
+    closeEditorWeatherPopover();
+
+    let savedId = editingId;
+    let saved;
 
     if (editingId) {
-      // 更新现有记录
-      DiaryStorage.updateEntry(editingId, content);
+      // 更新现有记录（🆕 修改了时间时一并移动到新的日期）
+      const changes = { weather, attachments };
+      if (customTime) changes.createdAt = customTime;
+      saved = DiaryStorage.updateEntry(editingId, content, changes);
     } else {
       // 创建新记录
       const newEntry = DiaryModels.createEntry(content);
 
-      // 🆕 如果有预填日期（从日历跳转来的），使用预填日期替换当前时间
-      if (prefilledDate) {
-        newEntry.createdAt = parseInt(prefilledDate);
-        newEntry.updatedAt = parseInt(prefilledDate);
-        delete overlay.dataset.prefilledDate;
+      // 🆕 如果选择了时间（或从日历跳转来的预填日期），替换当前时间
+      if (customTime) {
+        newEntry.createdAt = customTime;
+        newEntry.updatedAt = customTime;
+      }
+
+      if (weather) {
+        newEntry.weather = weather;
+      }
+
+      if (attachments.length > 0) {
+        newEntry.attachments = attachments;
       }
 
-      DiaryStorage.addEntry(newEntry);
+      saved = DiaryStorage.addEntry(newEntry);
+      savedId = newEntry.id;
+    }
+
+    // 未能写入（如数据在其他标签页中被锁定）时保留编辑器中的内容
+    if (!saved) {
+      alert('保存失败，内容仍保留在编辑器中，请稍后重试');
+      return;
     }
+    delete overlay.dataset.customTime;
+
+    // 🆕 附件已保存到记录，关闭编辑器时不再删除
+    DiaryAttachments.commitEditor();
+
+    // 🆕 保存的记录不在当前筛选结果中时取消筛选
+    revealEntry(DiaryStorage.getAllEntries().find(e => e.id === savedId));
 
     // 刷新界面
     refreshTimeline();
     DiaryUI.closeEditor();
+
+    // 🆕 修改了记录时间时滚动到新的日期
+    if (customTime) {
+      DiaryUI.scrollToDate(DiaryModels.formatDateKey(new Date(customTime)));
+    }
+  }
+
+  /**
+   * 🆕 编辑器当前显示的记录时间
+   * @returns {number} 时间戳
+   */
+  function getEditorTimestamp() {
+    const overlay = document.getElementById('editorOverlay');
+    if (overlay.dataset.customTime) {
+      return parseInt(overlay.dataset.customTime);
+    }
+
+    const entry = overlay.dataset.editingId
+      ? DiaryStorage.getAllEntries().find(e => e.id === overlay.dataset.editingId)
+      : null;
+    return entry ? entry.createdAt : Date.now();
+  }
+
+  /**
+   * 🆕 修改编辑器中的记录时间（保存时生效）
+   * @param {Date} date
+   */
+  function setEditorTimestamp(date) {
+    const overlay = document.getElementById('editorOverlay');
+    overlay.dataset.customTime = date.getTime();
+    DiaryUI.setEditorTime(date.getTime());
+  }
+
+  // 🆕 编辑器中的天气选择 popover
+  let editorWeatherPopover = null;
+
+  /**
+   * 🆕 打开/关闭编辑器中的天气选择
+   * @param {Event} event
+   */
+  function toggleEditorWeatherPopover(event) {
+    event.stopPropagation();
+
+    if (editorWeatherPopover) {
+      closeEditorWeatherPopover();
+      return;
+    }
+
+    WheelPicker.close();  // 关闭可能打开的日期/时间选择器
+
+    const selected = document.getElementById('editorOverlay').dataset.weather || '';
+    const options = [{ id: '', label: '无' }, ...DiaryModels.WEATHER_OPTIONS];
+
+    const popover = document.createElement('div');
+    popover.className = 'weather-select-popover';
+    popover.id = 'editorWeatherPopover';
+    popover.innerHTML = `
+      <div class="weather-options-grid">
+        ${options.map(option => `
+          <button class="weather-option ${selected === option.id ? 'weather-option--active' : ''}"
+                  data-weather="${option.id}"
+                  title="${option.label}">
+            <span class="weather-option-icon">${option.id ? option.label : '·'}</span>
+          </button>
+        `).join('')}
+      </div>
+    `;
+
+    // 定位：编辑器顶部，显示在按钮下方
+    const rect = event.currentTarget.getBoundingClientRect();
+    popover.style.position = 'fixed';
+    popover.style.top = (rect.bottom + 8) + 'px';
+    popover.style.left = Math.max(8, rect.left - 60) + 'px';
+
+    popover.addEventListener('click', (e) => {
+      const option = e.target.closest('.weather-option');
+      if (option) {
+        DiaryUI.setEditorWeather(option.dataset.weather);
+        closeEditorWeatherPopover();
+      }
+    });
+
+    document.body.appendChild(popover);
+    editorWeatherPopover = popover;
+
+    // 延迟激活动画
+    setTimeout(() => popover.classList.add('active'), 10);
+  }
+
+  /**
+   * 🆕 关闭编辑器中的天气选择
+   */
+  function closeEditorWeatherPopover() {
+    if (editorWeatherPopover) {
+      const popover = editorWeatherPopover;
+      editorWeatherPopover = null;
+      popover.classList.remove('active');
+      setTimeout(() => popover.remove(), 150);
+    }
+  }
+
+  /**
+   * 🆕 点击编辑器日期：选择日期，保留原来的时刻
+   * @param {Event} event
+   */
+  function handleEditorDateClick(event) {
+    event.stopPropagation();
+    const current = new Date(getEditorTimestamp());
+
+    WheelPicker.openDatePicker({
+      value: new Date(current),
+      anchor: event.currentTarget,
+      onConfirm: (date) => {
+        const next = new Date(current);
+        next.setFullYear(date.getFullYear(), date.getMonth(), date.getDate());
+        setEditorTimestamp(next);
+      }
+    });
+  }
+
+  /**
+   * 🆕 点击编辑器时间：选择时刻，保留原来的日期
+   * @param {Event} event
+   */
+  function handleEditorTimeClick(event) {
+    event.stopPropagation();
+    const current = new Date(getEditorTimestamp());
+
+    WheelPicker.openTimePicker({
+      value: { hour: current.getHours(), minute: current.getMinutes() },
+      anchor: event.currentTarget,
+      onConfirm: (time) => {
+        const next = new Date(current);
+        next.setHours(time.hour, time.minute, 0, 0);
+        setEditorTimestamp(next);
+      }
+    });
   }
 
   /**
@@ -386,6 +769,24 @@ const DiaryApp = (function() {
     }
   }
 
+  /**
+   * 🆕 打开历史版本面板
+   */
+  function handleHistory() {
+    const overlay = document.getElementById('editorOverlay');
+    const textarea = document.getElementById('editorTextarea');
+    const editingId = overlay.dataset.editingId;
+    if (!editingId) return;
+
+    DiaryHistory.open(editingId, (content) => {
+      // 恢复后编辑器显示恢复的内容
+      textarea.value = content;
+      textarea.dispatchEvent(new Event('input'));
+      DiaryUI.updateHistoryButton(DiaryStorage.getAllEntries().find(e => e.id === editingId));
+      refreshTimeline();
+    });
+  }
+
   /**
    * 处理关闭
    */
@@ -411,6 +812,7 @@ const DiaryApp = (function() {
     if (event.key === 'Escape') {
       const overlay = document.getElementById('editorOverlay');
       if (overlay && overlay.classList.contains('active')) {
+        closeEditorWeatherPopover();
         DiaryUI.closeEditor();
       }
     }
@@ -986,7 +1388,7 @@ const DiaryApp = (function() {
     infoItem.innerHTML = `
       <div class="context-menu-icon">${getTemplateIcon(milestone.templateId)}</div>
       <div class="context-menu-text">
-        <div class="context-menu-label">${displayLabel}</div>
+        <div class="context-menu-label">${DiaryUI.escapeHTML(displayLabel)}</div>
         <div class="context-menu-description">${typeLabel}</div>
       </div>
     `;
@@ -1248,7 +1650,6 @@ const DiaryApp = (function() {
   function openEditorWithPrefilledDate(dateKey) {
     const overlay = document.getElementById('editorOverlay');
     const textarea = document.getElementById('editorTextarea');
-    const timeDisplay = document.getElementById('editorTime');
     const deleteBtn = document.getElementById('btnDelete');
 
     if (!overlay) return;
@@ -1258,15 +1659,17 @@ const DiaryApp = (function() {
     textarea.value = '';
     deleteBtn.style.display = 'none';
     delete overlay.dataset.editingId;
+    DiaryUI.updateHistoryButton(null);
 
     // 预填日期（转换为该日中午12点的时间戳）
     const targetDate = new Date(dateKey + 'T12:00:00');
     const timestamp = targetDate.getTime();
 
-    timeDisplay.textContent = DiaryModels.formatDate(timestamp);
+    DiaryUI.setEditorTime(timestamp);
+    DiaryUI.setEditorWeather('');
 
-    // 在 overlay 上存储目标日期，保存时使用
-    overlay.dataset.prefilledDate = timestamp;
+    // 在 overlay 上存储目标时间，保存时使用（🆕 与在编辑器中选择的时间共用）
+    overlay.dataset.customTime = timestamp;
 
     // 初始化自动高度并聚焦输入框
     setTimeout(() => {
@@ -1438,8 +1841,11 @@ const DiaryApp = (function() {
     // 获取所有节点
     reviewNodes = getLifeReviewNodes();
 
+    // 🆕 顶部的心情趋势（没有心情记录时为空）
+    const moodTrendHTML = DiaryMoodTrend.generateHTML();
+
     if (reviewNodes.length === 0) {
-      timeline.innerHTML = `
+      timeline.innerHTML = moodTrendHTML + `
         <div class="empty-state" style="padding-top: 120px;">
           <p class="empty-hint">还没有标记任何人生节点</p>
           <p class="empty-hint" style="margin-top: 12px; font-size: 11px; opacity: 0.5;">
@@ -1452,7 +1858,7 @@ const DiaryApp = (function() {
 
     // 生成HTML
     const htmlParts = reviewNodes.map((node, index) => generateReviewNodeHTML(node, index));
-    timeline.innerHTML = htmlParts.join('');
+    timeline.innerHTML = moodTrendHTML + htmlParts.join('');
 
     // 绑定节点点击事件
     const nodeElements = timeline.querySelectorAll('.review-node');
@@ -1710,6 +2116,22 @@ const DiaryApp = (function() {
     updateRangeText();
   }
 
+  /**
+   * 🆕 绑定日历着色切换按钮（有无记录 / 心情）
+   */
+  function bindCalendarModeButton() {
+    const modeBtn = document.getElementById('calendarModeBtn');
+    if (!modeBtn) return;
+
+    modeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const mode = DiaryStorage.getCalendarMode() === 'mood' ? 'records' : 'mood';
+      DiaryStorage.setCalendarMode(mode);
+      DiaryUI.renderLifeCalendar();
+      console.log(`🎨 日历着色：${mode === 'mood' ? '心情' : '记录'}`);
+    });
+  }
+
   /**
    * 更新范围文本显示
    */
@@ -1951,6 +2373,152 @@ const DiaryApp = (function() {
     }
   }
 
+  /**
+   * ========================================
+   * 🆕 全文搜索
+   * ========================================
+   */
+
+  /**
+   * 绑定搜索按钮与快捷键（Ctrl+K / Cmd+K）
+   */
+  function bindSearchButton() {
+    const searchBtn = document.getElementById('btnSearch');
+    if (searchBtn) {
+      searchBtn.addEventListener('click', () => DiarySearch.open());
+    }
+
+    document.addEventListener('keydown', (event) => {
+      if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        DiarySearch.open();
+      }
+    });
+  }
+
+  /**
+   * ========================================
+   * 🆕 顶部"更多"菜单（App Menu）
+   * 新功能入口统一追加到 APP_MENU_ITEMS
+   * ========================================
+   */
+
+  const APP_MENU_ITEMS = [
+    { id: 'export-json', label: '导出备份', desc: '下载完整数据（JSON）', onSelect: () => DiaryBackup.exportJSON() },
+    { id: 'export-json-encrypted', label: '导出加密备份', desc: '用口令保护的 JSON 备份', onSelect: () => DiaryBackup.exportEncryptedJSON() },
+    { id: 'export-markdown', label: '导出 Markdown', desc: '按年月整理的纯文本（ZIP）', onSelect: () => DiaryMarkdownExport.showOptions() },
+    { id: 'import-json', label: '导入备份', desc: '从 JSON 备份合并记录', onSelect: () => DiaryBackup.importJSON(refreshTimeline) },
+    { id: 'import-other', label: '从其他应用导入', desc: 'Day One、Journey、diarium、纯文本', onSelect: () => DiaryImporters.importFiles(refreshTimeline) },
+    { id: 'trash', label: '回收站', desc: '恢复或彻底删除记录', onSelect: () => DiaryTrash.open() },
+    { id: 'encryption', label: '数据加密', desc: '用口令加密保存在本机的日记', onSelect: () => DiaryEncryption.openSettings() },
+    { id: 'app-lock', label: '应用锁', desc: '密码解锁，闲置后自动锁定', onSelect: () => DiaryAppLock.openSettings() },
+    { id: 'stats', label: '数据统计', desc: '书写习惯、连续记录与天气分布', onSelect: () => DiaryStats.open() },
+    { id: 'daily-goal', label: '每日目标', desc: '每天的记录条数或字数，连续达成天数', onSelect: () => DiaryGoals.openSettings() },
+    { id: 'reminders', label: '写作提醒', desc: '每天定时通知，今天写过就不打扰', onSelect: () => DiaryReminders.openSettings() },
+    {
+      id: 'markdown',
+      label: 'Markdown 渲染',
+      desc: () => DiaryStorage.getMarkdownEnabled() ? '已开启，点击关闭' : '按格式显示列表、引用、链接等',
+      onSelect: toggleMarkdown
+    }
+  ];
+
+  let appMenuPopover = null;
+
+  /**
+   * 🆕 开启或关闭 Markdown 渲染
+   */
+  function toggleMarkdown() {
+    DiaryStorage.setMarkdownEnabled(!DiaryStorage.getMarkdownEnabled());
+    refreshTimeline();
+  }
+
+  /**
+   * 绑定"更多"按钮事件
+   */
+  function bindAppMenuButton() {
+    const menuBtn = document.getElementById('btnAppMenu');
+    if (menuBtn) {
+      menuBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleAppMenu(menuBtn);
+      });
+    }
+  }
+
+  /**
+   * 切换"更多"菜单显示状态
+   */
+  function toggleAppMenu(anchorEl) {
+    if (appMenuPopover) {
+      closeAppMenu();
+      return;
+    }
+    showAppMenu(anchorEl);
+  }
+
+  /**
+   * 显示"更多"菜单
+   */
+  function showAppMenu(anchorEl) {
+    const popover = document.createElement('div');
+    popover.className = 'popover popover--app-menu';
+    popover.id = 'appMenuPopover';
+
+    const optionsHTML = APP_MENU_ITEMS.map(item => `
+      <button class="popover-option" data-id="${item.id}">
+        <span class="popover-option-label">${item.label}</span>
+        <span class="popover-option-desc">${typeof item.desc === 'function' ? item.desc() : item.desc}</span>
+      </button>
+    `).join('');
+
+    popover.innerHTML = `
+      <div class="popover-content">
+        <div class="popover-options">
+          ${optionsHTML}
+        </div>
+      </div>
+    `;
+
+    // 定位 popover（右对齐按钮）
+    const rect = anchorEl.getBoundingClientRect();
+    popover.style.position = 'fixed';
+    popover.style.top = (rect.bottom + 8) + 'px';
+    popover.style.right = Math.max(8, window.innerWidth - rect.right) + 'px';
+    popover.style.minWidth = '180px';
+
+    document.body.appendChild(popover);
+    appMenuPopover = popover;
+
+    // 绑定选项点击事件
+    popover.querySelectorAll('.popover-option').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const item = APP_MENU_ITEMS.find(i => i.id === btn.dataset.id);
+        closeAppMenu();
+        if (item) item.onSelect();
+      });
+    });
+
+    // 延迟激活动画
+    setTimeout(() => popover.classList.add('active'), 10);
+  }
+
+  /**
+   * 关闭"更多"菜单
+   */
+  function closeAppMenu() {
+    if (appMenuPopover) {
+      const popover = appMenuPopover;
+      appMenuPopover = null;
+      popover.classList.remove('active');
+      setTimeout(() => {
+        if (popover.parentNode) {
+          popover.parentNode.removeChild(popover);
+        }
+      }, 150);
+    }
+  }
+
   /**
    * 关闭所有 popover（点击外部时）
    */
@@ -1962,6 +2530,16 @@ const DiaryApp = (function() {
         closeRangeSettingsPopover();
       }
     }
+
+    // 🆕 "更多"菜单
+    if (appMenuPopover && !appMenuPopover.contains(event.target)) {
+      closeAppMenu();
+    }
+
+    // 🆕 编辑器中的天气选择
+    if (editorWeatherPopover && !editorWeatherPopover.contains(event.target)) {
+      closeEditorWeatherPopover();
+    }
   }
 
   // 公开接口
@@ -1970,7 +2548,12 @@ const DiaryApp = (function() {
     refreshTimeline,
     scrollCalendarToToday,  // 🆕 暴露给其他模块使用
     getTargetDate,          // 🆕 获取目标日期（供 WritingEntry 使用）
-    clearTargetDate         // 🆕 清除目标日期
+    clearTargetDate,        // 🆕 清除目标日期
+    getTimelineData,        // 🆕 标签筛选
+    setTagFilter,
+    getTagFilter,
+    setFilter,              // 🆕 条件筛选
+    revealEntry
   };
 })();
 
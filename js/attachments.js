@@ -0,0 +1,758 @@
+/**
+ * attachments.js - 附件
+ * 职责：在写作入口和编辑器中粘贴、拖入或选择图片与文件；图片在本地缩放、压缩并生成缩略图，
+ *       记录卡片上显示缩略图，点击后在灯箱中查看，其他文件点击下载
+ *
+ * 记录只保存附件信息（entry.attachments），内容通过 DiaryStorage 按 ID 存取（IndexedDB）。
+ * 附件在添加时就已保存；没有保存到记录里的附件由 DiaryStorage.cleanupAttachments 定期清除。
+ */
+
+const DiaryAttachments = (function() {
+  'use strict';
+
+  const MAX_FILE_SIZE = 20 * 1024 * 1024;   // 单个附件（处理后）最大 20 MB
+  const MAX_ATTACHMENTS = 20;               // 每条记录最多的附件数
+  const MAX_IMAGE_DIMENSION = 2048;         // 图片长边超过时缩小
+  const THUMBNAIL_SIZE = 320;               // 缩略图长边
+  const JPEG_QUALITY = 0.85;
+
+  // 可以在本地重新编码的图片（GIF 动图、SVG 等保持原样，只生成缩略图）
+  const RESIZABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/bmp'];
+
+  // 缩略图地址缓存：附件 ID → Promise<object URL | null>（附件内容不会变化，可一直复用）
+  const thumbnailURLs = new Map();
+
+  let editorTray = null;
+  let lightbox = null;
+  let lightboxImages = [];
+  let lightboxURL = null;
+
+  /**
+   * 附件是否为可以预览的图片（浏览器无法解码的图片按普通文件处理）
+   * @param {object} attachment
+   * @returns {boolean}
+   */
+  function isImage(attachment) {
+    return attachment.type.startsWith('image/') && Boolean(attachment.width);
+  }
+
+  /**
+   * 文件大小的显示文字
+   * @param {number} bytes
+   * @returns {string}
+   */
+  function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  /**
+   * ========================================
+   * 图片处理
+   * ========================================
+   */
+
+  /**
+   * 解码图片
+   * @param {Blob} blob
+   * @returns {Promise<ImageBitmap|HTMLImageElement>}
+   */
+  async function decodeImage(blob) {
+    if (typeof createImageBitmap === 'function') {
+      try {
+        return await createImageBitmap(blob);
+      } catch (error) {
+        // SVG 等格式在部分浏览器中只能用 <img> 解码
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(blob);
+      const image = new Image();
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('图片无法解码'));
+      };
+      image.src = url;
+    });
+  }
+
+  /**
+   * 等比缩小到长边不超过 max
+   * @returns {object} { width, height }
+   */
+  function fitSize(width, height, max) {
+    const scale = Math.min(1, max / Math.max(width, height));
+    return {
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale))
+    };
+  }
+
+  /**
+   * 把图片绘制到指定尺寸并编码
+   * @param {ImageBitmap|HTMLImageElement} image
+   * @param {object} size - { width, height }
+   * @param {string} type - 输出格式
+   * @returns {Promise<Blob|null>} 浏览器不支持画布时返回 null
+   */
+  function renderImage(image, size, type) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+
+    const context = canvas.getContext('2d');
+    if (!context) return Promise.resolve(null);
+
+    // JPEG 没有透明通道，透明部分垫白色
+    if (type === 'image/jpeg') {
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, size.width, size.height);
+    }
+    context.drawImage(image, 0, 0, size.width, size.height);
+
+    return new Promise(resolve => canvas.toBlob(resolve, type, JPEG_QUALITY));
+  }
+
+  /**
+   * 处理添加的文件：图片缩放、压缩并生成缩略图，其他文件原样保存
+   * @param {File} file
+   * @returns {Promise<object>} { id, name, type, size, width, height, blob, thumbnail }
+   */
+  async function processFile(file) {
+    const attachment = {
+      id: DiaryModels.generateId(),
+      name: file.name || (file.type.startsWith('image/') ? '图片' : '文件'),
+      type: file.type || 'application/octet-stream',
+      size: file.size,
+      width: null,
+      height: null,
+      blob: file,
+      thumbnail: null
+    };
+
+    if (!attachment.type.startsWith('image/')) {
+      return attachment;
+    }
+
+    let image;
+    try {
+      image = await decodeImage(file);
+    } catch (error) {
+      console.warn('⚠️ 图片无法解码，按文件保存:', attachment.name);
+      return attachment;
+    }
+
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    attachment.width = width;
+    attachment.height = height;
+
+    try {
+      if (RESIZABLE_TYPES.includes(attachment.type)) {
+        const size = fitSize(width, height, MAX_IMAGE_DIMENSION);
+        const resized = size.width < width;
+        // PNG 可能有透明部分，保持 PNG；其他格式压缩为 JPEG
+        const type = attachment.type === 'image/png' ? 'image/png' : 'image/jpeg';
+        const output = (resized || type !== attachment.type) ? await renderImage(image, size, type) : null;
+
+        // 没有缩小时，压缩后反而更大就保留原图
+        if (output && (resized || output.size < file.size)) {
+          attachment.blob = output;
+          attachment.type = output.type;
+          attachment.size = output.size;
+          attachment.width = size.width;
+          attachment.height = size.height;
+          if (output.type === 'image/jpeg' && file.type !== 'image/jpeg') {
+            attachment.name = attachment.name.replace(/\.[^.]*$/, '') + '.jpg';
+          }
+        }
+      }
+
+      if (Math.max(width, height) > THUMBNAIL_SIZE) {
+        attachment.thumbnail = await renderImage(image, fitSize(width, height, THUMBNAIL_SIZE), 'image/jpeg');
+      }
+    } finally {
+      if (typeof image.close === 'function') image.close();
+    }
+
+    return attachment;
+  }
+
+  /**
+   * 附件信息（保存在记录上的部分）
+   * @param {object} attachment
+   * @returns {object} { id, name, type, size, width, height }
+   */
+  function toInfo(attachment) {
+    const info = {
+      id: attachment.id,
+      name: attachment.name,
+      type: attachment.type,
+      size: attachment.size
+    };
+    if (attachment.width) {
+      info.width = attachment.width;
+      info.height = attachment.height;
+    }
+    return info;
+  }
+
+  /**
+   * 缩略图地址（没有缩略图的小图直接用原图）
+   * @param {string} id - 附件 ID
+   * @returns {Promise<string|null>} 附件不存在、无法读取或不是图片时为 null
+   */
+  function getThumbnailURL(id) {
+    if (!thumbnailURLs.has(id)) {
+      const promise = DiaryStorage.getAttachment(id)
+        .then(attachment => {
+          if (!attachment || !attachment.type.startsWith('image/')) return null;
+          return URL.createObjectURL(attachment.thumbnail || attachment.blob);
+        })
+        .catch(error => {
+          console.warn('⚠️ 附件读取失败:', id, error);
+          return null;
+        })
+        .then(url => {
+          // 读取失败的不缓存，解锁或其他标签页写入后可以重试
+          if (!url) thumbnailURLs.delete(id);
+          return url;
+        });
+      thumbnailURLs.set(id, promise);
+    }
+    return thumbnailURLs.get(id);
+  }
+
+  /**
+   * ========================================
+   * 添加附件（写作入口、编辑器）
+   * ========================================
+   */
+
+  /**
+   * 创建附件托盘：显示待保存的附件，处理粘贴、拖入和选择文件
+   * @param {object} options
+   * @param {HTMLElement} options.container - 显示附件的容器（没有附件时隐藏）
+   * @param {HTMLElement} options.pasteTarget - 在其中粘贴图片
+   * @param {HTMLElement} options.dropTarget - 可以拖入文件的区域
+   * @param {HTMLElement} [options.pickButton] - 点击选择文件的按钮
+   * @returns {object} 托盘
+   */
+  function createTray({ container, pasteTarget, dropTarget, pickButton }) {
+    // { key, info, isNew, processing }，isNew 表示本次添加、还没有保存到记录
+    let items = [];
+    let nextKey = 1;
+    const pending = new Set();
+
+    function render() {
+      container.hidden = items.length === 0;
+      container.innerHTML = items.map(item => {
+        if (item.processing) {
+          return `
+            <div class="attachment-tray-item attachment-tray-item--processing" data-key="${item.key}">
+              <span class="attachment-tray-name">${DiaryUI.escapeHTML(item.name)}</span>
+            </div>
+          `;
+        }
+
+        const name = DiaryUI.escapeHTML(item.info.name);
+        const preview = isImage(item.info)
+          ? `<img class="attachment-tray-thumb" data-attachment-id="${DiaryUI.escapeHTML(item.info.id)}" alt="${name}">`
+          : `<span class="attachment-tray-name">${name}</span>`;
+        return `
+          <div class="attachment-tray-item${isImage(item.info) ? '' : ' attachment-tray-item--file'}"
+               data-key="${item.key}" title="${name}（${formatSize(item.info.size)}）">
+            ${preview}
+            <button type="button" class="attachment-tray-remove" data-action="remove" aria-label="移除附件">×</button>
+          </div>
+        `;
+      }).join('');
+
+      container.querySelectorAll('.attachment-tray-thumb').forEach(loadThumbnail);
+    }
+
+    async function addFile(item, file) {
+      try {
+        const attachment = await processFile(file);
+        if (attachment.size > MAX_FILE_SIZE) {
+          throw new RangeError(`"${attachment.name}" 超过 ${formatSize(MAX_FILE_SIZE)}，无法添加`);
+        }
+
+        await DiaryStorage.saveAttachment(attachment);
+
+        // 处理期间已被移除（或托盘已清空）
+        if (!items.includes(item)) {
+          DiaryStorage.deleteAttachments([attachment.id]);
+          return;
+        }
+
+        if (isImage(attachment)) {
+          thumbnailURLs.set(attachment.id, Promise.resolve(URL.createObjectURL(attachment.thumbnail || attachment.blob)));
+        }
+        Object.assign(item, { info: toInfo(attachment), isNew: true, processing: false });
+      } catch (error) {
+        console.error('❌ 添加附件失败:', error);
+        items = items.filter(other => other !== item);
+        alert(error instanceof RangeError ? error.message : `"${file.name}" 添加失败`);
+      }
+      render();
+    }
+
+    /**
+     * 添加文件
+     * @param {FileList|File[]} fileList
+     */
+    function add(fileList) {
+      if (!DiaryStorage.isAttachmentSupported()) {
+        alert('当前浏览器使用的存储方式不支持附件');
+        return;
+      }
+
+      let files = Array.from(fileList);
+      if (items.length + files.length > MAX_ATTACHMENTS) {
+        alert(`每条记录最多 ${MAX_ATTACHMENTS} 个附件`);
+        files = files.slice(0, Math.max(0, MAX_ATTACHMENTS - items.length));
+      }
+
+      files.forEach(file => {
+        const item = { key: nextKey++, name: file.name, processing: true };
+        items.push(item);
+
+        const task = addFile(item, file).finally(() => pending.delete(task));
+        pending.add(task);
+      });
+      render();
+    }
+
+    function remove(key) {
+      const item = items.find(other => other.key === key);
+      if (!item || item.processing) return;
+
+      items = items.filter(other => other !== item);
+      // 本次添加的直接删除；已保存在记录上的等记录保存时再删除
+      if (item.isNew) {
+        DiaryStorage.deleteAttachments([item.info.id]);
+      }
+      render();
+    }
+
+    /**
+     * 显示记录上已有的附件
+     * @param {Array} attachments - 附件信息
+     */
+    function setItems(attachments) {
+      discard();
+      items = attachments.map(info => ({ key: nextKey++, info, isNew: false, processing: false }));
+      render();
+    }
+
+    /**
+     * 已处理完成的附件信息
+     * @returns {Array}
+     */
+    function getItems() {
+      return items.filter(item => !item.processing).map(item => item.info);
+    }
+
+    /**
+     * 等待正在处理的附件
+     * @returns {Promise<void>}
+     */
+    function whenIdle() {
+      return Promise.all(Array.from(pending)).then(() => {});
+    }
+
+    /**
+     * 附件已保存到记录（之后清空托盘时不再删除）
+     * @returns {Array} 附件信息
+     */
+    function commit() {
+      items.forEach(item => {
+        item.isNew = false;
+      });
+      return getItems();
+    }
+
+    /**
+     * 清空托盘
+     */
+    function clear() {
+      items = [];
+      render();
+    }
+
+    /**
+     * 放弃本次添加的附件并清空托盘
+     */
+    function discard() {
+      const ids = items.filter(item => item.isNew).map(item => item.info.id);
+      DiaryStorage.deleteAttachments(ids);
+      clear();
+    }
+
+    container.addEventListener('click', (event) => {
+      const itemElement = event.target.closest('.attachment-tray-item');
+      if (!itemElement) return;
+
+      event.stopPropagation();
+      const key = Number(itemElement.dataset.key);
+      if (event.target.closest('[data-action="remove"]')) {
+        remove(key);
+        return;
+      }
+
+      const item = items.find(other => other.key === key);
+      if (item && item.info) open(getItems(), item.info.id);
+    });
+
+    // 粘贴图片（同时带有文字时按文字粘贴，例如从网页或文档复制的内容）
+    pasteTarget.addEventListener('paste', (event) => {
+      const data = event.clipboardData;
+      if (!data || data.files.length === 0) return;
+      if (Array.from(data.types).includes('text/plain')) return;
+
+      event.preventDefault();
+      add(data.files);
+    });
+
+    dropTarget.addEventListener('dragover', (event) => {
+      if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+      event.preventDefault();
+      dropTarget.classList.add('attachment-drop-target');
+    });
+
+    dropTarget.addEventListener('dragleave', (event) => {
+      if (!dropTarget.contains(event.relatedTarget)) {
+        dropTarget.classList.remove('attachment-drop-target');
+      }
+    });
+
+    dropTarget.addEventListener('drop', (event) => {
+      dropTarget.classList.remove('attachment-drop-target');
+      if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+
+      event.preventDefault();
+      add(event.dataTransfer.files);
+    });
+
+    if (pickButton) {
+      pickButton.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        DiaryUI.pickFile('', true).then(files => {
+          if (files.length > 0) add(files);
+        });
+      });
+    }
+
+    render();
+
+    return { add, setItems, getItems, whenIdle, commit, clear, discard };
+  }
+
+  /**
+   * 为缩略图 <img> 加载图片
+   * @param {HTMLImageElement} img - 带 data-attachment-id
+   */
+  function loadThumbnail(img) {
+    getThumbnailURL(img.dataset.attachmentId).then(url => {
+      if (url) {
+        img.src = url;
+      } else {
+        img.closest('.entry-attachment, .attachment-tray-item').classList.add('attachment--missing');
+      }
+    });
+  }
+
+  /**
+   * ========================================
+   * 编辑器中的附件
+   * ========================================
+   */
+
+  function setEditorItems(attachments) {
+    if (editorTray) editorTray.setItems(attachments);
+  }
+
+  function getEditorItems() {
+    return editorTray ? editorTray.getItems() : [];
+  }
+
+  function whenEditorIdle() {
+    return editorTray ? editorTray.whenIdle() : Promise.resolve();
+  }
+
+  function commitEditor() {
+    return editorTray ? editorTray.commit() : [];
+  }
+
+  function discardEditor() {
+    if (editorTray) editorTray.discard();
+  }
+
+  /**
+   * ========================================
+   * 记录卡片上的附件
+   * ========================================
+   */
+
+  /**
+   * 生成记录卡片上的附件列表
+   * @param {object} entry
+   * @returns {string} HTML 字符串，没有附件时为空字符串
+   */
+  function generateListHTML(entry) {
+    if (!Array.isArray(entry.attachments) || entry.attachments.length === 0) return '';
+
+    const itemsHTML = entry.attachments.map(attachment => {
+      const name = DiaryUI.escapeHTML(attachment.name);
+      const id = DiaryUI.escapeHTML(attachment.id);
+      if (isImage(attachment)) {
+        return `
+          <button type="button" class="entry-attachment entry-attachment--image" data-attachment-id="${id}" title="${name}">
+            <img class="entry-attachment-thumb" data-attachment-id="${id}" alt="${name}">
+          </button>
+        `;
+      }
+      return `
+        <button type="button" class="entry-attachment entry-attachment--file" data-attachment-id="${id}" title="下载 ${name}">
+          <span class="entry-attachment-name">${name}</span>
+          <span class="entry-attachment-size">${formatSize(attachment.size)}</span>
+        </button>
+      `;
+    }).join('');
+
+    return `
+            <div class="entry-attachments">${itemsHTML}</div>`;
+  }
+
+  /**
+   * 加载容器中尚未显示的缩略图（渲染时间轴后调用）
+   * @param {HTMLElement} root
+   */
+  function hydrate(root) {
+    root.querySelectorAll('.entry-attachment-thumb:not([src])').forEach(loadThumbnail);
+  }
+
+  /**
+   * 打开附件：图片在灯箱中查看（可切换同一记录的其他图片），其他文件下载
+   * @param {Array} attachments - 同一记录的附件信息
+   * @param {string} id - 要打开的附件 ID
+   */
+  function open(attachments, id) {
+    const attachment = attachments.find(other => other.id === id);
+    if (!attachment) return;
+
+    if (!isImage(attachment)) {
+      download(attachment);
+      return;
+    }
+
+    const images = attachments.filter(isImage);
+    openLightbox(images, images.indexOf(attachment));
+  }
+
+  /**
+   * 下载附件
+   * @param {object} attachment - 附件信息
+   */
+  async function download(attachment) {
+    try {
+      const stored = await DiaryStorage.getAttachment(attachment.id);
+      if (!stored) throw new Error('附件不存在');
+      DiaryUI.downloadFile(attachment.name, stored.blob);
+    } catch (error) {
+      console.error('❌ 附件读取失败:', error);
+      alert('附件无法读取');
+    }
+  }
+
+  /**
+   * ========================================
+   * 灯箱
+   * ========================================
+   */
+
+  /**
+   * 打开灯箱
+   * @param {Array} images - 图片附件信息
+   * @param {number} index - 当前显示的图片
+   */
+  function openLightbox(images, index) {
+    closeLightbox();
+
+    lightbox = document.createElement('div');
+    lightbox.className = 'attachment-lightbox';
+    lightbox.id = 'attachmentLightbox';
+    lightbox.setAttribute('role', 'dialog');
+    lightbox.setAttribute('aria-label', '查看图片');
+    lightbox.innerHTML = `
+      <button type="button" class="attachment-lightbox-close" data-action="close" aria-label="关闭">×</button>
+      ${images.length > 1 ? `
+        <button type="button" class="attachment-lightbox-nav attachment-lightbox-nav--prev" data-action="prev" aria-label="上一张">‹</button>
+        <button type="button" class="attachment-lightbox-nav attachment-lightbox-nav--next" data-action="next" aria-label="下一张">›</button>
+      ` : ''}
+      <img class="attachment-lightbox-image" alt="">
+      <div class="attachment-lightbox-caption">
+        <span class="attachment-lightbox-name"></span>
+        <button type="button" class="attachment-lightbox-download" data-action="download">下载</button>
+      </div>
+    `;
+    lightboxImages = images;
+
+    lightbox.addEventListener('click', (event) => {
+      const action = event.target.closest('[data-action]');
+      if (action) {
+        event.stopPropagation();
+        handleLightboxAction(action.dataset.action);
+      } else if (event.target === lightbox) {
+        closeLightbox();
+      }
+    });
+
+    // 捕获阶段处理按键，避免 Esc 同时关闭下面的编辑器
+    document.addEventListener('keydown', handleLightboxKeydown, true);
+    document.body.appendChild(lightbox);
+    showLightboxImage(index);
+  }
+
+  /**
+   * 显示灯箱中的第 index 张图片
+   * @param {number} index
+   */
+  async function showLightboxImage(index) {
+    if (!lightbox) return;
+
+    const images = lightboxImages;
+    const current = (index + images.length) % images.length;
+    const attachment = images[current];
+    const box = lightbox;
+    box.dataset.index = current;
+
+    const img = box.querySelector('.attachment-lightbox-image');
+    img.alt = attachment.name;
+    img.removeAttribute('src');
+    box.querySelector('.attachment-lightbox-name').textContent =
+      `${images.length > 1 ? `${current + 1} / ${images.length} · ` : ''}${attachment.name} · ${formatSize(attachment.size)}`;
+
+    // 先显示缩略图，原图读取后替换
+    const thumbnailURL = await getThumbnailURL(attachment.id);
+    if (lightbox !== box || Number(box.dataset.index) !== current) return;
+    if (thumbnailURL) img.src = thumbnailURL;
+
+    try {
+      const stored = await DiaryStorage.getAttachment(attachment.id);
+      if (lightbox !== box || Number(box.dataset.index) !== current || !stored) return;
+
+      releaseLightboxURL();
+      lightboxURL = URL.createObjectURL(stored.blob);
+      img.src = lightboxURL;
+    } catch (error) {
+      console.warn('⚠️ 附件读取失败:', attachment.id, error);
+      if (!thumbnailURL) box.classList.add('attachment--missing');
+    }
+  }
+
+  /**
+   * 灯箱按钮
+   * @param {string} action - close / prev / next / download
+   */
+  function handleLightboxAction(action) {
+    const index = Number(lightbox.dataset.index);
+    switch (action) {
+      case 'close':
+        closeLightbox();
+        break;
+      case 'prev':
+        showLightboxImage(index - 1);
+        break;
+      case 'next':
+        showLightboxImage(index + 1);
+        break;
+      case 'download':
+        download(lightboxImages[index]);
+        break;
+    }
+  }
+
+  /**
+   * 灯箱快捷键：Esc 关闭，左右方向键切换
+   * @param {KeyboardEvent} event
+   */
+  function handleLightboxKeydown(event) {
+    const actions = { Escape: 'close', ArrowLeft: 'prev', ArrowRight: 'next' };
+    const action = actions[event.key];
+    if (!action || !lightbox) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    if (action !== 'close' && lightboxImages.length < 2) return;
+    handleLightboxAction(action);
+  }
+
+  function releaseLightboxURL() {
+    if (lightboxURL) {
+      URL.revokeObjectURL(lightboxURL);
+      lightboxURL = null;
+    }
+  }
+
+  /**
+   * 关闭灯箱
+   */
+  function closeLightbox() {
+    if (!lightbox) return;
+
+    lightbox.remove();
+    lightbox = null;
+    lightboxImages = [];
+    releaseLightboxURL();
+    document.removeEventListener('keydown', handleLightboxKeydown, true);
+  }
+
+  /**
+   * 初始化：编辑器中的附件托盘，并清除没有被记录使用的附件
+   */
+  function init() {
+    const overlay = document.getElementById('editorOverlay');
+    const container = document.getElementById('editorAttachments');
+    const textarea = document.getElementById('editorTextarea');
+
+    if (overlay && container && textarea) {
+      editorTray = createTray({
+        container,
+        pasteTarget: textarea,
+        dropTarget: overlay.querySelector('.editor-container'),
+        pickButton: document.getElementById('btnAttach')
+      });
+    }
+
+    DiaryStorage.cleanupAttachments().catch(error => {
+      console.warn('⚠️ 清除未使用的附件失败:', error);
+    });
+  }
+
+  // 公开接口
+  return {
+    MAX_ATTACHMENTS,
+    processFile,
+    formatSize,
+    createTray,
+    setEditorItems,
+    getEditorItems,
+    whenEditorIdle,
+    commitEditor,
+    discardEditor,
+    generateListHTML,
+    hydrate,
+    open,
+    closeLightbox,
+    init
+  };
+})();
@@ -0,0 +1,662 @@
+/**
+ * backup.js - 完整数据的 JSON 导出与导入
+ * 职责：导出带版本号的备份文件（可用口令加密）；导入时校验、升级数据结构，预览变化后按记录 ID 合并
+ */
+
+const DiaryBackup = (function() {
+  'use strict';
+
+  // 备份文件格式标识与格式版本（与数据结构版本 data.version 相互独立）
+  const FORMAT = 'timeline-journal-backup';
+  const FORMAT_VERSION = 1;
+
+  // 预览中最多列出的新增记录数
+  const PREVIEW_LIMIT = 5;
+
+  // 记录 ID 的格式（DiaryModels.generateId 生成"时间戳-随机串"）
+  const ID_PATTERN = /^[\w-]{1,64}$/;
+
+  // 天气类型（空字符串表示没有天气）
+  const WEATHER_PATTERN = /^[a-z]*$/;
+
+  // 只属于本设备的设置：不写入备份，导入时也不合并
+  // 应用锁是本机的安全设置，写作提醒依赖本机的通知权限；
+  // 每日目标关闭后为 null，合并时无法与"未设置"区分，会被重新打开
+  const DEVICE_SETTINGS = ['appLock', 'dailyGoal', 'reminders'];
+
+  // 可以从备份补充的设置及其取值校验，其余的键导入时忽略（DEVICE_SETTINGS 不在其中）
+  const SETTING_VALIDATORS = {
+    birthDate: value => typeof value === 'string' && DiaryModels.isValidDate(value),
+    initialized: value => typeof value === 'boolean',
+    calendarRange: value => ['compact', 'default', 'extended', 'all'].includes(value),
+    trashRetentionDays: value => typeof value === 'number' && value >= 0,
+    calendarMode: value => ['records', 'mood'].includes(value),
+    markdown: value => typeof value === 'boolean'
+  };
+
+  /**
+   * 生成备份对象
+   * @returns {object}
+   */
+  function createBackup() {
+    const data = DiaryStorage.loadData();
+
+    const settings = { ...(data.settings || {}) };
+    DEVICE_SETTINGS.forEach(key => delete settings[key]);
+
+    return {
+      format: FORMAT,
+      formatVersion: FORMAT_VERSION,
+      exportedAt: Date.now(),
+      data: JSON.parse(JSON.stringify({
+        entries: data.entries,
+        dailyWeather: data.dailyWeather || {},
+        milestones: data.milestones || {},
+        settings,
+        version: data.version,
+        migrations: data.migrations || []
+      }))
+    };
+  }
+
+  /**
+   * 🆕 读取记录引用的附件内容（Base64），写入备份的 data.attachmentFiles
+   * @param {Array} entries
+   * @returns {Promise<object>} { files, missing }，missing 为无法读取（已不存在或无法解密）的附件数
+   */
+  async function collectAttachmentFiles(entries) {
+    const ids = new Set();
+    entries.forEach(entry => {
+      (entry.attachments || []).forEach(attachment => ids.add(attachment.id));
+    });
+
+    const files = [];
+    let missing = 0;
+
+    for (const id of ids) {
+      try {
+        const attachment = await DiaryStorage.getAttachment(id);
+        if (!attachment) {
+          missing++;
+          continue;
+        }
+
+        files.push({
+          id,
+          name: attachment.name,
+          type: attachment.type,
+          size: attachment.size,
+          width: attachment.width || null,
+          height: attachment.height || null,
+          data: DiaryCrypto.toBase64(new Uint8Array(await attachment.blob.arrayBuffer())),
+          thumbnail: attachment.thumbnail ? DiaryCrypto.toBase64(new Uint8Array(await attachment.thumbnail.arrayBuffer())) : null,
+          thumbnailType: attachment.thumbnail ? attachment.thumbnail.type : null
+        });
+      } catch (error) {
+        console.warn('⚠️ 附件无法读取，未写入备份:', id, error);
+        missing++;
+      }
+    }
+
+    return { files, missing };
+  }
+
+  /**
+   * 🆕 生成包含附件内容的备份对象；有附件无法读取时询问是否继续
+   * @returns {Promise<object|null>} 取消时返回 null
+   */
+  async function createBackupWithAttachments() {
+    const backup = createBackup();
+    const { files, missing } = await collectAttachmentFiles(backup.data.entries);
+
+    if (missing > 0 &&
+        !confirm(`有 ${missing} 个附件无法读取，备份中只会保留它们的文件名，导入后不再显示。\n\n确定继续导出？`)) {
+      return null;
+    }
+
+    backup.data.attachmentFiles = files;
+    return backup;
+  }
+
+  /**
+   * 导出完整数据为 JSON 文件
+   * @returns {Promise<void>}
+   */
+  async function exportJSON() {
+    if (DiaryStorage.isEncrypted() &&
+        !confirm('日记已启用加密，但导出的备份文件不加密，任何人都能读取。\n\n确定继续？（可改用"导出加密备份"）')) {
+      return;
+    }
+
+    const backup = await createBackupWithAttachments();
+    if (!backup) return;
+    const today = DiaryModels.formatDateKey(new Date()).replace(/-/g, '');
+
+    DiaryUI.downloadFile(
+      `timeline-journal-${today}.json`,
+      JSON.stringify(backup, null, 2),
+      'application/json;charset=utf-8'
+    );
+
+    console.log(`📤 已导出 ${backup.data.entries.length} 条记录`);
+  }
+
+  /**
+   * 导出用口令加密的备份文件
+   * 外层保留格式标识，data 替换为密文 encrypted
+   * @returns {Promise<void>}
+   */
+  async function exportEncryptedJSON() {
+    if (!DiaryCrypto.isSupported()) {
+      alert('当前环境不支持加密。请通过 https 或 localhost 打开应用后再试。');
+      return;
+    }
+
+    const passphrase = await DiaryEncryption.askPassphrase({
+      title: '导出加密备份',
+      desc: '为备份文件设置口令，导入时需要输入。口令遗失后备份无法读取。',
+      confirm: true
+    });
+    if (!passphrase) return;
+
+    const fullBackup = await createBackupWithAttachments();
+    if (!fullBackup) return;
+
+    const { data, ...backup } = fullBackup;
+    const today = DiaryModels.formatDateKey(new Date()).replace(/-/g, '');
+
+    DiaryUI.downloadFile(
+      `timeline-journal-${today}-encrypted.json`,
+      JSON.stringify({ ...backup, encrypted: await DiaryCrypto.encryptWithPassphrase(data, passphrase) }, null, 2),
+      'application/json;charset=utf-8'
+    );
+
+    console.log(`📤 已导出 ${data.entries.length} 条记录（已加密）`);
+  }
+
+  /**
+   * 判断备份文件是否已加密
+   * @param {string} text - 文件内容
+   * @returns {boolean}
+   */
+  function isEncryptedBackup(text) {
+    try {
+      const parsed = JSON.parse(text);
+      return !!parsed && parsed.format === FORMAT && !!parsed.encrypted;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 解密加密备份，返回普通备份文件的内容
+   * @param {string} text - 文件内容
+   * @param {string} passphrase - 口令
+   * @returns {Promise<string>} 可交给 parseBackup 的 JSON 文本
+   * @throws {Error} 口令错误时抛出，message 可直接展示给用户
+   */
+  async function decryptBackup(text, passphrase) {
+    const { encrypted, ...backup } = JSON.parse(text);
+    const data = await DiaryCrypto.decryptWithPassphrase(encrypted, passphrase);
+    return JSON.stringify({ ...backup, data });
+  }
+
+  /**
+   * 解析并校验备份文件内容
+   * 兼容直接从控制台复制的 diary_data 结构（没有外层 format 字段）
+   * @param {string} text - 文件内容
+   * @returns {object} 升级到当前版本的数据对象
+   * @throws {Error} 文件无法识别时抛出，message 可直接展示给用户
+   */
+  function parseBackup(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error('文件不是有效的 JSON');
+    }
+
+    if (!parsed || typeof parsed !== 'object') {
+      throw new Error('无法识别的备份文件');
+    }
+
+    let data = parsed;
+    if (parsed.format !== undefined) {
+      if (parsed.format !== FORMAT) {
+        throw new Error('无法识别的备份文件');
+      }
+      if (parsed.formatVersion > FORMAT_VERSION) {
+        throw new Error('备份文件来自更新版本的应用，请先升级');
+      }
+      if (parsed.encrypted) {
+        throw new Error('备份文件已加密，需要先输入口令');
+      }
+      data = parsed.data;
+    }
+
+    if (!data || !Array.isArray(data.entries)) {
+      throw new Error('备份文件中没有记录数据');
+    }
+
+    if (DiaryMigrations.compareVersions(data.version, DiaryMigrations.CURRENT_VERSION) > 0) {
+      throw new Error('备份文件来自更新版本的应用，请先升级');
+    }
+
+    // 升级到当前数据结构（迁移会补全缺失字段）
+    data.version = data.version || '0.0.0';
+    DiaryMigrations.migrate(data);
+
+    const invalid = data.entries.filter(entry => !isValidEntry(entry));
+    if (invalid.length > 0) {
+      throw new Error(`有 ${invalid.length} 条记录格式不正确`);
+    }
+
+    // 天气、特殊日期、设置中格式不正确或未知的项直接忽略
+    data.dailyWeather = pickValid(data.dailyWeather, (weather, dateKey) =>
+      DiaryModels.isValidDate(dateKey) && typeof weather === 'string' && WEATHER_PATTERN.test(weather)
+    );
+    data.milestones = pickValid(data.milestones, (milestone, dateKey) =>
+      DiaryModels.isValidDate(dateKey) && isValidMilestone(milestone)
+    );
+    data.settings = pickValid(data.settings, (value, key) =>
+      Object.prototype.hasOwnProperty.call(SETTING_VALIDATORS, key) && SETTING_VALIDATORS[key](value)
+    );
+
+    // 🆕 附件内容（旧备份中没有）
+    data.attachmentFiles = Array.isArray(data.attachmentFiles) ? data.attachmentFiles.filter(isValidAttachmentFile) : [];
+
+    return data;
+  }
+
+  /**
+   * 是否为普通对象（数组、null 不算）
+   * @param {*} value
+   * @returns {boolean}
+   */
+  function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * 校验升级后的记录：字段会拼进页面的 HTML，类型不对时整份备份不导入
+   * @param {*} entry
+   * @returns {boolean}
+   */
+  function isValidEntry(entry) {
+    if (!isPlainObject(entry) || !isPlainObject(entry.metadata)) return false;
+    if (typeof entry.id !== 'string' || !ID_PATTERN.test(entry.id)) return false;
+    if (typeof entry.content !== 'string' || !Number.isFinite(entry.createdAt)) return false;
+
+    // 可选字段：缺失时可以，存在时类型必须正确
+    const optional = (value, isValid) => value === undefined || value === null || isValid(value);
+
+    return optional(entry.updatedAt, Number.isFinite) &&
+      optional(entry.deleted, value => typeof value === 'boolean') &&
+      optional(entry.deletedAt, Number.isFinite) &&
+      optional(entry.weather, value => typeof value === 'string' && WEATHER_PATTERN.test(value)) &&
+      optional(entry.revisions, value => Array.isArray(value) && value.every(revision =>
+        isPlainObject(revision) && typeof revision.content === 'string' && Number.isFinite(revision.updatedAt)
+      )) &&
+      optional(entry.metadata.tags, value => Array.isArray(value) && value.every(tag => typeof tag === 'string')) &&
+      optional(entry.metadata.mood, value => isPlainObject(value) && optional(value.label, label => typeof label === 'string')) &&
+      optional(entry.attachments, value => Array.isArray(value) && value.every(isValidAttachmentInfo));
+  }
+
+  /**
+   * 🆕 校验记录上的附件信息（ID 会拼进 data-attachment-id 属性）
+   * @param {*} attachment
+   * @returns {boolean}
+   */
+  function isValidAttachmentInfo(attachment) {
+    return isPlainObject(attachment) &&
+      typeof attachment.id === 'string' && ID_PATTERN.test(attachment.id) &&
+      typeof attachment.name === 'string' && typeof attachment.type === 'string' &&
+      Number.isFinite(attachment.size);
+  }
+
+  /**
+   * 🆕 校验备份中的附件内容
+   * @param {*} file
+   * @returns {boolean}
+   */
+  function isValidAttachmentFile(file) {
+    return isValidAttachmentInfo(file) && typeof file.data === 'string' &&
+      (file.thumbnail === null || file.thumbnail === undefined || typeof file.thumbnail === 'string');
+  }
+
+  /**
+   * 校验特殊日期
+   * @param {*} milestone
+   * @returns {boolean}
+   */
+  function isValidMilestone(milestone) {
+    if (!isPlainObject(milestone) || !['major_milestone', 'milestone'].includes(milestone.type)) return false;
+
+    return ['templateId', 'templateLabel', 'customLabel', 'label', 'description'].every(key =>
+      milestone[key] === undefined || milestone[key] === null || typeof milestone[key] === 'string'
+    );
+  }
+
+  /**
+   * 只保留通过校验的键值
+   * @param {*} values
+   * @param {Function} isValid - (value, key) => boolean
+   * @returns {object}
+   */
+  function pickValid(values, isValid) {
+    const result = {};
+    if (!isPlainObject(values)) return result;
+
+    Object.keys(values).forEach(key => {
+      if (isValid(values[key], key)) {
+        result[key] = values[key];
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 对比导入数据与本地数据，生成合并计划
+   * - 记录：本地没有的新增；文件中的版本更新（updatedAt 更大）时替换，本地内容并入历史版本
+   * - 每日天气、特殊日期：按日期键合并，以文件为准
+   * - 设置：只补充本地缺失的项，不覆盖当前设置
+   * @param {object} incoming - parseBackup 返回的数据
+   * @returns {object} { added, updated, skipped, changes }
+   */
+  function createMergePlan(incoming) {
+    const local = DiaryStorage.loadData();
+    const localById = new Map(local.entries.map(entry => [entry.id, entry]));
+
+    const added = [];
+    const updated = [];
+    let skipped = 0;
+
+    incoming.entries.forEach(entry => {
+      const existing = localById.get(entry.id);
+
+      if (!existing) {
+        added.push(entry);
+      } else if ((entry.updatedAt || 0) > (existing.updatedAt || 0)) {
+        updated.push({ ...entry, revisions: mergeRevisions(existing, entry) });
+      } else {
+        skipped++;
+      }
+    });
+
+    const changes = {
+      entries: [...added, ...updated],
+      dailyWeather: diffKeyValues(local.dailyWeather, incoming.dailyWeather),
+      milestones: diffKeyValues(local.milestones, incoming.milestones),
+      settings: {}
+    };
+
+    const localSettings = local.settings || {};
+    Object.keys(incoming.settings || {}).forEach(key => {
+      const value = incoming.settings[key];
+      if ((localSettings[key] === undefined || localSettings[key] === null) && value !== null && value !== undefined) {
+        changes.settings[key] = value;
+      }
+    });
+
+    // 🆕 新增、更新的记录用到的附件内容
+    const usedIds = new Set();
+    changes.entries.forEach(entry => {
+      (entry.attachments || []).forEach(attachment => usedIds.add(attachment.id));
+    });
+    const attachmentFiles = (incoming.attachmentFiles || []).filter(file => usedIds.has(file.id));
+
+    return { added, updated, skipped, changes, attachmentFiles };
+  }
+
+  /**
+   * 🆕 去掉找不到内容的附件引用：既不在备份中、本地也没有（或当前不支持附件）
+   * 避免导入后的记录指向不存在的附件
+   * @param {object} incoming - parseBackup 返回的数据（直接修改）
+   * @returns {Promise<number>} 去掉的引用数
+   */
+  async function dropMissingAttachments(incoming) {
+    const supported = DiaryStorage.isAttachmentSupported();
+    const inBackup = new Set(incoming.attachmentFiles.map(file => file.id));
+    const existing = new Map();
+    let dropped = 0;
+
+    const isAvailable = async id => {
+      if (!supported) return false;
+      if (inBackup.has(id)) return true;
+      if (!existing.has(id)) {
+        existing.set(id, await DiaryStorage.getAttachment(id).then(Boolean, () => false));
+      }
+      return existing.get(id);
+    };
+
+    for (const entry of incoming.entries) {
+      if (!Array.isArray(entry.attachments)) continue;
+
+      const kept = [];
+      for (const attachment of entry.attachments) {
+        if (await isAvailable(attachment.id)) {
+          kept.push(attachment);
+        } else {
+          dropped++;
+        }
+      }
+
+      if (kept.length > 0) {
+        entry.attachments = kept;
+      } else {
+        delete entry.attachments;
+      }
+    }
+
+    if (dropped > 0) {
+      console.warn(`⚠️ 有 ${dropped} 个附件在备份与本地都找不到，已从记录中去掉`);
+    }
+    return dropped;
+  }
+
+  /**
+   * 🆕 保存备份中的附件内容
+   * @param {Array} files - data.attachmentFiles 中的项
+   * @returns {Promise<void>}
+   */
+  async function saveAttachmentFiles(files) {
+    for (const file of files) {
+      await DiaryStorage.saveAttachment({
+        id: file.id,
+        name: file.name,
+        type: file.type,
+        size: file.size,
+        width: file.width || null,
+        height: file.height || null,
+        blob: new Blob([DiaryCrypto.fromBase64(file.data)], { type: file.type }),
+        thumbnail: file.thumbnail ? new Blob([DiaryCrypto.fromBase64(file.thumbnail)], { type: file.thumbnailType || 'image/jpeg' }) : null
+      });
+    }
+  }
+
+  /**
+   * 合并两个版本的历史记录，并把被替换的本地内容也保留为历史版本
+   * @param {object} localEntry
+   * @param {object} incomingEntry
+   * @returns {Array} 按时间排序的历史版本
+   */
+  function mergeRevisions(localEntry, incomingEntry) {
+    const all = [
+      ...(localEntry.revisions || []),
+      ...(incomingEntry.revisions || [])
+    ];
+
+    if (localEntry.content !== incomingEntry.content) {
+      all.push({ content: localEntry.content, updatedAt: localEntry.updatedAt });
+    }
+
+    const seen = new Set();
+    return all
+      .filter(revision => {
+        const key = `${revision.updatedAt}:${revision.content}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => a.updatedAt - b.updatedAt);
+  }
+
+  /**
+   * 找出导入数据中新增或不同的键
+   * @param {object} localValues
+   * @param {object} incomingValues
+   * @returns {object}
+   */
+  function diffKeyValues(localValues, incomingValues) {
+    const result = {};
+    const local = localValues || {};
+
+    Object.keys(incomingValues || {}).forEach(key => {
+      if (JSON.stringify(local[key]) !== JSON.stringify(incomingValues[key])) {
+        result[key] = incomingValues[key];
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 选择备份文件并导入
+   * @param {Function} onImported - 导入完成后的回调
+   */
+  async function importJSON(onImported) {
+    const [file] = await DiaryUI.pickFile('.json,application/json');
+    if (!file) return;
+
+    let plan;
+    try {
+      let text = await file.text();
+
+      if (isEncryptedBackup(text)) {
+        const passphrase = await DiaryEncryption.askPassphrase({ title: '导入加密备份', desc: file.name });
+        if (!passphrase) return;
+        text = await decryptBackup(text, passphrase);
+      }
+
+      const incoming = parseBackup(text);
+      await dropMissingAttachments(incoming);
+      plan = createMergePlan(incoming);
+    } catch (error) {
+      console.error('❌ 导入失败:', error);
+      alert(`导入失败：${error.message}`);
+      return;
+    }
+
+    showPreview(file.name, plan, async () => {
+      // 🆕 先保存附件内容，再写入引用它们的记录
+      try {
+        await saveAttachmentFiles(plan.attachmentFiles);
+      } catch (error) {
+        console.error('❌ 导入附件失败:', error);
+        alert(`导入失败：${error.message}`);
+        return;
+      }
+
+      DiaryStorage.importData(plan.changes);
+      console.log(`📥 已导入：新增 ${plan.added.length} 条，更新 ${plan.updated.length} 条`);
+      if (onImported) onImported();
+    });
+  }
+
+  /**
+   * 显示导入预览
+   * @param {string} fileName
+   * @param {object} plan - createMergePlan 的返回值
+   * @param {Function} onConfirm - 确认导入
+   */
+  function showPreview(fileName, plan, onConfirm) {
+    const { added, updated, skipped, changes } = plan;
+    const weatherCount = Object.keys(changes.dailyWeather).length;
+    const milestoneCount = Object.keys(changes.milestones).length;
+    const settingsCount = Object.keys(changes.settings).length;
+    const hasChanges = changes.entries.length + weatherCount + milestoneCount + settingsCount > 0;
+
+    const rows = [
+      { label: '新增记录', value: added.length },
+      { label: '更新记录（备份中的版本较新）', value: updated.length },
+      { label: '跳过记录（本地已是最新）', value: skipped },
+      { label: '每日天气', value: weatherCount },
+      { label: '特殊日期', value: milestoneCount },
+      { label: '补充设置', value: settingsCount },
+      { label: '附件', value: plan.attachmentFiles.length }
+    ];
+
+    const samples = added
+      .slice()
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, PREVIEW_LIMIT)
+      .map(entry => `
+        <li class="import-preview-sample">
+          <span class="import-preview-sample-date">${DiaryModels.formatDateKey(new Date(entry.createdAt))}</span>
+          <span class="import-preview-sample-text">${DiaryUI.escapeHTML(entry.content.split('\n')[0])}</span>
+        </li>
+      `).join('');
+
+    const overlay = document.createElement('div');
+    overlay.className = 'editor-overlay import-preview-overlay active';
+    overlay.id = 'importPreviewOverlay';
+
+    overlay.innerHTML = `
+      <div class="editor-container import-preview-container">
+        <div class="editor-header">
+          <button class="btn-close" data-action="cancel" aria-label="关闭">×</button>
+          <span class="import-preview-title">导入预览</span>
+        </div>
+        <div class="import-preview-body">
+          <p class="import-preview-file">${DiaryUI.escapeHTML(fileName)}</p>
+          <dl class="import-preview-stats">
+            ${rows.map(row => `
+              <div class="import-preview-row ${row.value === 0 ? 'import-preview-row--zero' : ''}">
+                <dt>${row.label}</dt>
+                <dd>${row.value}</dd>
+              </div>
+            `).join('')}
+          </dl>
+          ${samples ? `<ul class="import-preview-samples">${samples}</ul>` : ''}
+          ${hasChanges ? '' : '<p class="import-preview-empty">备份中的内容与本地一致，无需导入</p>'}
+        </div>
+        <div class="editor-footer">
+          <button class="btn-delete" data-action="cancel">取消</button>
+          <button class="btn-save" data-action="confirm" ${hasChanges ? '' : 'disabled'}>合并导入</button>
+        </div>
+      </div>
+    `;
+
+    const close = () => overlay.remove();
+
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) {
+        close();
+        return;
+      }
+
+      const btn = event.target.closest('[data-action]');
+      if (!btn || btn.disabled) return;
+
+      close();
+      if (btn.dataset.action === 'confirm') {
+        onConfirm();
+      }
+    });
+
+    document.body.appendChild(overlay);
+  }
+
+  // 公开接口
+  return {
+    createBackup,
+    exportJSON,
+    exportEncryptedJSON,
+    isEncryptedBackup,
+    decryptBackup,
+    parseBackup,
+    createMergePlan,
+    importJSON
+  };
+})();
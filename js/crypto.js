@@ -0,0 +1,280 @@
+/**
+ * crypto.js - 数据加密
+ * 职责：基于 WebCrypto 的口令加密（PBKDF2 派生密钥 + AES-GCM 加密），供存储层与加密备份使用
+ *
+ * 密文统一表示为 { iv, data }（Base64），可直接写入 IndexedDB、LocalStorage 或 JSON 文件。
+ * 🆕 二进制数据（附件）加密为 { iv, bytes }，bytes 为 ArrayBuffer，只写入 IndexedDB。
+ */
+
+const DiaryCrypto = (function() {
+  'use strict';
+
+  // 密钥派生参数（PBKDF2-SHA256，迭代次数随密钥信息一起保存，日后可调整）
+  const KDF = 'PBKDF2-SHA256';
+  const ITERATIONS = 600000;
+  const SALT_BYTES = 16;
+  const IV_BYTES = 12;
+
+  // 口令校验用的固定明文：能解开即说明口令正确
+  const CHECK_TEXT = 'timeline-journal';
+
+  // 应用锁密码只需比对，不派生加密密钥，迭代次数较低以免每次解锁等待过久
+  const HASH_ITERATIONS = 100000;
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  /**
+   * 当前环境是否支持 WebCrypto（需要安全上下文：https 或 localhost）
+   * @returns {boolean}
+   */
+  function isSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  }
+
+  /**
+   * 字节数组 → Base64
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  function toBase64(bytes) {
+    let binary = '';
+    // 分段转换，避免超长参数列表
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Base64 → 字节数组
+   * @param {string} base64
+   * @returns {Uint8Array}
+   */
+  function fromBase64(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * 由口令派生 AES-GCM 密钥（不可导出）
+   * @param {string} passphrase
+   * @param {Uint8Array} salt
+   * @param {number} iterations
+   * @returns {Promise<CryptoKey>}
+   */
+  async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * 加密任意可序列化的值
+   * @param {CryptoKey} key
+   * @param {*} value
+   * @returns {Promise<object>} { iv, data }
+   */
+  async function encryptJSON(key, value) {
+    // 先同步序列化，之后对原对象的修改不会影响本次加密的内容
+    const plain = encoder.encode(JSON.stringify(value));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain);
+
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(cipher)) };
+  }
+
+  /**
+   * 解密 encryptJSON 生成的密文
+   * @param {CryptoKey} key
+   * @param {object} envelope - { iv, data }
+   * @returns {Promise<*>}
+   * @throws {Error} 密钥不匹配或密文被篡改时抛出
+   */
+  async function decryptJSON(key, envelope) {
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+      key,
+      fromBase64(envelope.data)
+    );
+    return JSON.parse(decoder.decode(plain));
+  }
+
+  /**
+   * 🆕 加密二进制数据
+   * @param {CryptoKey} key
+   * @param {ArrayBuffer} buffer
+   * @returns {Promise<object>} { iv, bytes }
+   */
+  async function encryptBytes(key, buffer) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const bytes = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, buffer);
+    return { iv: toBase64(iv), bytes };
+  }
+
+  /**
+   * 🆕 解密 encryptBytes 生成的密文
+   * @param {CryptoKey} key
+   * @param {object} envelope - { iv, bytes }
+   * @returns {Promise<ArrayBuffer>}
+   * @throws {Error} 密钥不匹配或密文被篡改时抛出
+   */
+  function decryptBytes(key, envelope) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, envelope.bytes);
+  }
+
+  /**
+   * 判断是否为密文
+   * @param {*} value
+   * @returns {boolean}
+   */
+  function isEnvelope(value) {
+    return !!value && typeof value === 'object' &&
+      typeof value.iv === 'string' && typeof value.data === 'string';
+  }
+
+  /**
+   * 为新口令生成密钥与密钥信息
+   * 密钥信息（盐、迭代次数、校验密文）需与数据一起保存，解锁时用来重新派生并校验
+   * @param {string} passphrase
+   * @returns {Promise<object>} { key, info: { kdf, iterations, salt, check } }
+   */
+  async function createKey(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const key = await deriveKey(passphrase, salt, ITERATIONS);
+
+    return {
+      key,
+      info: {
+        kdf: KDF,
+        iterations: ITERATIONS,
+        salt: toBase64(salt),
+        check: await encryptJSON(key, CHECK_TEXT)
+      }
+    };
+  }
+
+  /**
+   * 用口令解锁密钥
+   * @param {string} passphrase
+   * @param {object} info - createKey 生成的密钥信息
+   * @returns {Promise<CryptoKey|null>} 口令错误时返回 null
+   */
+  async function unlockKey(passphrase, info) {
+    if (!info || info.kdf !== KDF) {
+      throw new Error('无法识别的加密方式');
+    }
+
+    const key = await deriveKey(passphrase, fromBase64(info.salt), info.iterations);
+
+    try {
+      return (await decryptJSON(key, info.check)) === CHECK_TEXT ? key : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 用口令加密（独立的盐，用于加密备份文件）
+   * @param {*} value
+   * @param {string} passphrase
+   * @returns {Promise<object>} { kdf, iterations, salt, iv, data }
+   */
+  async function encryptWithPassphrase(value, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const key = await deriveKey(passphrase, salt, ITERATIONS);
+
+    return {
+      kdf: KDF,
+      iterations: ITERATIONS,
+      salt: toBase64(salt),
+      ...(await encryptJSON(key, value))
+    };
+  }
+
+  /**
+   * 解密 encryptWithPassphrase 生成的内容
+   * @param {object} payload - { kdf, iterations, salt, iv, data }
+   * @param {string} passphrase
+   * @returns {Promise<*>}
+   * @throws {Error} 口令错误时抛出，message 可直接展示给用户
+   */
+  async function decryptWithPassphrase(payload, passphrase) {
+    if (!isSupported()) {
+      throw new Error('当前环境不支持解密，请通过 https 或 localhost 打开应用');
+    }
+    if (!payload || payload.kdf !== KDF || !isEnvelope(payload)) {
+      throw new Error('无法识别的加密方式');
+    }
+
+    const key = await deriveKey(passphrase, fromBase64(payload.salt), payload.iterations);
+
+    try {
+      return await decryptJSON(key, payload);
+    } catch (error) {
+      throw new Error('口令不正确');
+    }
+  }
+
+  /**
+   * 计算密码的校验值（应用锁）
+   * @param {string} secret - 密码
+   * @param {string} [salt] - Base64 盐，省略时随机生成
+   * @param {number} [iterations]
+   * @returns {Promise<object>} { salt, iterations, hash }
+   */
+  async function hashSecret(secret, salt, iterations = HASH_ITERATIONS) {
+    const saltBytes = salt ? fromBase64(salt) : crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const material = await crypto.subtle.importKey(
+      'raw', encoder.encode(secret), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt: saltBytes, iterations, hash: 'SHA-256' },
+      material,
+      256
+    );
+
+    return { salt: toBase64(saltBytes), iterations, hash: toBase64(new Uint8Array(bits)) };
+  }
+
+  /**
+   * 校验密码
+   * @param {string} secret - 输入的密码
+   * @param {object} record - hashSecret 的返回值
+   * @returns {Promise<boolean>}
+   */
+  async function verifySecret(secret, record) {
+    const { hash } = await hashSecret(secret, record.salt, record.iterations);
+    return hash === record.hash;
+  }
+
+  // 公开接口
+  return {
+    isSupported,
+    encryptJSON,
+    decryptJSON,
+    encryptBytes,
+    decryptBytes,
+    toBase64,    // 🆕 附件写入 JSON 备份
+    fromBase64,
+    isEnvelope,
+    createKey,
+    unlockKey,
+    encryptWithPassphrase,
+    decryptWithPassphrase,
+    hashSecret,
+    verifySecret
+  };
+})();
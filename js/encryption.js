@@ -0,0 +1,382 @@
+/**
+ * encryption.js - 数据加密界面
+ * 职责：启动时的解锁界面、加密设置（启用 / 修改口令 / 关闭），以及通用的口令输入框
+ */
+
+const DiaryEncryption = (function() {
+  'use strict';
+
+  // 新口令的最小长度
+  const MIN_LENGTH = 8;
+
+  let unlockScreen = null;
+  let settingsOverlay = null;
+
+  /**
+   * 校验新口令
+   * @param {string} passphrase
+   * @param {string} confirmation - 再次输入的口令
+   * @returns {string|null} 错误提示，通过时返回 null
+   */
+  function validateNewPassphrase(passphrase, confirmation) {
+    if (passphrase.length < MIN_LENGTH) {
+      return `口令至少需要 ${MIN_LENGTH} 个字符`;
+    }
+    if (passphrase !== confirmation) {
+      return '两次输入的口令不一致';
+    }
+    return null;
+  }
+
+  /**
+   * ========================================
+   * 解锁界面
+   * ========================================
+   */
+
+  /**
+   * 显示解锁界面（替代主界面，直到解锁成功）
+   * @param {Function} onUnlocked - 解锁成功后的回调
+   */
+  function showUnlock(onUnlocked) {
+    if (unlockScreen) return;
+
+    const screen = document.createElement('div');
+    screen.className = 'unlock-screen';
+    screen.id = 'unlockScreen';
+
+    screen.innerHTML = `
+      <form class="unlock-card" autocomplete="off">
+        <h2 class="unlock-title">日记已加密</h2>
+        <p class="unlock-text">请输入口令解锁。</p>
+        <input type="password" class="unlock-input" id="unlockPassphrase"
+               placeholder="口令" aria-label="口令" autocomplete="current-password">
+        <p class="unlock-error" aria-live="polite"></p>
+        <button type="submit" class="unlock-btn">解锁</button>
+        <p class="unlock-hint">口令只保存在你的记忆中，遗失后数据无法恢复。</p>
+      </form>
+    `;
+
+    const form = screen.querySelector('form');
+    const input = screen.querySelector('#unlockPassphrase');
+    const errorEl = screen.querySelector('.unlock-error');
+    const submitBtn = screen.querySelector('.unlock-btn');
+
+    const finish = () => {
+      unsubscribe();
+      screen.remove();
+      unlockScreen = null;
+      if (onUnlocked) onUnlocked();
+    };
+
+    // 其他页面关闭了加密：无需口令，直接进入
+    const unsubscribe = DiaryStorage.subscribe(change => {
+      if (change.sections.includes('encryption') && DiaryStorage.getStatus() === 'ready') {
+        finish();
+      }
+    });
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      if (!input.value) return;
+
+      submitBtn.disabled = true;
+      submitBtn.textContent = '正在解锁…';
+      errorEl.textContent = '';
+
+      try {
+        if (await DiaryStorage.unlock(input.value)) {
+          finish();
+          return;
+        }
+        errorEl.textContent = '口令不正确';
+      } catch (error) {
+        console.error('❌ 解锁失败:', error);
+        errorEl.textContent = '数据解密失败，请确认口令或从备份恢复';
+      }
+
+      submitBtn.disabled = false;
+      submitBtn.textContent = '解锁';
+      input.select();
+    });
+
+    document.body.appendChild(screen);
+    unlockScreen = screen;
+    input.focus();
+  }
+
+  /**
+   * ========================================
+   * 加密设置
+   * ========================================
+   */
+
+  /**
+   * 打开加密设置面板
+   */
+  function openSettings() {
+    if (settingsOverlay) close();
+
+    settingsOverlay = document.createElement('div');
+    settingsOverlay.className = 'editor-overlay encryption-overlay active';
+    settingsOverlay.id = 'encryptionOverlay';
+
+    settingsOverlay.innerHTML = `
+      <form class="editor-container encryption-container" autocomplete="off">
+        <div class="editor-header">
+          <button type="button" class="btn-close" data-action="close" aria-label="关闭">×</button>
+          <span class="encryption-title">数据加密</span>
+        </div>
+        ${generateSettingsHTML()}
+      </form>
+    `;
+
+    const form = settingsOverlay.querySelector('form');
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      handleSettingsAction(DiaryStorage.isEncrypted() ? 'change' : 'enable');
+    });
+
+    settingsOverlay.addEventListener('click', (event) => {
+      if (event.target === settingsOverlay) {
+        close();
+        return;
+      }
+
+      const btn = event.target.closest('[data-action]');
+      if (!btn || btn.disabled) return;
+
+      if (btn.dataset.action === 'close') {
+        close();
+      } else if (btn.dataset.action === 'disable') {
+        handleSettingsAction('disable');
+      }
+    });
+
+    document.addEventListener('keydown', handleKeydown);
+    document.body.appendChild(settingsOverlay);
+
+    const firstInput = settingsOverlay.querySelector('input');
+    if (firstInput) firstInput.focus();
+  }
+
+  /**
+   * 关闭加密设置面板
+   */
+  function close() {
+    if (!settingsOverlay) return;
+
+    settingsOverlay.remove();
+    settingsOverlay = null;
+    document.removeEventListener('keydown', handleKeydown);
+  }
+
+  /**
+   * Esc 关闭面板
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (event.key === 'Escape') {
+      close();
+    }
+  }
+
+  /**
+   * 生成设置面板内容（随加密状态变化）
+   * @returns {string} HTML 字符串
+   */
+  function generateSettingsHTML() {
+    if (!DiaryCrypto.isSupported()) {
+      return `
+        <div class="encryption-body">
+          <p class="encryption-text">当前环境不支持加密。请通过 https 或 localhost 打开应用后再试。</p>
+        </div>
+      `;
+    }
+
+    if (!DiaryStorage.isEncrypted()) {
+      return `
+        <div class="encryption-body">
+          <p class="encryption-text">
+            启用后，记录、天气、特殊日期与设置都会以口令加密后保存在本机，每次打开应用需要输入口令。
+          </p>
+          <p class="encryption-text encryption-text--warning">口令遗失后数据无法恢复，请务必牢记。</p>
+          <input type="password" class="encryption-input" name="next" placeholder="设置口令（至少 ${MIN_LENGTH} 个字符）" autocomplete="new-password">
+          <input type="password" class="encryption-input" name="confirm" placeholder="再次输入口令" autocomplete="new-password">
+          <p class="encryption-error" aria-live="polite"></p>
+        </div>
+        <div class="editor-footer">
+          <span></span>
+          <button type="submit" class="btn-save" data-action="enable">启用加密</button>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="encryption-body">
+        <p class="encryption-text">已启用加密。修改口令会用新口令重新加密全部数据。</p>
+        <input type="password" class="encryption-input" name="current" placeholder="当前口令" autocomplete="current-password">
+        <input type="password" class="encryption-input" name="next" placeholder="新口令（至少 ${MIN_LENGTH} 个字符）" autocomplete="new-password">
+        <input type="password" class="encryption-input" name="confirm" placeholder="再次输入新口令" autocomplete="new-password">
+        <p class="encryption-error" aria-live="polite"></p>
+      </div>
+      <div class="editor-footer">
+        <button type="button" class="btn-delete" data-action="disable">关闭加密</button>
+        <button type="submit" class="btn-save" data-action="change">修改口令</button>
+      </div>
+    `;
+  }
+
+  /**
+   * 执行设置操作
+   * @param {string} action - 'enable' | 'change' | 'disable'
+   * @returns {Promise<void>}
+   */
+  async function handleSettingsAction(action) {
+    const panel = settingsOverlay;
+    if (!panel) return;
+
+    const value = name => (panel.querySelector(`[name="${name}"]`) || {}).value || '';
+    const errorEl = panel.querySelector('.encryption-error');
+    const buttons = panel.querySelectorAll('.editor-footer button');
+
+    let error = null;
+    if (action === 'enable' || action === 'change') {
+      error = validateNewPassphrase(value('next'), value('confirm'));
+    }
+    if (!error && action !== 'enable' && !value('current')) {
+      error = '请输入当前口令';
+    }
+    if (error) {
+      errorEl.textContent = error;
+      return;
+    }
+
+    if (action === 'disable' &&
+        !confirm('关闭加密后，数据将以明文保存在本机。\n\n确定关闭？')) {
+      return;
+    }
+
+    buttons.forEach(btn => { btn.disabled = true; });
+    errorEl.textContent = action === 'disable' ? '正在解密…' : '正在加密…';
+
+    try {
+      let ok = true;
+      if (action === 'enable') {
+        await DiaryStorage.enableEncryption(value('next'));
+      } else if (action === 'change') {
+        ok = await DiaryStorage.changePassphrase(value('current'), value('next'));
+      } else {
+        ok = await DiaryStorage.disableEncryption(value('current'));
+      }
+
+      if (!ok) {
+        errorEl.textContent = '当前口令不正确';
+        buttons.forEach(btn => { btn.disabled = false; });
+        return;
+      }
+
+      close();
+      alert(action === 'disable'
+        ? '已关闭加密'
+        : '口令已生效。请牢记口令，遗失后数据无法恢复。');
+
+    } catch (err) {
+      console.error('❌ 加密设置失败:', err);
+      errorEl.textContent = err.name === 'KeyChangedError'
+        ? '口令已在其他页面更改，请重新解锁后再试'
+        : '操作失败，数据未做修改';
+      buttons.forEach(btn => { btn.disabled = false; });
+    }
+  }
+
+  /**
+   * ========================================
+   * 口令输入框
+   * ========================================
+   */
+
+  /**
+   * 请用户输入口令（加密备份的导出与导入）
+   * @param {object} options - { title, desc, confirm }，confirm 为 true 时设置新口令（需输入两次）
+   * @returns {Promise<string|null>} 取消时返回 null
+   */
+  function askPassphrase({ title, desc = '', confirm = false }) {
+    return new Promise(resolve => {
+      const overlay = document.createElement('div');
+      overlay.className = 'editor-overlay passphrase-overlay active';
+      overlay.id = 'passphraseOverlay';
+
+      overlay.innerHTML = `
+        <form class="editor-container passphrase-container" autocomplete="off">
+          <div class="editor-header">
+            <button type="button" class="btn-close" data-action="cancel" aria-label="关闭">×</button>
+            <span class="encryption-title">${DiaryUI.escapeHTML(title)}</span>
+          </div>
+          <div class="encryption-body">
+            ${desc ? `<p class="encryption-text">${DiaryUI.escapeHTML(desc)}</p>` : ''}
+            <input type="password" class="encryption-input" name="passphrase"
+                   placeholder="${confirm ? `口令（至少 ${MIN_LENGTH} 个字符）` : '口令'}"
+                   autocomplete="${confirm ? 'new-password' : 'current-password'}">
+            ${confirm ? '<input type="password" class="encryption-input" name="confirm" placeholder="再次输入口令" autocomplete="new-password">' : ''}
+            <p class="encryption-error" aria-live="polite"></p>
+          </div>
+          <div class="editor-footer">
+            <button type="button" class="btn-delete" data-action="cancel">取消</button>
+            <button type="submit" class="btn-save">确定</button>
+          </div>
+        </form>
+      `;
+
+      const form = overlay.querySelector('form');
+      const input = overlay.querySelector('[name="passphrase"]');
+
+      const finish = (result) => {
+        document.removeEventListener('keydown', handleEsc, true);
+        overlay.remove();
+        resolve(result);
+      };
+
+      // Esc 只关闭口令框，不影响下方的面板
+      const handleEsc = (event) => {
+        if (event.key === 'Escape') {
+          event.stopPropagation();
+          finish(null);
+        }
+      };
+
+      form.addEventListener('submit', (event) => {
+        event.preventDefault();
+
+        const passphrase = input.value;
+        const error = confirm
+          ? validateNewPassphrase(passphrase, overlay.querySelector('[name="confirm"]').value)
+          : (passphrase ? null : '请输入口令');
+
+        if (error) {
+          overlay.querySelector('.encryption-error').textContent = error;
+          return;
+        }
+        finish(passphrase);
+      });
+
+      overlay.addEventListener('click', (event) => {
+        if (event.target === overlay || event.target.closest('[data-action="cancel"]')) {
+          finish(null);
+        }
+      });
+
+      document.addEventListener('keydown', handleEsc, true);
+      document.body.appendChild(overlay);
+      input.focus();
+    });
+  }
+
+  // 公开接口
+  return {
+    showUnlock,
+    openSettings,
+    close,
+    askPassphrase
+  };
+})();
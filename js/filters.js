@@ -0,0 +1,452 @@
+/**
+ * filters.js - 时间轴筛选
+ * 职责：按日期范围、天气、字数、时段、特殊日期、生日、是否修改过筛选记录，
+ *       多个条件可按"全部满足 / 满足任一"组合；提供筛选栏与筛选面板
+ *
+ * 筛选条件：{ mode: 'and' | 'or', conditions: [{ type, ... }] }
+ *   { type: 'date', from, to }           日期范围（YYYY-MM-DD，可只填一端）
+ *   { type: 'weather', values }          天气（记录的天气，没有时取当天天气）
+ *   { type: 'wordCount', min, max }      字数范围（可只填一端）
+ *   { type: 'timeOfDay', values }        时段（见 TIME_BUCKETS）
+ *   { type: 'milestone' }                特殊日期当天
+ *   { type: 'birthday' }                 生日当天
+ *   { type: 'edited' }                   写完后修改过（有历史版本）
+ */
+
+const DiaryFilters = (function() {
+  'use strict';
+
+  const MODES = {
+    AND: 'and',
+    OR: 'or'
+  };
+
+  // 时段：[开始小时, 结束小时)
+  const TIME_BUCKETS = [
+    { value: 'night', label: '深夜', from: 0, to: 5 },
+    { value: 'morning', label: '上午', from: 5, to: 12 },
+    { value: 'afternoon', label: '下午', from: 12, to: 18 },
+    { value: 'evening', label: '晚上', from: 18, to: 24 }
+  ];
+
+  // 🆕 天气选项与记录、每日天气共用
+  const WEATHER_OPTIONS = DiaryModels.WEATHER_OPTIONS.map(option => ({ value: option.id, label: option.label }));
+
+  // 各类条件的判断：(entry, condition, context) => boolean
+  // context: { dateKey, birthDate }
+  const MATCHERS = {
+    date(entry, condition, context) {
+      return (!condition.from || context.dateKey >= condition.from) &&
+        (!condition.to || context.dateKey <= condition.to);
+    },
+
+    weather(entry, condition, context) {
+      const weather = entry.weather || DiaryStorage.getDailyWeather(context.dateKey);
+      return condition.values.includes(weather);
+    },
+
+    wordCount(entry, condition) {
+      const count = entry.metadata && typeof entry.metadata.wordCount === 'number'
+        ? entry.metadata.wordCount
+        : entry.content.trim().length;
+      return (condition.min === undefined || count >= condition.min) &&
+        (condition.max === undefined || count <= condition.max);
+    },
+
+    timeOfDay(entry, condition) {
+      const hour = new Date(entry.createdAt).getHours();
+      return TIME_BUCKETS.some(bucket =>
+        condition.values.includes(bucket.value) && hour >= bucket.from && hour < bucket.to
+      );
+    },
+
+    milestone(entry, condition, context) {
+      return !!DiaryStorage.getMilestone(context.dateKey);
+    },
+
+    birthday(entry, condition, context) {
+      return !!context.birthDate && DiaryModels.isBirthday(context.dateKey, context.birthDate);
+    },
+
+    edited(entry) {
+      return Array.isArray(entry.revisions) && entry.revisions.length > 0;
+    }
+  };
+
+  let overlay = null;
+
+  /**
+   * 创建空的筛选条件
+   * @returns {object}
+   */
+  function createQuery() {
+    return { mode: MODES.AND, conditions: [] };
+  }
+
+  /**
+   * 筛选条件是否生效
+   * @param {object|null} query
+   * @returns {boolean}
+   */
+  function isActive(query) {
+    return !!query && query.conditions.length > 0;
+  }
+
+  /**
+   * 按筛选条件过滤记录（已删除的记录始终排除）
+   * @param {Array} entries - 记录数组
+   * @param {object|null} query - 筛选条件
+   * @returns {Array} 符合条件的记录
+   */
+  function filterEntries(entries, query) {
+    const active = entries.filter(entry => !entry.deleted);
+    if (!isActive(query)) return active;
+
+    const birthDate = DiaryStorage.getBirthDate();
+    return active.filter(entry => matchEntry(entry, query, birthDate));
+  }
+
+  /**
+   * 判断单条记录是否符合筛选条件
+   * @param {object} entry - 记录对象
+   * @param {object} query - 筛选条件
+   * @param {string|null} [birthDate] - 出生日期（批量筛选时由调用方传入，避免重复读取）
+   * @returns {boolean}
+   */
+  function matchEntry(entry, query, birthDate = DiaryStorage.getBirthDate()) {
+    if (!isActive(query)) return true;
+
+    const context = {
+      dateKey: DiaryModels.formatDateKey(new Date(entry.createdAt)),
+      birthDate
+    };
+    const test = condition => {
+      const matcher = MATCHERS[condition.type];
+      return matcher ? matcher(entry, condition, context) : true;
+    };
+
+    return query.mode === MODES.OR
+      ? query.conditions.some(test)
+      : query.conditions.every(test);
+  }
+
+  /**
+   * 生成条件的简短描述（筛选栏显示）
+   * @param {object} condition
+   * @returns {string}
+   */
+  function describeCondition(condition) {
+    const labelsOf = (options, values) => options
+      .filter(option => values.includes(option.value))
+      .map(option => option.label)
+      .join('、');
+
+    switch (condition.type) {
+      case 'date':
+        if (condition.from && condition.to) return `${condition.from} 至 ${condition.to}`;
+        return condition.from ? `${condition.from} 之后` : `${condition.to} 之前`;
+      case 'weather':
+        return `天气：${labelsOf(WEATHER_OPTIONS, condition.values)}`;
+      case 'wordCount':
+        if (condition.min !== undefined && condition.max !== undefined) return `${condition.min}–${condition.max} 字`;
+        return condition.min !== undefined ? `至少 ${condition.min} 字` : `最多 ${condition.max} 字`;
+      case 'timeOfDay':
+        return `时段：${labelsOf(TIME_BUCKETS, condition.values)}`;
+      case 'milestone':
+        return '特殊日期';
+      case 'birthday':
+        return '生日';
+      case 'edited':
+        return '修改过';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * ========================================
+   * 筛选栏
+   * ========================================
+   */
+
+  /**
+   * 渲染筛选栏
+   * @param {object|null} query - 当前筛选条件
+   * @param {number} matchCount - 符合条件的记录数
+   * @param {Function} onChange - 条件变化后的回调 (query|null) => void
+   */
+  function renderBar(query, matchCount, onChange) {
+    const bar = document.getElementById('filterBar');
+    if (!bar) return;
+
+    const active = isActive(query);
+    bar.classList.toggle('filter-bar--active', active);
+
+    const summaryHTML = active
+      ? `
+        <span class="filter-bar-mode">${query.mode === MODES.OR ? '满足任一' : '全部满足'}</span>
+        ${query.conditions.map(condition =>
+          `<span class="filter-bar-chip">${DiaryUI.escapeHTML(describeCondition(condition))}</span>`
+        ).join('')}
+        <span class="filter-bar-count">${matchCount} 条记录</span>
+        <button type="button" class="filter-bar-clear" data-action="clear" aria-label="清除筛选">×</button>
+      `
+      : '';
+
+    bar.innerHTML = `
+      <button type="button" class="filter-bar-btn" data-action="open">
+        <svg class="filter-bar-icon" viewBox="0 0 16 16" fill="none">
+          <path d="M2 3.5h12M4.5 8h7M7 12.5h2" stroke="currentColor" stroke-width="1.4" stroke-linecap="round"/>
+        </svg>
+        筛选
+      </button>
+      ${summaryHTML}
+    `;
+
+    bar.onclick = (event) => {
+      const btn = event.target.closest('[data-action]');
+      if (btn && btn.dataset.action === 'clear') {
+        onChange(null);
+      } else if (btn || event.target.closest('.filter-bar-chip')) {
+        openPanel(query, onChange);
+      }
+    };
+  }
+
+  /**
+   * ========================================
+   * 筛选面板
+   * ========================================
+   */
+
+  /**
+   * 打开筛选面板
+   * @param {object|null} query - 当前筛选条件
+   * @param {Function} onApply - 应用后的回调 (query|null) => void
+   */
+  function openPanel(query, onApply) {
+    if (overlay) close();
+
+    const current = query || createQuery();
+    const find = type => current.conditions.find(condition => condition.type === type) || null;
+
+    overlay = document.createElement('div');
+    overlay.className = 'editor-overlay filter-overlay active';
+    overlay.id = 'filterOverlay';
+
+    overlay.innerHTML = `
+      <form class="editor-container filter-container" autocomplete="off">
+        <div class="editor-header">
+          <button type="button" class="btn-close" data-action="close" aria-label="关闭">×</button>
+          <span class="filter-title">筛选记录</span>
+        </div>
+        <div class="filter-body">
+          ${generatePanelBodyHTML(current, find)}
+          <p class="filter-error" aria-live="polite"></p>
+        </div>
+        <div class="editor-footer">
+          <button type="button" class="btn-delete" data-action="reset">清除条件</button>
+          <button type="submit" class="btn-save">应用</button>
+        </div>
+      </form>
+    `;
+
+    const form = overlay.querySelector('form');
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+
+      const result = readPanel(form);
+      if (result.error) {
+        overlay.querySelector('.filter-error').textContent = result.error;
+        return;
+      }
+
+      close();
+      onApply(isActive(result.query) ? result.query : null);
+    });
+
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay || event.target.closest('[data-action="close"]')) {
+        close();
+      } else if (event.target.closest('[data-action="reset"]')) {
+        close();
+        onApply(null);
+      }
+    });
+
+    document.addEventListener('keydown', handleKeydown);
+    document.body.appendChild(overlay);
+  }
+
+  /**
+   * 关闭筛选面板
+   */
+  function close() {
+    if (!overlay) return;
+
+    overlay.remove();
+    overlay = null;
+    document.removeEventListener('keydown', handleKeydown);
+  }
+
+  /**
+   * Esc 关闭面板
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (event.key === 'Escape') {
+      close();
+    }
+  }
+
+  /**
+   * 生成筛选面板内容
+   * @param {object} query - 当前筛选条件
+   * @param {Function} find - 按类型取当前条件
+   * @returns {string} HTML 字符串
+   */
+  function generatePanelBodyHTML(query, find) {
+    const date = find('date') || {};
+    const weather = find('weather') || { values: [] };
+    const wordCount = find('wordCount') || {};
+    const timeOfDay = find('timeOfDay') || { values: [] };
+    const valueOf = value => (value === undefined ? '' : value);
+
+    const checkboxes = (name, options, values) => options.map(option => `
+      <label class="filter-option">
+        <input type="checkbox" name="${name}" value="${option.value}"${values.includes(option.value) ? ' checked' : ''}>
+        <span>${option.label}</span>
+      </label>
+    `).join('');
+
+    const flag = (name, label) => `
+      <label class="filter-option filter-option--flag">
+        <input type="checkbox" name="${name}"${find(name) ? ' checked' : ''}>
+        <span>${label}</span>
+      </label>
+    `;
+
+    return `
+      <div class="filter-row">
+        <span class="filter-label">日期</span>
+        <div class="filter-fields">
+          <input type="date" class="filter-input" name="dateFrom" value="${valueOf(date.from)}" aria-label="开始日期">
+          <span class="filter-sep">至</span>
+          <input type="date" class="filter-input" name="dateTo" value="${valueOf(date.to)}" aria-label="结束日期">
+        </div>
+      </div>
+      <div class="filter-row">
+        <span class="filter-label">天气</span>
+        <div class="filter-fields">${checkboxes('weather', WEATHER_OPTIONS, weather.values)}</div>
+      </div>
+      <div class="filter-row">
+        <span class="filter-label">字数</span>
+        <div class="filter-fields">
+          <input type="number" class="filter-input filter-input--number" name="wordMin" min="0" value="${valueOf(wordCount.min)}" placeholder="不限" aria-label="最少字数">
+          <span class="filter-sep">至</span>
+          <input type="number" class="filter-input filter-input--number" name="wordMax" min="0" value="${valueOf(wordCount.max)}" placeholder="不限" aria-label="最多字数">
+        </div>
+      </div>
+      <div class="filter-row">
+        <span class="filter-label">时段</span>
+        <div class="filter-fields">${checkboxes('timeOfDay', TIME_BUCKETS, timeOfDay.values)}</div>
+      </div>
+      <div class="filter-row">
+        <span class="filter-label">只看</span>
+        <div class="filter-fields">
+          ${flag('milestone', '特殊日期')}
+          ${flag('birthday', '生日')}
+          ${flag('edited', '修改过的记录')}
+        </div>
+      </div>
+      <div class="filter-row">
+        <span class="filter-label">组合</span>
+        <div class="filter-fields">
+          <label class="filter-option">
+            <input type="radio" name="mode" value="${MODES.AND}"${query.mode !== MODES.OR ? ' checked' : ''}>
+            <span>全部满足</span>
+          </label>
+          <label class="filter-option">
+            <input type="radio" name="mode" value="${MODES.OR}"${query.mode === MODES.OR ? ' checked' : ''}>
+            <span>满足任一</span>
+          </label>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * 读取筛选面板中的条件
+   * @param {HTMLFormElement} form
+   * @returns {object} { query } 或 { error }
+   */
+  function readPanel(form) {
+    const value = name => form.querySelector(`[name="${name}"]`).value.trim();
+    const checked = name => Array.from(form.querySelectorAll(`[name="${name}"]:checked`)).map(input => input.value);
+    const number = name => (value(name) === '' ? undefined : Math.max(0, parseInt(value(name), 10)));
+
+    const conditions = [];
+
+    const from = value('dateFrom');
+    const to = value('dateTo');
+    if (from && to && from > to) {
+      return { error: '开始日期不能晚于结束日期' };
+    }
+    if (from || to) {
+      conditions.push({ type: 'date', ...(from && { from }), ...(to && { to }) });
+    }
+
+    const weather = checked('weather');
+    if (weather.length > 0) {
+      conditions.push({ type: 'weather', values: weather });
+    }
+
+    const min = number('wordMin');
+    const max = number('wordMax');
+    if ([min, max].some(n => n !== undefined && isNaN(n))) {
+      return { error: '字数需要填写数字' };
+    }
+    if (min !== undefined && max !== undefined && min > max) {
+      return { error: '最少字数不能大于最多字数' };
+    }
+    if (min !== undefined || max !== undefined) {
+      conditions.push({
+        type: 'wordCount',
+        ...(min !== undefined && { min }),
+        ...(max !== undefined && { max })
+      });
+    }
+
+    const timeOfDay = checked('timeOfDay');
+    if (timeOfDay.length > 0) {
+      conditions.push({ type: 'timeOfDay', values: timeOfDay });
+    }
+
+    ['milestone', 'birthday', 'edited'].forEach(type => {
+      if (form.querySelector(`[name="${type}"]`).checked) {
+        conditions.push({ type });
+      }
+    });
+
+    return {
+      query: {
+        mode: checked('mode')[0] === MODES.OR ? MODES.OR : MODES.AND,
+        conditions
+      }
+    };
+  }
+
+  // 公开接口
+  return {
+    MODES,
+    TIME_BUCKETS,
+    createQuery,
+    isActive,
+    filterEntries,
+    matchEntry,
+    describeCondition,
+    renderBar,
+    openPanel,
+    close
+  };
+})();
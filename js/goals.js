@@ -0,0 +1,270 @@
+/**
+ * goals.js - 每日目标与连续达成
+ * 职责：根据每日目标（记录条数或字数）判断每天是否达成，计算连续达成天数，
+ *       在写作入口旁显示进度，并提供目标设置面板
+ */
+
+const DiaryGoals = (function() {
+  'use strict';
+
+  const TYPES = {
+    ENTRIES: 'entries',  // 每天至少 N 条记录
+    CHARS: 'chars'       // 每天至少 N 字
+  };
+
+  const DEFAULT_TARGETS = {
+    [TYPES.ENTRIES]: 1,
+    [TYPES.CHARS]: 200
+  };
+
+  let settingsOverlay = null;
+  let renderScheduled = false;
+
+  /**
+   * 按天汇总记录条数与字数
+   * @returns {Map} 日期键 → { entries, chars }
+   */
+  function getDailyTotals() {
+    const totals = new Map();
+
+    DiaryStorage.getAllEntries()
+      .filter(entry => !entry.deleted)
+      .forEach(entry => {
+        const dateKey = DiaryModels.formatDateKey(new Date(entry.createdAt));
+        const day = totals.get(dateKey) || { entries: 0, chars: 0 };
+        day.entries++;
+        day.chars += entry.metadata && typeof entry.metadata.wordCount === 'number'
+          ? entry.metadata.wordCount
+          : entry.content.trim().length;
+        totals.set(dateKey, day);
+      });
+
+    return totals;
+  }
+
+  /**
+   * 达成目标的日期
+   * @param {Map} [totals] - 已算好的每日汇总（省略时重新计算）
+   * @returns {Set|null} 日期键集合，未设置目标时返回 null
+   */
+  function getGoalMetDates(totals) {
+    const goal = DiaryStorage.getDailyGoal();
+    if (!goal) return null;
+
+    const dates = new Set();
+    (totals || getDailyTotals()).forEach((day, dateKey) => {
+      if (day[goal.type] >= goal.target) {
+        dates.add(dateKey);
+      }
+    });
+    return dates;
+  }
+
+  /**
+   * 今天的进度与连续达成天数
+   * @returns {object|null} { goal, today, met, streak, longest }，未设置目标时返回 null
+   */
+  function getProgress() {
+    const goal = DiaryStorage.getDailyGoal();
+    if (!goal) return null;
+
+    // 🆕 汇总只算一次，今天的进度与连续天数共用
+    const totals = getDailyTotals();
+    const todayKey = DiaryModels.formatDateKey(new Date());
+    const today = totals.get(todayKey) || { entries: 0, chars: 0 };
+    const streaks = DiaryStats.computeStreaks(getGoalMetDates(totals));
+
+    return {
+      goal,
+      today: today[goal.type],
+      met: today[goal.type] >= goal.target,
+      streak: streaks.current,
+      longest: streaks.longest
+    };
+  }
+
+  /**
+   * ========================================
+   * 写作入口旁的进度
+   * ========================================
+   */
+
+  /**
+   * 渲染进度指示（未设置目标时隐藏）
+   */
+  function renderIndicator() {
+    const indicator = document.getElementById('writingEntryGoal');
+    if (!indicator) return;
+
+    const progress = getProgress();
+    if (!progress) {
+      indicator.hidden = true;
+      return;
+    }
+
+    const unit = progress.goal.type === TYPES.CHARS ? '字' : '条';
+    indicator.hidden = false;
+    indicator.classList.toggle('writing-entry-goal--met', progress.met);
+    indicator.title = `每日目标：${progress.goal.target} ${unit}\n连续达成 ${progress.streak} 天，最长 ${progress.longest} 天`;
+    indicator.innerHTML = `
+      <span class="goal-streak">🔥 ${progress.streak}</span>
+      <span class="goal-today">${Math.min(progress.today, progress.goal.target)}/${progress.goal.target} ${unit}</span>
+    `;
+  }
+
+  /**
+   * 🆕 在下一帧渲染进度：连续多次数据变化只渲染一次
+   */
+  function scheduleRenderIndicator() {
+    if (renderScheduled) return;
+    renderScheduled = true;
+
+    const schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : callback => setTimeout(callback, 16);
+    schedule(() => {
+      renderScheduled = false;
+      renderIndicator();
+    });
+  }
+
+  /**
+   * 初始化：渲染进度并跟随数据变化更新
+   */
+  function init() {
+    const indicator = document.getElementById('writingEntryGoal');
+    if (indicator) {
+      indicator.addEventListener('click', (event) => {
+        event.stopPropagation();
+        openSettings();
+      });
+    }
+
+    DiaryStorage.subscribe(change => {
+      if (change.sections.some(section => section === 'entries' || section === 'settings' || section === 'encryption')) {
+        scheduleRenderIndicator();
+      }
+    });
+
+    renderIndicator();
+  }
+
+  /**
+   * ========================================
+   * 目标设置
+   * ========================================
+   */
+
+  /**
+   * 打开目标设置面板
+   */
+  function openSettings() {
+    if (settingsOverlay) close();
+
+    const goal = DiaryStorage.getDailyGoal();
+    const type = goal ? goal.type : TYPES.ENTRIES;
+    const target = goal ? goal.target : DEFAULT_TARGETS[type];
+
+    settingsOverlay = document.createElement('div');
+    settingsOverlay.className = 'editor-overlay goal-overlay active';
+    settingsOverlay.id = 'goalOverlay';
+
+    settingsOverlay.innerHTML = `
+      <form class="editor-container goal-container" autocomplete="off">
+        <div class="editor-header">
+          <button type="button" class="btn-close" data-action="close" aria-label="关闭">×</button>
+          <span class="settings-panel-title">每日目标</span>
+        </div>
+        <div class="settings-panel-body">
+          <p class="settings-panel-text">达成目标的日子会在生命日历上标出，写作入口旁显示连续达成的天数。</p>
+          <div class="goal-types">
+            <label class="goal-type">
+              <input type="radio" name="type" value="${TYPES.ENTRIES}"${type === TYPES.ENTRIES ? ' checked' : ''}>
+              <span>记录条数</span>
+            </label>
+            <label class="goal-type">
+              <input type="radio" name="type" value="${TYPES.CHARS}"${type === TYPES.CHARS ? ' checked' : ''}>
+              <span>字数</span>
+            </label>
+          </div>
+          <label class="goal-target">
+            <span>每天至少</span>
+            <input type="number" class="settings-panel-input goal-target-input" name="target" min="1" step="1" value="${target}">
+            <span class="goal-target-unit">${type === TYPES.CHARS ? '字' : '条'}</span>
+          </label>
+          <p class="settings-panel-error" aria-live="polite"></p>
+        </div>
+        <div class="editor-footer">
+          ${goal ? '<button type="button" class="btn-delete" data-action="disable">关闭目标</button>' : '<span></span>'}
+          <button type="submit" class="btn-save">${goal ? '保存' : '设定目标'}</button>
+        </div>
+      </form>
+    `;
+
+    const form = settingsOverlay.querySelector('form');
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+
+      const value = Number(form.querySelector('[name="target"]').value);
+      if (!Number.isInteger(value) || value < 1) {
+        form.querySelector('.settings-panel-error').textContent = '请输入大于 0 的整数';
+        return;
+      }
+
+      DiaryStorage.setDailyGoal({ type: form.querySelector('[name="type"]:checked').value, target: value });
+      close();
+      DiaryUI.renderLifeCalendar();
+    });
+
+    // 切换类型时换成该类型的默认目标
+    form.addEventListener('change', (event) => {
+      if (event.target.name !== 'type') return;
+      form.querySelector('[name="target"]').value = DEFAULT_TARGETS[event.target.value];
+      form.querySelector('.goal-target-unit').textContent = event.target.value === TYPES.CHARS ? '字' : '条';
+    });
+
+    settingsOverlay.addEventListener('click', (event) => {
+      if (event.target === settingsOverlay || event.target.closest('[data-action="close"]')) {
+        close();
+      } else if (event.target.closest('[data-action="disable"]')) {
+        DiaryStorage.setDailyGoal(null);
+        close();
+        DiaryUI.renderLifeCalendar();
+      }
+    });
+
+    document.addEventListener('keydown', handleKeydown);
+    document.body.appendChild(settingsOverlay);
+    form.querySelector('[name="target"]').focus();
+  }
+
+  /**
+   * 关闭目标设置面板
+   */
+  function close() {
+    if (!settingsOverlay) return;
+
+    settingsOverlay.remove();
+    settingsOverlay = null;
+    document.removeEventListener('keydown', handleKeydown);
+  }
+
+  /**
+   * Esc 关闭面板
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (event.key === 'Escape') {
+      close();
+    }
+  }
+
+  // 公开接口
+  return {
+    TYPES,
+    getGoalMetDates,
+    getProgress,
+    init,
+    renderIndicator,
+    openSettings,
+    close
+  };
+})();
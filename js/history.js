@@ -0,0 +1,181 @@
+/**
+ * history.js - 记录的历史版本
+ * 职责：浏览某条记录的历史版本，与当前内容逐行对比，恢复到指定版本
+ */
+
+const DiaryHistory = (function() {
+  'use strict';
+
+  let overlay = null;
+  let entryId = null;
+  let selectedIndex = null;
+  let onRestored = null;
+
+  /**
+   * 打开历史版本面板
+   * @param {string} id - 记录 ID
+   * @param {Function} callback - 恢复成功后的回调 (content) => void
+   */
+  function open(id, callback) {
+    if (overlay) close();
+
+    const revisions = DiaryStorage.getRevisions(id);
+    if (revisions.length === 0) return;
+
+    entryId = id;
+    selectedIndex = revisions[0].index;
+    onRestored = callback;
+
+    overlay = document.createElement('div');
+    overlay.className = 'editor-overlay history-overlay active';
+    overlay.id = 'historyOverlay';
+
+    overlay.innerHTML = `
+      <div class="editor-container history-container">
+        <div class="editor-header">
+          <button class="btn-close" data-action="close" aria-label="关闭">×</button>
+          <span class="history-title">历史版本</span>
+        </div>
+        <div class="history-body">
+          <div class="history-list" id="historyList"></div>
+          <div class="history-diff" id="historyDiff"></div>
+        </div>
+        <div class="editor-footer">
+          <span class="history-legend">
+            <span class="history-legend-item history-legend-item--remove">该版本</span>
+            <span class="history-legend-item history-legend-item--add">当前</span>
+          </span>
+          <button class="btn-save" data-action="restore">恢复此版本</button>
+        </div>
+      </div>
+    `;
+
+    overlay.addEventListener('click', handleClick);
+    document.addEventListener('keydown', handleKeydown, true);
+    document.body.appendChild(overlay);
+
+    render();
+  }
+
+  /**
+   * 关闭历史版本面板
+   */
+  function close() {
+    if (!overlay) return;
+
+    overlay.remove();
+    overlay = null;
+    entryId = null;
+    onRestored = null;
+    document.removeEventListener('keydown', handleKeydown, true);
+  }
+
+  /**
+   * 渲染版本列表与对比结果
+   */
+  function render() {
+    const revisions = DiaryStorage.getRevisions(entryId);
+    const entry = DiaryStorage.getAllEntries().find(e => e.id === entryId);
+    if (!entry) {
+      close();
+      return;
+    }
+
+    overlay.querySelector('#historyList').innerHTML = revisions.map(revision => `
+      <button class="history-item ${revision.index === selectedIndex ? 'history-item--active' : ''}"
+              data-index="${revision.index}">
+        <span class="history-item-time">${formatRevisionTime(revision.updatedAt)}</span>
+        <span class="history-item-count">${revision.content.length} 字</span>
+      </button>
+    `).join('');
+
+    const selected = revisions.find(revision => revision.index === selectedIndex);
+    overlay.querySelector('#historyDiff').innerHTML = selected
+      ? generateDiffHTML(selected.content, entry.content)
+      : '';
+  }
+
+  /**
+   * 生成逐行对比的 HTML（从所选版本到当前内容）
+   * @param {string} oldText
+   * @param {string} newText
+   * @returns {string} HTML 字符串
+   */
+  function generateDiffHTML(oldText, newText) {
+    const lines = DiaryModels.diffLines(oldText, newText);
+
+    if (lines.every(line => line.type === 'same')) {
+      return '<p class="history-diff-empty">与当前内容相同</p>';
+    }
+
+    return lines.map(line => `
+      <div class="history-diff-line history-diff-line--${line.type}">${DiaryUI.escapeHTML(line.text) || '&nbsp;'}</div>
+    `).join('');
+  }
+
+  /**
+   * 格式化版本时间："2024年12月16日 14:32"
+   * @param {number} timestamp
+   * @returns {string}
+   */
+  function formatRevisionTime(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}年${date.getMonth() + 1}月${date.getDate()}日 ${DiaryModels.formatTime(timestamp)}`;
+  }
+
+  /**
+   * 处理面板内的点击
+   * @param {Event} event
+   */
+  function handleClick(event) {
+    if (event.target === overlay) {
+      close();
+      return;
+    }
+
+    const item = event.target.closest('.history-item');
+    if (item) {
+      selectedIndex = parseInt(item.dataset.index, 10);
+      render();
+      return;
+    }
+
+    const btn = event.target.closest('[data-action]');
+    if (!btn) return;
+
+    if (btn.dataset.action === 'close') {
+      close();
+      return;
+    }
+
+    if (btn.dataset.action === 'restore') {
+      if (!confirm('恢复后，当前内容会保存为一个历史版本。\n\n确定恢复到此版本？')) return;
+
+      const id = entryId;
+      const callback = onRestored;
+
+      if (DiaryStorage.restoreRevision(id, selectedIndex)) {
+        close();
+        const entry = DiaryStorage.getAllEntries().find(e => e.id === id);
+        if (callback && entry) callback(entry.content);
+      }
+    }
+  }
+
+  /**
+   * Esc 只关闭历史面板，不关闭下方的编辑器
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      close();
+    }
+  }
+
+  // 公开接口
+  return {
+    open,
+    close
+  };
+})();
@@ -0,0 +1,470 @@
+/**
+ * importers.js - 从其他日记应用导入
+ * 职责：识别导出文件格式，按格式解析为记录（保留原始时间与天气），检测重复并报告导入结果
+ *
+ * 新增格式时在 FORMATS 中追加一项：
+ *   detect(text, fileName) 判断是否为该格式，parse(text, fileName) 返回
+ *   [{ content, createdAt, updatedAt?, weather?, sourceId? }]，无法解析的条目返回 { error } 。
+ */
+
+const DiaryImporters = (function() {
+  'use strict';
+
+  const MINUTE_MS = 60 * 1000;
+
+  // 天气关键词（按优先级匹配，先匹配更极端的天气）
+  const WEATHER_KEYWORDS = [
+    { id: 'stormy', pattern: /thunder|storm|lightning|雷/ },
+    { id: 'snowy', pattern: /snow|sleet|flurr|hail|雪|冰雹/ },
+    { id: 'rainy', pattern: /rain|drizzle|shower|雨/ },
+    { id: 'foggy', pattern: /fog|mist|haze|smog|雾|霾/ },
+    { id: 'windy', pattern: /wind|breez|gust|风/ },
+    { id: 'cloudy', pattern: /cloud|overcast|阴|云/ },
+    { id: 'sunny', pattern: /clear|sun|fair|晴/ }
+  ];
+
+  // 支持的格式（按识别顺序，纯文本兜底）
+  const FORMATS = [
+    {
+      id: 'dayone',
+      label: 'Day One',
+      detect: (text) => {
+        const data = tryParseJSON(text);
+        return !!(data && Array.isArray(data.entries) && data.entries.some(e => e && e.creationDate));
+      },
+      parse: parseDayOne
+    },
+    {
+      id: 'journey',
+      label: 'Journey',
+      detect: (text) => {
+        const items = toArray(tryParseJSON(text));
+        return items.length > 0 && items.every(item => item && item.date_journal !== undefined);
+      },
+      parse: parseJourney
+    },
+    {
+      id: 'diarium',
+      label: 'diarium',
+      detect: (text) => {
+        const items = toArray(tryParseJSON(text));
+        return items.length > 0 && items.every(item =>
+          item && typeof item.date === 'string' && (item.html !== undefined || item.text !== undefined || item.heading !== undefined)
+        );
+      },
+      parse: parseDiarium
+    },
+    {
+      id: 'text',
+      label: '纯文本',
+      detect: (text) => tryParseJSON(text) === null,
+      parse: parsePlainText
+    }
+  ];
+
+  /**
+   * ========================================
+   * 通用工具
+   * ========================================
+   */
+
+  /**
+   * 尝试解析 JSON
+   * @param {string} text
+   * @returns {*} 解析结果，失败时返回 null
+   */
+  function tryParseJSON(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 单个对象或数组统一为数组
+   * @param {*} value
+   * @returns {Array}
+   */
+  function toArray(value) {
+    if (Array.isArray(value)) return value;
+    if (value && typeof value === 'object') return [value];
+    return [];
+  }
+
+  /**
+   * HTML 转纯文本（使用 DOMParser，不会执行其中的脚本或加载资源）
+   * @param {string} html
+   * @returns {string}
+   */
+  function htmlToText(html) {
+    const normalized = String(html)
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|h[1-6]|li)>/gi, '\n');
+    const doc = new DOMParser().parseFromString(normalized, 'text/html');
+    return (doc.body.textContent || '').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * 从天气描述中识别天气类型
+   * @param {...string} descriptions - 天气描述、图标名等
+   * @returns {string} 天气类型，无法识别时为空字符串
+   */
+  function mapWeather(...descriptions) {
+    const text = descriptions.filter(Boolean).join(' ').toLowerCase();
+    if (!text) return '';
+
+    const match = WEATHER_KEYWORDS.find(item => item.pattern.test(text));
+    return match ? match.id : '';
+  }
+
+  /**
+   * 解析 "YYYY-MM-DD HH:mm[:ss]" 形式的本地时间
+   * @param {string} value
+   * @returns {number|null} 时间戳
+   */
+  function parseLocalDateTime(value) {
+    const match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/.exec(String(value).trim());
+    if (!match) return null;
+
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match.map(part => part === undefined ? undefined : Number(part));
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+    return date.getMonth() === month - 1 ? date.getTime() : null;
+  }
+
+  /**
+   * ========================================
+   * 各格式解析
+   * ========================================
+   */
+
+  /**
+   * Day One（JSON 导出：Journal.json）
+   * @param {string} text
+   * @returns {Array}
+   */
+  function parseDayOne(text) {
+    const data = JSON.parse(text);
+
+    return data.entries.map(item => {
+      const createdAt = Date.parse(item.creationDate);
+      if (isNaN(createdAt)) return { error: '时间无法识别' };
+
+      // Day One 的文本为 Markdown：去掉图片占位并还原转义字符
+      const content = String(item.text || '')
+        .replace(/!\[\]\(dayone-moment:\/\/[^)]*\)\n?/g, '')
+        .replace(/\\([\\`*_{}[\]()#+\-.!>])/g, '$1')
+        .trim();
+
+      const modifiedAt = Date.parse(item.modifiedDate);
+      const weather = item.weather || {};
+
+      return {
+        content,
+        createdAt,
+        updatedAt: isNaN(modifiedAt) ? createdAt : modifiedAt,
+        weather: mapWeather(weather.conditionsDescription, weather.weatherCode),
+        sourceId: item.uuid
+      };
+    });
+  }
+
+  /**
+   * Journey（JSON 导出，每条记录一个文件，也兼容数组）
+   * @param {string} text
+   * @returns {Array}
+   */
+  function parseJourney(text) {
+    return toArray(JSON.parse(text)).map(item => {
+      const createdAt = Number(item.date_journal);
+      if (!createdAt) return { error: '时间无法识别' };
+
+      const raw = String(item.text || '');
+      const content = /<[a-z][\s\S]*>/i.test(raw) ? htmlToText(raw) : raw.trim();
+      const weather = item.weather || {};
+
+      return {
+        content,
+        createdAt,
+        updatedAt: Number(item.date_modified) || createdAt,
+        weather: mapWeather(weather.description, weather.icon),
+        sourceId: item.id
+      };
+    });
+  }
+
+  /**
+   * diarium（JSON 导出）
+   * @param {string} text
+   * @returns {Array}
+   */
+  function parseDiarium(text) {
+    return toArray(JSON.parse(text)).map(item => {
+      const createdAt = parseLocalDateTime(item.date);
+      if (createdAt === null) return { error: '时间无法识别' };
+
+      const body = item.html !== undefined ? htmlToText(item.html) : String(item.text || '').trim();
+      const content = [item.heading, body].filter(Boolean).join('\n\n');
+
+      return {
+        content,
+        createdAt,
+        weather: mapWeather(typeof item.weather === 'string' ? item.weather : (item.weather || {}).description)
+      };
+    });
+  }
+
+  /**
+   * 纯文本：以日期开头的行作为一条记录的开始
+   * 支持 "2024-12-16"、"2024/12/16 14:32"、"2024年12月16日 14:32"；
+   * 文件中没有日期行时，若文件名是日期（如 2024-12-16.txt），整个文件作为一条记录
+   * @param {string} text
+   * @param {string} fileName
+   * @returns {Array}
+   */
+  function parsePlainText(text, fileName) {
+    const headingPattern = /^\s*(?:#+\s*)?(\d{4})\s*(?:[-/.]|年)\s*(\d{1,2})\s*(?:[-/.]|月)\s*(\d{1,2})\s*日?(?:\s*(?:周.|星期.|[A-Za-z]+,?))?(?:\s+(\d{1,2})[:：](\d{2}))?\s*$/;
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const results = [];
+    let current = null;
+
+    const finish = () => {
+      if (current) {
+        current.content = current.lines.join('\n').trim();
+        delete current.lines;
+        if (current.content) results.push(current);
+      }
+    };
+
+    lines.forEach(line => {
+      const match = headingPattern.exec(line);
+      if (match) {
+        finish();
+        const [, year, month, day, hours = 12, minutes = 0] = match.map(part => part === undefined ? undefined : Number(part));
+        const date = new Date(year, month - 1, day, hours, minutes);
+        if (date.getMonth() === month - 1) {
+          current = { createdAt: date.getTime(), lines: [] };
+        } else {
+          current = null;
+          results.push({ error: `日期无效：${line.trim()}` });
+        }
+        return;
+      }
+
+      if (current) current.lines.push(line);
+    });
+    finish();
+
+    if (!results.some(item => !item.error)) {
+      const createdAt = parseLocalDateTime(fileName.replace(/\.[^.]+$/, ''));
+      if (createdAt !== null && text.trim()) {
+        // 只有日期没有时间时默认中午，避免时区换算后落到前一天
+        results.push({ content: text.trim(), createdAt: createdAt + 12 * 60 * MINUTE_MS });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * ========================================
+   * 导入流程
+   * ========================================
+   */
+
+  /**
+   * 识别文件格式
+   * @param {string} text
+   * @param {string} fileName
+   * @returns {object|null} FORMATS 中的一项
+   */
+  function detectFormat(text, fileName) {
+    return FORMATS.find(format => format.detect(text, fileName)) || null;
+  }
+
+  /**
+   * 重复检测用的键：同一分钟内内容相同视为重复
+   * @param {number} createdAt
+   * @param {string} content
+   * @returns {string}
+   */
+  function getDuplicateKey(createdAt, content) {
+    return `${Math.floor(createdAt / MINUTE_MS)}|${content.replace(/\s+/g, ' ').trim()}`;
+  }
+
+  /**
+   * 解析若干文件，生成导入计划
+   * @param {Array} files - [{ name, text }]
+   * @returns {object} { entries, report: [{ fileName, format, imported, duplicates, errors }] }
+   */
+  function createImportPlan(files) {
+    const localEntries = DiaryStorage.getAllEntries().filter(entry => !entry.deleted);
+    const seenKeys = new Set(localEntries.map(entry => getDuplicateKey(entry.createdAt, entry.content)));
+    const seenSourceIds = new Set(
+      localEntries
+        .filter(entry => entry.metadata && entry.metadata.sourceId)
+        .map(entry => `${entry.metadata.source}:${entry.metadata.sourceId}`)
+    );
+
+    const entries = [];
+    const report = [];
+
+    files.forEach(file => {
+      const format = detectFormat(file.text, file.name);
+      const fileReport = { fileName: file.name, format: format ? format.label : '未知', imported: 0, duplicates: 0, errors: [] };
+      report.push(fileReport);
+
+      if (!format) {
+        fileReport.errors.push('无法识别的文件格式');
+        return;
+      }
+
+      let items;
+      try {
+        items = format.parse(file.text, file.name);
+      } catch (error) {
+        console.error('❌ 解析失败:', file.name, error);
+        fileReport.errors.push('文件内容无法解析');
+        return;
+      }
+
+      if (items.length === 0) {
+        fileReport.errors.push('没有找到带日期的记录');
+      }
+
+      items.forEach((item, index) => {
+        if (item.error || !item.content) {
+          fileReport.errors.push(`第 ${index + 1} 条：${item.error || '内容为空'}`);
+          return;
+        }
+
+        const sourceKey = item.sourceId ? `${format.id}:${item.sourceId}` : null;
+        const duplicateKey = getDuplicateKey(item.createdAt, item.content);
+        if (seenKeys.has(duplicateKey) || (sourceKey && seenSourceIds.has(sourceKey))) {
+          fileReport.duplicates++;
+          return;
+        }
+        seenKeys.add(duplicateKey);
+        if (sourceKey) seenSourceIds.add(sourceKey);
+
+        entries.push(toEntry(item, format.id));
+        fileReport.imported++;
+      });
+    });
+
+    return { entries, report };
+  }
+
+  /**
+   * 将解析结果转换为记录
+   * @param {object} item - 解析结果
+   * @param {string} source - 来源格式 ID
+   * @returns {object} 记录对象
+   */
+  function toEntry(item, source) {
+    const entry = DiaryModels.createEntry(item.content);
+    entry.createdAt = item.createdAt;
+    entry.updatedAt = Math.max(item.updatedAt || item.createdAt, item.createdAt);
+
+    // 天气只记在记录上，当天未设置天气时由记录推算（见 DiaryModels.resolveDayWeather）
+    if (item.weather) {
+      entry.weather = item.weather;
+    }
+
+    entry.metadata.source = source;
+    if (item.sourceId) {
+      entry.metadata.sourceId = String(item.sourceId);
+    }
+
+    return entry;
+  }
+
+  /**
+   * 选择文件并导入
+   * @param {Function} onImported - 导入完成后的回调
+   */
+  async function importFiles(onImported) {
+    const files = await DiaryUI.pickFile('.json,.txt,.md,application/json,text/plain,text/markdown', true);
+    if (files.length === 0) return;
+
+    const texts = await Promise.all(files.map(async file => ({ name: file.name, text: await file.text() })));
+    const plan = createImportPlan(texts);
+
+    showReport(plan, () => {
+      DiaryStorage.importData({ entries: plan.entries });
+      console.log(`📥 已从其他应用导入 ${plan.entries.length} 条记录`);
+      if (onImported) onImported();
+    });
+  }
+
+  /**
+   * 显示导入报告（确认后才写入）
+   * @param {object} plan - createImportPlan 的返回值
+   * @param {Function} onConfirm
+   */
+  function showReport(plan, onConfirm) {
+    const count = plan.entries.length;
+
+    const filesHTML = plan.report.map(file => `
+      <li class="import-report-file">
+        <div class="import-report-file-header">
+          <span class="import-report-file-name">${DiaryUI.escapeHTML(file.fileName)}</span>
+          <span class="import-report-file-format">${file.format}</span>
+        </div>
+        <div class="import-report-file-stats">
+          导入 ${file.imported} 条${file.duplicates ? ` · 重复跳过 ${file.duplicates} 条` : ''}${file.errors.length ? ` · 无法导入 ${file.errors.length} 项` : ''}
+        </div>
+        ${file.errors.length ? `
+          <ul class="import-report-errors">
+            ${file.errors.map(error => `<li>${DiaryUI.escapeHTML(error)}</li>`).join('')}
+          </ul>
+        ` : ''}
+      </li>
+    `).join('');
+
+    const overlay = document.createElement('div');
+    overlay.className = 'editor-overlay import-preview-overlay active';
+    overlay.id = 'importReportOverlay';
+
+    overlay.innerHTML = `
+      <div class="editor-container import-preview-container">
+        <div class="editor-header">
+          <button class="btn-close" data-action="cancel" aria-label="关闭">×</button>
+          <span class="import-preview-title">从其他应用导入</span>
+        </div>
+        <div class="import-preview-body">
+          <ul class="import-report-files">${filesHTML}</ul>
+        </div>
+        <div class="editor-footer">
+          <button class="btn-delete" data-action="cancel">取消</button>
+          <button class="btn-save" data-action="confirm" ${count > 0 ? '' : 'disabled'}>导入 ${count} 条记录</button>
+        </div>
+      </div>
+    `;
+
+    overlay.addEventListener('click', (event) => {
+      if (event.target === overlay) {
+        overlay.remove();
+        return;
+      }
+
+      const btn = event.target.closest('[data-action]');
+      if (!btn || btn.disabled) return;
+
+      overlay.remove();
+      if (btn.dataset.action === 'confirm') {
+        onConfirm();
+      }
+    });
+
+    document.body.appendChild(overlay);
+  }
+
+  // 公开接口
+  return {
+    FORMATS,
+    detectFormat,
+    createImportPlan,
+    importFiles
+  };
+})();
@@ -0,0 +1,204 @@
+/**
+ * markdown-export.js - 导出 Markdown
+ * 职责：将记录按年/月/日整理为 Markdown 文本（按月分文件或单个文件），打包为 ZIP 下载
+ */
+
+const DiaryMarkdownExport = (function() {
+  'use strict';
+
+  // 导出方式
+  const MODES = {
+    MONTHLY: 'monthly',  // 每月一个文件：2024/2024-12.md
+    SINGLE: 'single'     // 全部记录一个文件：journal.md
+  };
+
+  /**
+   * 按年、月整理记录（时间正序，便于按顺序阅读）
+   * @returns {Array} [{ year, month, days: [{ date, displayDate, entries }] }]
+   */
+  function groupByMonth() {
+    const days = DiaryModels.groupEntriesByDate(DiaryStorage.getAllEntries()).reverse();
+    const months = [];
+
+    days.forEach(day => {
+      const [year, month] = day.date.split('-').map(Number);
+      let current = months[months.length - 1];
+
+      if (!current || current.year !== year || current.month !== month) {
+        current = { year, month, days: [] };
+        months.push(current);
+      }
+
+      current.days.push({
+        ...day,
+        entries: day.entries.slice().sort((a, b) => a.createdAt - b.createdAt)
+      });
+    });
+
+    return months;
+  }
+
+  /**
+   * 生成日期标题中的附加信息：天气、生日、特殊日期
+   * @param {string} dateKey - 日期键 (YYYY-MM-DD)
+   * @param {Array} entries - 当天的记录
+   * @param {string|null} birthDate - 出生日期
+   * @returns {Array} 附加信息文本
+   */
+  function getDayAnnotations(dateKey, entries, birthDate) {
+    const annotations = [];
+
+    const { weather } = DiaryModels.resolveDayWeather(DiaryStorage.getDailyWeather(dateKey), entries);
+    if (weather) {
+      annotations.push(DiaryModels.getWeatherLabel(weather));
+    }
+
+    if (birthDate && DiaryModels.isBirthday(dateKey, birthDate)) {
+      const [year, month, day] = dateKey.split('-').map(Number);
+      const age = DiaryModels.getAge(birthDate, new Date(year, month - 1, day));
+      if (age > 0) {
+        annotations.push(`🎂 ${age} 岁生日`);
+      }
+    }
+
+    const milestone = DiaryStorage.getMilestone(dateKey);
+    if (milestone) {
+      const label = milestone.customLabel || milestone.templateLabel || milestone.label;
+      if (label) {
+        annotations.push(`📍 ${label}`);
+      }
+    }
+
+    return annotations;
+  }
+
+  /**
+   * 生成某个月的 Markdown
+   * @param {object} month - groupByMonth 中的一项
+   * @param {boolean} withYearHeading - 是否输出年份标题（单文件时同一年只输出一次）
+   * @param {string|null} birthDate
+   * @returns {string}
+   */
+  function generateMonthMarkdown(month, withYearHeading, birthDate) {
+    const lines = [];
+
+    if (withYearHeading) {
+      lines.push(`# ${month.year}年`, '');
+    }
+
+    lines.push(`## ${month.month}月`, '');
+
+    month.days.forEach(day => {
+      const annotations = getDayAnnotations(day.date, day.entries, birthDate);
+      lines.push(`### ${[day.displayDate, ...annotations].join(' · ')}`, '');
+
+      day.entries.forEach(entry => {
+        lines.push(`**${DiaryModels.formatTime(entry.createdAt)}**`, '');
+        if (entry.content) {
+          lines.push(entry.content, '');
+        }
+        // 🆕 附件只列出文件名，内容不随导出
+        if (Array.isArray(entry.attachments) && entry.attachments.length > 0) {
+          lines.push(`附件：${entry.attachments.map(attachment => attachment.name).join('、')}`, '');
+        }
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * 生成导出文件列表
+   * @param {string} mode - MODES.MONTHLY | MODES.SINGLE
+   * @returns {Array} [{ name, content }]
+   */
+  function buildFiles(mode) {
+    const months = groupByMonth();
+    const birthDate = DiaryStorage.getBirthDate();
+
+    if (mode === MODES.SINGLE) {
+      const sections = months.map((month, index) =>
+        generateMonthMarkdown(month, index === 0 || months[index - 1].year !== month.year, birthDate)
+      );
+      return [{ name: 'journal.md', content: sections.join('\n') }];
+    }
+
+    return months.map(month => {
+      const monthKey = `${month.year}-${String(month.month).padStart(2, '0')}`;
+      return {
+        name: `${month.year}/${monthKey}.md`,
+        content: generateMonthMarkdown(month, true, birthDate)
+      };
+    });
+  }
+
+  /**
+   * 导出为 ZIP 并下载
+   * @param {string} mode - MODES.MONTHLY | MODES.SINGLE
+   * @returns {number} 导出的文件数
+   */
+  function exportZip(mode) {
+    const files = buildFiles(mode);
+    if (files.length === 0 || (mode === MODES.SINGLE && !files[0].content)) {
+      alert('还没有可以导出的记录');
+      return 0;
+    }
+
+    const today = DiaryModels.formatDateKey(new Date()).replace(/-/g, '');
+    DiaryUI.downloadFile(`timeline-journal-markdown-${today}.zip`, DiaryZip.createZip(files));
+
+    console.log(`📤 已导出 ${files.length} 个 Markdown 文件`);
+    return files.length;
+  }
+
+  /**
+   * 显示导出方式选择
+   */
+  function showOptions() {
+    const overlay = document.createElement('div');
+    overlay.className = 'editor-overlay markdown-export-overlay active';
+    overlay.id = 'markdownExportOverlay';
+
+    overlay.innerHTML = `
+      <div class="editor-container markdown-export-container">
+        <div class="editor-header">
+          <button class="btn-close" data-action="close" aria-label="关闭">×</button>
+          <span class="markdown-export-title">导出 Markdown</span>
+        </div>
+        <div class="popover-options markdown-export-options">
+          <button class="popover-option" data-mode="${MODES.MONTHLY}">
+            <span class="popover-option-label">按月分文件</span>
+            <span class="popover-option-desc">每月一个 .md 文件，按年份分文件夹</span>
+          </button>
+          <button class="popover-option" data-mode="${MODES.SINGLE}">
+            <span class="popover-option-label">单个文件</span>
+            <span class="popover-option-desc">全部记录合并为 journal.md</span>
+          </button>
+        </div>
+      </div>
+    `;
+
+    overlay.addEventListener('click', (event) => {
+      const option = event.target.closest('[data-mode]');
+      if (option) {
+        overlay.remove();
+        exportZip(option.dataset.mode);
+        return;
+      }
+
+      if (event.target === overlay || event.target.closest('[data-action="close"]')) {
+        overlay.remove();
+      }
+    });
+
+    document.body.appendChild(overlay);
+  }
+
+  // 公开接口
+  return {
+    MODES,
+    buildFiles,
+    exportZip,
+    showOptions
+  };
+})();
@@ -0,0 +1,186 @@
+/**
+ * markdown.js - 轻量 Markdown 渲染
+ * 职责：把记录内容中的标题、强调、列表、任务、引用、链接、行内代码渲染为 HTML（设置中开启后使用）
+ *
+ * 所有文字先转义再拼接标签，不会输出原文中的任何 HTML；链接只接受 http(s) 与 mailto。
+ * 只支持单层列表，不支持表格、图片与代码块。
+ */
+
+const DiaryMarkdown = (function() {
+  'use strict';
+
+  // 允许的链接协议（javascript: 等按纯文本显示）
+  const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+  const HEADING = /^(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/;
+  const QUOTE = /^\s*>\s?/;
+  const LIST_ITEM = /^\s*([-*+]|\d{1,9}[.)])\s+(.*)$/;
+  const TASK = /^\[([ xX])\]\s+/;
+  const RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+  // 行内占位符（原文中的 \u0000 在渲染前去掉，不会与之冲突）
+  const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+  /**
+   * 转义 HTML（同时转义引号，结果可以放在属性中）
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeHTML(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * 强调：**粗体**、__粗体__、*斜体*、~~删除线~~
+   * @param {string} html - 已转义的文字
+   * @returns {string}
+   */
+  function renderEmphasis(html) {
+    return html
+      .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+      .replace(/\*(?=[^\s*])([^*]+?)\*/g, '<em>$1</em>')
+      .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>');
+  }
+
+  /**
+   * 渲染一行中的行内格式
+   * @param {string} text - 原文
+   * @returns {string} HTML
+   */
+  function renderInline(text) {
+    const tokens = [];
+    const hold = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    let html = escapeHTML(text.replace(/\u0000/g, ''));
+
+    // 行内代码中的内容不再处理
+    html = html.replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`));
+
+    // [文字](链接)，链接中的 * _ 等不当作强调
+    html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+      if (!SAFE_URL.test(url)) return match;
+      return hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${renderEmphasis(label)}</a>`);
+    });
+
+    html = renderEmphasis(html);
+
+    // 链接文字中可能含有行内代码，需要还原两次
+    return html.replace(PLACEHOLDER, (match, index) => tokens[index])
+      .replace(PLACEHOLDER, (match, index) => tokens[index]);
+  }
+
+  /**
+   * 渲染列表项（支持任务 [ ] / [x]）
+   * @param {Array} lines - 列表项的原文（第一行已去掉标记）
+   * @returns {string} HTML
+   */
+  function renderListItem(lines) {
+    const first = lines[0];
+    const task = first.match(TASK);
+    const text = [task ? first.slice(task[0].length) : first, ...lines.slice(1)]
+      .map(renderInline)
+      .join('<br>');
+
+    if (!task) {
+      return `<li>${text}</li>`;
+    }
+
+    const checked = task[1] !== ' ';
+    return `<li class="md-task"><input type="checkbox" disabled${checked ? ' checked' : ''}> ${text}</li>`;
+  }
+
+  /**
+   * 渲染 Markdown
+   * @param {string} text - 原文
+   * @returns {string} HTML
+   */
+  function render(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    // 当前行是否开始一个新的块（用于结束段落）
+    const startsBlock = line => HEADING.test(line) || QUOTE.test(line) || LIST_ITEM.test(line) || RULE.test(line);
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      // 分隔线（放在列表之前，"- - -" 不当作列表）
+      if (RULE.test(line)) {
+        blocks.push('<hr>');
+        i++;
+        continue;
+      }
+
+      const heading = line.match(HEADING);
+      if (heading) {
+        const level = heading[1].length;
+        blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      // 引用：连续的 > 行，内容按 Markdown 渲染
+      if (QUOTE.test(line)) {
+        const quoted = [];
+        while (i < lines.length && QUOTE.test(lines[i])) {
+          quoted.push(lines[i].replace(QUOTE, ''));
+          i++;
+        }
+        blocks.push(`<blockquote>${render(quoted.join('\n'))}</blockquote>`);
+        continue;
+      }
+
+      // 列表：连续的列表项，有缩进的后续行属于上一项；有序与无序交替时分成两个列表
+      const item = line.match(LIST_ITEM);
+      if (item) {
+        const ordered = /\d/.test(item[1]);
+        const start = ordered ? parseInt(item[1], 10) : 1;
+        const items = [];
+
+        while (i < lines.length) {
+          const current = lines[i].match(LIST_ITEM);
+          if (current && /\d/.test(current[1]) === ordered) {
+            items.push([current[2]]);
+          } else if (!current && /^\s+\S/.test(lines[i]) && items.length > 0) {
+            items[items.length - 1].push(lines[i].trim());
+          } else {
+            break;
+          }
+          i++;
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startAttr = ordered && start !== 1 ? ` start="${start}"` : '';
+        blocks.push(`<${tag}${startAttr}>${items.map(renderListItem).join('')}</${tag}>`);
+        continue;
+      }
+
+      // 段落：直到空行或下一个块，段落内保留换行
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+        paragraph.push(renderInline(lines[i]));
+        i++;
+      }
+      blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+    }
+
+    return blocks.join('');
+  }
+
+  // 公开接口
+  return {
+    render
+  };
+})();
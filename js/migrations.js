@@ -0,0 +1,272 @@
+/**
+ * migrations.js - 数据结构版本迁移
+ * 职责：读取数据中的版本号，按顺序执行升级步骤，并记录每一步的执行情况
+ *
+ * 新增迁移时只需在 MIGRATIONS 末尾追加一项，版本号必须递增；
+ * 每个 up() 直接修改传入的数据对象，需保证对已是新结构的数据重复执行也无副作用。
+ *
+ * 版本号不一定可信（例如按 README 早期文档手写的数据标着 "2.0.0"，结构却是旧的），
+ * 因此步骤还可以提供 needed(data)：按数据的实际结构判断，即使版本号已不低于该步骤也会执行。
+ * 没有 migrations 记录的数据来自迁移机制之前，版本号一律不作数，从头执行全部步骤。
+ */
+
+const DiaryMigrations = (function() {
+  'use strict';
+
+  const VALID_MILESTONE_TYPES = ['major_milestone', 'milestone'];
+
+  // 迁移步骤（按版本号升序）
+  const MIGRATIONS = [
+    {
+      version: '1.1.0',
+      description: '补全记录字段与 metadata',
+      needed(data) {
+        return !isPlainObject(data.dailyWeather) || !isPlainObject(data.settings) ||
+          data.entries.some(entry => !isPlainObject(entry) || !isPlainObject(entry.metadata));
+      },
+      up(data) {
+        if (!data.dailyWeather || typeof data.dailyWeather !== 'object') {
+          data.dailyWeather = {};
+        }
+        if (!data.settings || typeof data.settings !== 'object') {
+          data.settings = {};
+        }
+
+        data.entries = data.entries
+          .filter(entry => entry && typeof entry === 'object')
+          .map(normalizeEntry);
+      }
+    },
+    {
+      version: '1.2.0',
+      description: '将记录上的天气同步到每日天气',
+      up(data) {
+        // 同一天有多条带天气的记录时，以最晚的一条为准
+        const weatherByDate = {};
+
+        data.entries
+          .filter(entry => !entry.deleted && entry.weather)
+          .sort((a, b) => a.createdAt - b.createdAt)
+          .forEach(entry => {
+            const dateKey = DiaryModels.formatDateKey(new Date(entry.createdAt));
+            weatherByDate[dateKey] = entry.weather;
+          });
+
+        // 只补全缺失的日期，不覆盖用户手动设置的每日天气
+        Object.keys(weatherByDate).forEach(dateKey => {
+          if (!data.dailyWeather[dateKey]) {
+            data.dailyWeather[dateKey] = weatherByDate[dateKey];
+          }
+        });
+      }
+    },
+    {
+      version: '2.0.0',
+      description: '特殊日期改为按日期索引的对象',
+      needed(data) {
+        return data.milestones !== undefined && !isPlainObject(data.milestones);
+      },
+      up(data) {
+        data.milestones = normalizeMilestones(data.milestones);
+      }
+    },
+    {
+      version: '2.1.0',
+      description: '为回收站中的记录补充删除时间',
+      needed(data) {
+        return data.entries.some(entry => isPlainObject(entry) && entry.deleted && !entry.deletedAt);
+      },
+      up(data) {
+        // 旧版本删除时会同时更新 updatedAt，可作为删除时间
+        data.entries
+          .filter(entry => entry.deleted && !entry.deletedAt)
+          .forEach(entry => {
+            entry.deletedAt = entry.updatedAt || entry.createdAt;
+          });
+      }
+    },
+    {
+      version: '2.2.0',
+      description: '从记录内容中提取 #标签',
+      needed(data) {
+        return data.entries.some(entry => !isPlainObject(entry) || !isPlainObject(entry.metadata) || !Array.isArray(entry.metadata.tags));
+      },
+      up(data) {
+        data.entries.forEach(entry => {
+          entry.metadata = entry.metadata || {};
+          entry.metadata.tags = DiaryModels.parseTags(entry.content);
+        });
+      }
+    }
+  ];
+
+  const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  /**
+   * 是否为普通对象（数组、null 不算）
+   * @param {*} value
+   * @returns {boolean}
+   */
+  function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * 补全单条记录的字段
+   * @param {object} entry - 记录对象
+   * @returns {object} 补全后的记录
+   */
+  function normalizeEntry(entry) {
+    const content = typeof entry.content === 'string' ? entry.content : String(entry.content || '');
+
+    // 旧版本导出的时间可能是日期字符串
+    let createdAt = toTimestamp(entry.createdAt);
+    const updatedAt = toTimestamp(entry.updatedAt);
+    if (createdAt === null) {
+      createdAt = updatedAt;
+    }
+
+    const metadata = entry.metadata && typeof entry.metadata === 'object' ? entry.metadata : {};
+
+    return {
+      ...entry,
+      id: entry.id || DiaryModels.generateId(),
+      content: content,
+      createdAt: createdAt,
+      updatedAt: updatedAt !== null ? updatedAt : createdAt,
+      deleted: entry.deleted === true,
+      metadata: {
+        ...metadata,
+        wordCount: typeof metadata.wordCount === 'number' ? metadata.wordCount : content.trim().length,
+        device: metadata.device || 'web'
+      }
+    };
+  }
+
+  /**
+   * 将各种形式的时间转换为时间戳
+   * @param {number|string} value
+   * @returns {number|null} 时间戳，无法解析时返回 null
+   */
+  function toTimestamp(value) {
+    if (typeof value === 'number' && !isNaN(value)) return value;
+    if (typeof value === 'string') {
+      const parsed = Date.parse(value);
+      return isNaN(parsed) ? null : parsed;
+    }
+    return null;
+  }
+
+  /**
+   * 将特殊日期统一为 { "YYYY-MM-DD": milestone } 结构
+   * 兼容 README 早期文档中的数组形式：[{ date, label, type }]
+   * @param {Array|object} milestones
+   * @returns {object}
+   */
+  function normalizeMilestones(milestones) {
+    const result = {};
+
+    if (Array.isArray(milestones)) {
+      milestones.forEach(item => {
+        if (item && item.date) {
+          const { date, ...rest } = item;
+          result[date] = rest;
+        }
+      });
+    } else if (milestones && typeof milestones === 'object') {
+      Object.assign(result, milestones);
+    }
+
+    Object.keys(result).forEach(dateKey => {
+      const milestone = result[dateKey];
+      if (!milestone || typeof milestone !== 'object') {
+        delete result[dateKey];
+        return;
+      }
+
+      // 只有 label 的旧结构：视为自定义标签
+      if (milestone.label && !milestone.customLabel && !milestone.templateLabel) {
+        milestone.templateId = 'custom';
+        milestone.templateLabel = '自定义';
+        milestone.customLabel = milestone.label;
+      }
+
+      if (!VALID_MILESTONE_TYPES.includes(milestone.type)) {
+        milestone.type = 'milestone';
+      }
+
+      if (!milestone.createdAt) {
+        milestone.createdAt = Date.now();
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 比较两个版本号
+   * @param {string} a
+   * @param {string} b
+   * @returns {number} a < b 返回负数，相等返回 0，a > b 返回正数
+   */
+  function compareVersions(a, b) {
+    const partsA = String(a || '0.0.0').split('.').map(part => parseInt(part, 10) || 0);
+    const partsB = String(b || '0.0.0').split('.').map(part => parseInt(part, 10) || 0);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const diff = (partsA[i] || 0) - (partsB[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+
+  /**
+   * 执行迁移（直接修改传入的数据对象）
+   * @param {object} data - 数据对象（entries 必须是数组）
+   * @returns {Array} 本次执行的迁移记录 [{ version, description, appliedAt }]
+   */
+  function migrate(data) {
+    // 没有迁移记录的数据写于迁移机制之前，版本号不作数
+    const fromVersion = Array.isArray(data.migrations) ? (data.version || '0.0.0') : '0.0.0';
+
+    if (compareVersions(fromVersion, CURRENT_VERSION) > 0) {
+      console.warn(`⚠️ 数据版本 ${fromVersion} 高于当前支持的 ${CURRENT_VERSION}，跳过迁移`);
+      return [];
+    }
+
+    if (!Array.isArray(data.migrations)) {
+      data.migrations = [];
+    }
+
+    const applied = [];
+
+    MIGRATIONS
+      .filter(step => compareVersions(step.version, fromVersion) > 0 || (step.needed && step.needed(data)))
+      .forEach(step => {
+        step.up(data);
+
+        const record = {
+          version: step.version,
+          description: step.description,
+          appliedAt: Date.now()
+        };
+        data.migrations.push(record);
+        // 按结构补做的旧步骤不降低版本号
+        if (compareVersions(step.version, data.version) > 0) {
+          data.version = step.version;
+        }
+        applied.push(record);
+
+        console.log(`🔧 数据迁移 ${step.version}：${step.description}`);
+      });
+
+    return applied;
+  }
+
+  // 公开接口
+  return {
+    CURRENT_VERSION,
+    compareVersions,
+    migrate
+  };
+})();
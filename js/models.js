@@ -32,11 +32,90 @@ const DiaryModels = (function() {
       deleted: false,
       metadata: {
         wordCount: content.trim().length,
-        device: 'web'
+        device: 'web',
+        tags: parseTags(content)
       }
     };
   }
 
+  /**
+   * ========================================
+   * 🆕 标签
+   * ========================================
+   */
+
+  // #标签：# 前须为行首、空白或标点（避免匹配网址锚点、&#123; 等），
+  // 标签由字母（含中日韩文字）、数字、下划线、连字符组成；
+  // 微博式的 #标签# 写法同样适用，结尾的 # 会截断标签
+  const TAG_PATTERN = /(^|[^\p{L}\p{N}_#&/])#([\p{L}\p{N}_-]+)/gu;
+
+  /**
+   * 从记录内容中提取标签
+   * @param {string} content - 记录内容
+   * @returns {Array} 标签（不含 #，按首次出现的顺序，忽略大小写去重）
+   */
+  function parseTags(content) {
+    const tags = [];
+    const seen = new Set();
+
+    for (const match of (content || '').matchAll(TAG_PATTERN)) {
+      const tag = match[2].replace(/-+$/, '');
+
+      // 纯数字（如 #1）不算标签
+      if (!/\p{L}/u.test(tag)) continue;
+
+      const key = tag.toLowerCase();
+      if (!seen.has(key)) {
+        seen.add(key);
+        tags.push(tag);
+      }
+    }
+
+    return tags;
+  }
+
+  /**
+   * 获取记录的标签
+   * @param {object} entry - 记录对象
+   * @returns {Array}
+   */
+  function getEntryTags(entry) {
+    const tags = entry && entry.metadata && entry.metadata.tags;
+    return Array.isArray(tags) ? tags : [];
+  }
+
+  /**
+   * 记录是否包含标签（忽略大小写）
+   * @param {object} entry - 记录对象
+   * @param {string} tag - 标签（不含 #）
+   * @returns {boolean}
+   */
+  function hasTag(entry, tag) {
+    const key = tag.toLowerCase();
+    return getEntryTags(entry).some(t => t.toLowerCase() === key);
+  }
+
+  /**
+   * 统计所有未删除记录中的标签
+   * @param {Array} entries - 记录数组
+   * @returns {Array} [{ tag, count }]，按使用次数降序
+   */
+  function collectTags(entries) {
+    const counts = new Map();
+
+    entries.filter(entry => !entry.deleted).forEach(entry => {
+      getEntryTags(entry).forEach(tag => {
+        const key = tag.toLowerCase();
+        const item = counts.get(key) || { tag, count: 0 };
+        item.count++;
+        counts.set(key, item);
+      });
+    });
+
+    return Array.from(counts.values())
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'zh-CN'));
+  }
+
   /**
    * 格式化日期为"12月15日 周日"格式
    * @param {number} timestamp - 时间戳
@@ -280,6 +359,178 @@ const DiaryModels = (function() {
     return month === birthMonth && day === birthDay;
   }
 
+  /**
+   * 🆕 两个日期是否为同一月日（那年今日）
+   * 2月29日在非闰年按2月28日处理，与 getAgeRange 的修正方式一致
+   * @param {string} dateKey - 日期键 (YYYY-MM-DD)
+   * @param {string} targetKey - 目标日期键 (YYYY-MM-DD)
+   * @returns {boolean}
+   */
+  function isSameMonthDay(dateKey, targetKey) {
+    const [, month, day] = dateKey.split('-').map(Number);
+    const [targetYear, targetMonth, targetDay] = targetKey.split('-').map(Number);
+
+    if (month === targetMonth && day === targetDay) return true;
+
+    const isLeapYear = new Date(targetYear, 1, 29).getMonth() === 1;
+    return month === 2 && day === 29 && targetMonth === 2 && targetDay === 28 && !isLeapYear;
+  }
+
+  /**
+   * 逐行比较两段文本（最长公共子序列）
+   * @param {string} oldText - 旧文本
+   * @param {string} newText - 新文本
+   * @returns {Array} [{ type: 'same' | 'add' | 'remove', text }]
+   */
+  function diffLines(oldText, newText) {
+    const a = (oldText || '').split('\n');
+    const b = (newText || '').split('\n');
+    const n = a.length;
+    const m = b.length;
+
+    // lcs[i][j]：a[i..] 与 b[j..] 的最长公共子序列长度
+    const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < n && j < m) {
+      if (a[i] === b[j]) {
+        result.push({ type: 'same', text: a[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        result.push({ type: 'remove', text: a[i] });
+        i++;
+      } else {
+        result.push({ type: 'add', text: b[j] });
+        j++;
+      }
+    }
+
+    while (i < n) result.push({ type: 'remove', text: a[i++] });
+    while (j < m) result.push({ type: 'add', text: b[j++] });
+
+    return result;
+  }
+
+  /**
+   * 🆕 天气选项：记录的天气（entry.weather）与每日天气（dailyWeather）共用
+   * 空字符串表示没有天气
+   */
+  const WEATHER_OPTIONS = [
+    { id: 'sunny', label: '晴' },
+    { id: 'cloudy', label: '阴' },
+    { id: 'rainy', label: '雨' },
+    { id: 'snowy', label: '雪' },
+    { id: 'foggy', label: '雾' },
+    { id: 'windy', label: '风' },
+    { id: 'stormy', label: '雷' }
+  ];
+
+  /**
+   * 🆕 天气的显示文字
+   * @param {string} weather - 天气类型
+   * @returns {string} 未知或为空时返回空字符串
+   */
+  function getWeatherLabel(weather) {
+    const option = WEATHER_OPTIONS.find(item => item.id === weather);
+    return option ? option.label : '';
+  }
+
+  /**
+   * 🆕 一天显示的天气
+   * 设置过每日天气时以它为准；否则取当天记录中出现次数最多的天气，次数相同时取较晚那条记录的天气
+   * @param {string} dailyWeather - 当天设置的天气（可为空）
+   * @param {Array} entries - 当天的记录
+   * @returns {object} { weather, derived }，derived 表示由记录推算而来
+   */
+  function resolveDayWeather(dailyWeather, entries) {
+    if (getWeatherLabel(dailyWeather)) {
+      return { weather: dailyWeather, derived: false };
+    }
+
+    const counts = new Map();
+    let weather = '';
+    let bestCount = 0;
+
+    entries
+      .filter(entry => !entry.deleted && getWeatherLabel(entry.weather))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .forEach(entry => {
+        const count = (counts.get(entry.weather) || 0) + 1;
+        counts.set(entry.weather, count);
+        if (count >= bestCount) {
+          weather = entry.weather;
+          bestCount = count;
+        }
+      });
+
+    return { weather, derived: weather !== '' };
+  }
+
+  /**
+   * 🆕 心情分值：1（很差）～ 5（很好），保存在记录的 metadata.mood 中
+   * { value: 4, label: '轻松' }，label 为可选的自定义描述
+   */
+  const MOOD_LEVELS = [
+    { value: 1, label: '很差' },
+    { value: 2, label: '低落' },
+    { value: 3, label: '平常' },
+    { value: 4, label: '不错' },
+    { value: 5, label: '很好' }
+  ];
+
+  // 自定义描述的最大长度
+  const MOOD_LABEL_MAX_LENGTH = 12;
+
+  /**
+   * 🆕 获取记录的心情
+   * @param {object} entry - 记录对象
+   * @returns {object|null} { value, label }，没有或无效时返回 null
+   */
+  function getEntryMood(entry) {
+    const mood = entry && entry.metadata && entry.metadata.mood;
+    if (!mood || !MOOD_LEVELS.some(level => level.value === mood.value)) {
+      return null;
+    }
+    return { value: mood.value, label: typeof mood.label === 'string' ? mood.label : '' };
+  }
+
+  /**
+   * 🆕 心情分值的显示文字
+   * @param {number} value - 心情分值（可为小数，取最接近的一档）
+   * @returns {string} 无效时返回空字符串
+   */
+  function getMoodLabel(value) {
+    const level = MOOD_LEVELS.find(item => item.value === Math.round(value));
+    return level ? level.label : '';
+  }
+
+  /**
+   * 🆕 一组记录的平均心情
+   * @param {Array} entries - 记录（已删除的和没有心情的不计入）
+   * @returns {number|null} 平均分值，没有心情记录时返回 null
+   */
+  function getAverageMood(entries) {
+    const values = entries
+      .filter(entry => !entry.deleted)
+      .map(getEntryMood)
+      .filter(Boolean)
+      .map(mood => mood.value);
+
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
   // 公开接口
   return {
     generateId,
@@ -294,6 +545,20 @@ const DiaryModels = (function() {
     getAgeYearLabel,
     formatDateKey,
     getWeekNumber,
-    isBirthday  // 🆕 生日判断（系统级）
+    isBirthday,  // 🆕 生日判断（系统级）
+    isSameMonthDay,  // 🆕 那年今日
+    diffLines,   // 🆕 逐行文本对比（历史版本）
+    parseTags,   // 🆕 标签
+    getEntryTags,
+    hasTag,
+    collectTags,
+    WEATHER_OPTIONS,  // 🆕 天气
+    getWeatherLabel,
+    resolveDayWeather,
+    MOOD_LEVELS,  // 🆕 心情
+    MOOD_LABEL_MAX_LENGTH,
+    getEntryMood,
+    getMoodLabel,
+    getAverageMood
   };
 })();
@@ -0,0 +1,131 @@
+/**
+ * mood-trend.js - 心情趋势
+ * 职责：按月汇总记录上的心情（metadata.mood），在回顾模式顶部画出平均心情的折线
+ */
+
+const DiaryMoodTrend = (function() {
+  'use strict';
+
+  // 最多显示的月数（从最近一个月往前数）
+  const MAX_MONTHS = 24;
+
+  // 图表尺寸（viewBox 坐标，实际宽度随容器缩放）
+  const CHART_WIDTH = 320;
+  const CHART_HEIGHT = 80;
+  const CHART_PADDING = 8;
+
+  /**
+   * 按月汇总心情
+   * @param {Date} [today]
+   * @returns {Array} [{ monthKey: 'YYYY-MM', average, count }]，从最早到最近，没有心情的月份 average 为 null
+   */
+  function getMonthlyTrend(today = new Date()) {
+    const entriesByMonth = new Map();
+
+    DiaryStorage.getAllEntries()
+      .filter(entry => !entry.deleted && DiaryModels.getEntryMood(entry))
+      .forEach(entry => {
+        const monthKey = DiaryModels.formatDateKey(new Date(entry.createdAt)).slice(0, 7);
+        if (!entriesByMonth.has(monthKey)) entriesByMonth.set(monthKey, []);
+        entriesByMonth.get(monthKey).push(entry);
+      });
+
+    if (entriesByMonth.size === 0) return [];
+
+    // 从最早有心情的月份（最多往前 MAX_MONTHS 个月）到本月，中间没有心情的月份留空
+    const firstKey = Array.from(entriesByMonth.keys()).sort()[0];
+    const [firstYear, firstMonth] = firstKey.split('-').map(Number);
+    const start = new Date(firstYear, firstMonth - 1, 1);
+    const earliest = new Date(today.getFullYear(), today.getMonth() - (MAX_MONTHS - 1), 1);
+    const cursor = start > earliest ? start : earliest;
+
+    const months = [];
+    while (cursor.getFullYear() < today.getFullYear() ||
+           (cursor.getFullYear() === today.getFullYear() && cursor.getMonth() <= today.getMonth())) {
+      const monthKey = DiaryModels.formatDateKey(cursor).slice(0, 7);
+      const entries = entriesByMonth.get(monthKey) || [];
+      months.push({
+        monthKey,
+        average: DiaryModels.getAverageMood(entries),
+        count: entries.length
+      });
+      cursor.setMonth(cursor.getMonth() + 1);
+    }
+
+    return months;
+  }
+
+  /**
+   * 生成回顾模式顶部的心情趋势（没有心情记录时返回空字符串）
+   * @returns {string} HTML 字符串
+   */
+  function generateHTML() {
+    const months = getMonthlyTrend();
+    const recorded = months.filter(month => month.average !== null);
+    if (recorded.length === 0) return '';
+
+    const step = months.length > 1 ? (CHART_WIDTH - CHART_PADDING * 2) / (months.length - 1) : 0;
+    const getX = index => months.length > 1 ? CHART_PADDING + index * step : CHART_WIDTH / 2;
+    const getY = value => CHART_PADDING + (5 - value) / 4 * (CHART_HEIGHT - CHART_PADDING * 2);
+
+    // 没有心情的月份断开折线
+    const segments = [];
+    let current = [];
+    months.forEach((month, index) => {
+      if (month.average === null) {
+        if (current.length > 0) segments.push(current);
+        current = [];
+        return;
+      }
+      current.push(`${getX(index).toFixed(1)},${getY(month.average).toFixed(1)}`);
+    });
+    if (current.length > 0) segments.push(current);
+
+    const linesHTML = segments
+      .filter(points => points.length > 1)
+      .map(points => `<polyline class="mood-trend-line" points="${points.join(' ')}"/>`)
+      .join('');
+
+    const pointsHTML = months.map((month, index) => {
+      if (month.average === null) return '';
+      const [year, monthNumber] = month.monthKey.split('-').map(Number);
+      return `
+        <circle class="mood-trend-point mood-trend-point--${Math.round(month.average)}"
+                cx="${getX(index).toFixed(1)}" cy="${getY(month.average).toFixed(1)}" r="3">
+          <title>${year}年${monthNumber}月：${DiaryModels.getMoodLabel(month.average)}（${month.count} 条）</title>
+        </circle>
+      `;
+    }).join('');
+
+    const total = recorded.reduce((sum, month) => sum + month.count, 0);
+    const overall = recorded.reduce((sum, month) => sum + month.average * month.count, 0) / total;
+    const formatMonth = monthKey => {
+      const [year, monthNumber] = monthKey.split('-').map(Number);
+      return `${year}年${monthNumber}月`;
+    };
+
+    return `
+      <div class="mood-trend" id="moodTrend">
+        <div class="mood-trend-header">
+          <span class="mood-trend-title">心情趋势</span>
+          <span class="mood-trend-summary">${total} 条记录 · 平均${DiaryModels.getMoodLabel(overall)}</span>
+        </div>
+        <svg class="mood-trend-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img" aria-label="每月平均心情">
+          <line class="mood-trend-baseline" x1="0" x2="${CHART_WIDTH}" y1="${getY(3)}" y2="${getY(3)}"/>
+          ${linesHTML}
+          ${pointsHTML}
+        </svg>
+        <div class="mood-trend-axis">
+          <span>${formatMonth(months[0].monthKey)}</span>
+          ${months.length > 1 ? `<span>${formatMonth(months[months.length - 1].monthKey)}</span>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  // 公开接口
+  return {
+    getMonthlyTrend,
+    generateHTML
+  };
+})();
@@ -0,0 +1,113 @@
+/**
+ * offline.js - 离线支持
+ * 职责：注册 Service Worker（见 sw.js），发现新版本时提示用户刷新
+ *
+ * 新版本下载完成后处于等待状态，用户点击"刷新"才会接管页面，避免新旧文件混用。
+ */
+
+const DiaryOffline = (function() {
+  'use strict';
+
+  let promptElement = null;
+  let updateAccepted = false;
+
+  /**
+   * 注册 Service Worker（相对路径，部署在子目录下同样可用）
+   */
+  function register() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register('sw.js')
+      .then(registration => {
+        // 上次打开时已下载好、仍在等待的新版本
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          showUpdatePrompt(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          if (!worker) return;
+
+          worker.addEventListener('statechange', () => {
+            // 首次安装时页面还没有被接管，不需要提示
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+              showUpdatePrompt(worker);
+            }
+          });
+        });
+
+        // 应用常驻后台时，回到前台顺便检查更新
+        document.addEventListener('visibilitychange', () => {
+          if (document.visibilityState === 'visible') {
+            registration.update().catch(() => {});
+          }
+        });
+      })
+      .catch(error => {
+        console.warn('⚠️ Service Worker 注册失败:', error);
+      });
+
+    // 新版本接管后重新加载（只在本页确认更新时，其他标签页保持原样）
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!updateAccepted) return;
+      window.location.reload();
+    });
+  }
+
+  /**
+   * 显示"新版本可用"提示
+   * @param {ServiceWorker} worker - 等待中的新版本
+   */
+  function showUpdatePrompt(worker) {
+    hideUpdatePrompt();
+
+    promptElement = document.createElement('div');
+    promptElement.className = 'update-prompt';
+    promptElement.id = 'updatePrompt';
+    promptElement.setAttribute('role', 'status');
+    promptElement.innerHTML = `
+      <span class="update-prompt-text">新版本已就绪</span>
+      <button type="button" class="update-prompt-reload" data-action="reload">刷新</button>
+      <button type="button" class="update-prompt-dismiss" data-action="dismiss" aria-label="稍后">×</button>
+    `;
+
+    promptElement.addEventListener('click', (event) => {
+      const btn = event.target.closest('[data-action]');
+      if (!btn) return;
+
+      if (btn.dataset.action === 'dismiss') {
+        hideUpdatePrompt();
+        return;
+      }
+
+      // 写作入口里还有没保存的内容时先确认
+      const input = document.getElementById('writingEntryInput');
+      if (input && input.value.trim() && !confirm('正在写的内容还没有保存，刷新后会丢失。仍要刷新吗？')) {
+        return;
+      }
+
+      updateAccepted = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+      hideUpdatePrompt();
+    });
+
+    document.body.appendChild(promptElement);
+    console.log('🆕 发现新版本，等待刷新');
+  }
+
+  /**
+   * 隐藏更新提示
+   */
+  function hideUpdatePrompt() {
+    if (!promptElement) return;
+
+    promptElement.remove();
+    promptElement = null;
+  }
+
+  // 公开接口
+  return {
+    register,
+    showUpdatePrompt
+  };
+})();
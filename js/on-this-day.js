@@ -0,0 +1,147 @@
+/**
+ * on-this-day.js - 那年今日
+ * 职责：在时间轴上方列出往年同月同日写下的记录，显示当时的年龄，点击跳转到对应日期
+ */
+
+const DiaryOnThisDay = (function() {
+  'use strict';
+
+  // 摘要最多显示的字数
+  const SNIPPET_LENGTH = 80;
+
+  // 是否收起（本次打开应用期间有效）
+  let collapsed = false;
+
+  /**
+   * 获取往年今日的记录，按年份从近到远分组
+   * @param {Date} [today]
+   * @returns {Array} [{ dateKey, year, yearsAgo, age, entries }]
+   */
+  function getGroups(today = new Date()) {
+    const todayKey = DiaryModels.formatDateKey(today);
+    const birthDate = DiaryStorage.getBirthDate();
+    const groups = new Map();
+
+    DiaryStorage.getAllEntries()
+      .filter(entry => !entry.deleted)
+      .forEach(entry => {
+        const date = new Date(entry.createdAt);
+        const dateKey = DiaryModels.formatDateKey(date);
+        if (date.getFullYear() >= today.getFullYear() || !DiaryModels.isSameMonthDay(dateKey, todayKey)) {
+          return;
+        }
+
+        if (!groups.has(dateKey)) {
+          groups.set(dateKey, {
+            dateKey,
+            year: date.getFullYear(),
+            yearsAgo: today.getFullYear() - date.getFullYear(),
+            age: birthDate ? DiaryModels.getAge(birthDate, date) : null,
+            entries: []
+          });
+        }
+        groups.get(dateKey).entries.push(entry);
+      });
+
+    return Array.from(groups.values())
+      .sort((a, b) => b.year - a.year)
+      .map(group => ({
+        ...group,
+        entries: group.entries.sort((a, b) => a.createdAt - b.createdAt)
+      }));
+  }
+
+  /**
+   * 渲染那年今日面板（没有往年记录时隐藏）
+   */
+  function render() {
+    const panel = document.getElementById('onThisDay');
+    if (!panel) return;
+
+    const groups = getGroups();
+    if (groups.length === 0) {
+      panel.hidden = true;
+      panel.innerHTML = '';
+      return;
+    }
+
+    panel.hidden = false;
+    panel.classList.toggle('on-this-day--collapsed', collapsed);
+    panel.innerHTML = `
+      <button type="button" class="on-this-day-header" data-action="toggle" aria-expanded="${!collapsed}">
+        <span class="on-this-day-title">那年今日</span>
+        <span class="on-this-day-count">${groups.length} 年</span>
+        <svg class="on-this-day-arrow" viewBox="0 0 16 16" fill="none">
+          <path d="M4 6l4 4 4-4" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+      </button>
+      <div class="on-this-day-list">
+        ${groups.map(generateGroupHTML).join('')}
+      </div>
+    `;
+
+    panel.onclick = handleClick;
+  }
+
+  /**
+   * 生成某一年的记录
+   * @param {object} group
+   * @returns {string} HTML 字符串
+   */
+  function generateGroupHTML(group) {
+    const [, month, day] = group.dateKey.split('-').map(Number);
+    const meta = [`${group.yearsAgo} 年前`, `${group.year}年${month}月${day}日`];
+    if (group.age !== null && group.age >= 0) {
+      meta.push(`那时 ${group.age} 岁`);
+    }
+
+    const items = group.entries.map(entry => {
+      const content = entry.content.length > SNIPPET_LENGTH
+        ? `${entry.content.slice(0, SNIPPET_LENGTH)}…`
+        : entry.content;
+
+      return `
+        <button type="button" class="on-this-day-entry" data-id="${entry.id}">
+          <span class="on-this-day-time">${DiaryModels.formatTime(entry.createdAt)}</span>
+          <span class="on-this-day-content">${DiaryUI.escapeHTML(content)}</span>
+        </button>
+      `;
+    }).join('');
+
+    return `
+      <div class="on-this-day-group">
+        <div class="on-this-day-meta">${meta.join(' · ')}</div>
+        ${items}
+      </div>
+    `;
+  }
+
+  /**
+   * 处理面板内的点击：收起/展开，或跳转到记录所在日期
+   * @param {Event} event
+   */
+  function handleClick(event) {
+    if (event.target.closest('[data-action="toggle"]')) {
+      collapsed = !collapsed;
+      render();
+      return;
+    }
+
+    const item = event.target.closest('.on-this-day-entry');
+    if (!item) return;
+
+    const entry = DiaryStorage.getAllEntries().find(e => e.id === item.dataset.id);
+    if (!entry) return;
+
+    // 记录不在当前筛选结果中时先取消筛选
+    DiaryApp.revealEntry(entry);
+    DiaryApp.refreshTimeline();
+    DiaryUI.scrollToDate(DiaryModels.formatDateKey(new Date(entry.createdAt)));
+  }
+
+  // 公开接口
+  return {
+    getGroups,
+    render
+  };
+})();
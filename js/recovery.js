@@ -0,0 +1,278 @@
+/**
+ * recovery.js - 损坏数据恢复
+ * 职责：从损坏的原始数据中尽力抢救记录，展示恢复界面（下载原始数据 / 恢复抢救出的记录）
+ */
+
+const DiaryRecovery = (function() {
+  'use strict';
+
+  // 除记录外一并尝试抢救的数据块
+  const SECTION_KEYS = ['dailyWeather', 'milestones', 'settings'];
+
+  /**
+   * 从原始字符串中抢救数据
+   * - 整体可解析（结构异常）：直接从对象中取
+   * - 无法解析（截断、乱码）：逐个提取完整的 {...} 片段尝试解析
+   * @param {string} raw - 原始内容
+   * @returns {object} { entries, dailyWeather, milestones, settings }
+   */
+  function salvage(raw) {
+    const result = { entries: [], dailyWeather: {}, milestones: {}, settings: {} };
+    if (typeof raw !== 'string' || !raw) return result;
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      parsed = null;
+    }
+
+    let candidates;
+
+    if (parsed && typeof parsed === 'object') {
+      if (Array.isArray(parsed)) {
+        candidates = parsed;
+      } else if (parsed.entries && typeof parsed.entries === 'object') {
+        candidates = Object.values(parsed.entries);
+      } else {
+        candidates = [];
+      }
+
+      SECTION_KEYS.forEach(key => {
+        if (parsed[key] && typeof parsed[key] === 'object') {
+          result[key] = parsed[key];
+        }
+      });
+    } else {
+      candidates = extractObjects(raw);
+
+      SECTION_KEYS.forEach(key => {
+        const section = extractObjectAfterKey(raw, key);
+        if (section) result[key] = section;
+      });
+    }
+
+    // 按 id 去重，保留最后更新的版本
+    const byId = new Map();
+    candidates.filter(isValidEntry).forEach(entry => {
+      const existing = byId.get(entry.id);
+      if (!existing || (entry.updatedAt || 0) > (existing.updatedAt || 0)) {
+        byId.set(entry.id, entry);
+      }
+    });
+
+    result.entries = Array.from(byId.values());
+    return result;
+  }
+
+  /**
+   * 判断对象是否像一条记录
+   * @param {*} entry
+   * @returns {boolean}
+   */
+  function isValidEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return false;
+    if (!entry.id || typeof entry.content !== 'string') return false;
+
+    return typeof entry.createdAt === 'number' ||
+      (typeof entry.createdAt === 'string' && !isNaN(Date.parse(entry.createdAt)));
+  }
+
+  /**
+   * 找到与 start 处的 "{" 配对的 "}"（跳过字符串中的括号）
+   * @param {string} text
+   * @param {number} start - "{" 的位置
+   * @returns {number} 配对位置，找不到（被截断）时返回 -1
+   */
+  function findObjectEnd(text, start) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (ch === '\\') {
+          escaped = true;
+        } else if (ch === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * 提取所有可解析的记录片段
+   * @param {string} raw
+   * @returns {Array} 解析成功的记录
+   */
+  function extractObjects(raw) {
+    const results = [];
+    let index = raw.indexOf('{');
+
+    while (index !== -1) {
+      const end = findObjectEnd(raw, index);
+      let next = index + 1;
+
+      if (end !== -1) {
+        try {
+          const obj = JSON.parse(raw.slice(index, end + 1));
+          if (isValidEntry(obj)) {
+            results.push(obj);
+            next = end + 1;  // 整条记录已取出，跳过其内部的 metadata
+          }
+        } catch (error) {
+          // 片段本身损坏，继续尝试内部的片段
+        }
+      }
+
+      index = raw.indexOf('{', next);
+    }
+
+    return results;
+  }
+
+  /**
+   * 提取某个键对应的对象
+   * @param {string} raw
+   * @param {string} key - 例如 "dailyWeather"
+   * @returns {object|null}
+   */
+  function extractObjectAfterKey(raw, key) {
+    const keyIndex = raw.indexOf(`"${key}"`);
+    if (keyIndex === -1) return null;
+
+    const start = raw.indexOf('{', keyIndex);
+    if (start === -1) return null;
+
+    const end = findObjectEnd(raw, start);
+    if (end === -1) return null;
+
+    try {
+      return JSON.parse(raw.slice(start, end + 1));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 生成抢救结果摘要
+   * @param {object} salvaged
+   * @returns {string} HTML 字符串
+   */
+  function generateSummaryHTML(salvaged) {
+    const entries = salvaged.entries;
+    if (entries.length === 0) {
+      return '<p class="recovery-summary-text">未能从原始数据中找到可恢复的记录。</p>';
+    }
+
+    const timestamps = entries
+      .map(entry => typeof entry.createdAt === 'number' ? entry.createdAt : Date.parse(entry.createdAt))
+      .sort((a, b) => a - b);
+    const first = DiaryModels.formatDateKey(new Date(timestamps[0]));
+    const last = DiaryModels.formatDateKey(new Date(timestamps[timestamps.length - 1]));
+
+    return `
+      <p class="recovery-summary-count">${entries.length}</p>
+      <p class="recovery-summary-text">条可恢复的记录（${first} ～ ${last}）</p>
+    `;
+  }
+
+  /**
+   * 显示恢复界面
+   * @param {object} info - DiaryStorage.getRecoveryInfo() 的返回值 { raw, backupSaved }
+   * @param {Function} onResolved - 恢复完成后的回调
+   */
+  function show(info, onResolved) {
+    const salvaged = salvage(info.raw);
+    const count = salvaged.entries.length;
+    let downloaded = false;
+
+    const screen = document.createElement('div');
+    screen.className = 'recovery-screen';
+    screen.id = 'recoveryScreen';
+
+    screen.innerHTML = `
+      <div class="recovery-card">
+        <h2 class="recovery-title">数据读取异常</h2>
+        <p class="recovery-text">
+          本地保存的日记数据已损坏，无法正常读取。为避免覆盖，应用已暂停写入。
+        </p>
+        <p class="recovery-text">
+          ${info.backupSaved ? '原始数据已另存一份备份。' : '原始数据未能自动备份，建议先下载保存。'}
+        </p>
+        <div class="recovery-summary">
+          ${generateSummaryHTML(salvaged)}
+        </div>
+        <div class="recovery-actions">
+          <button class="recovery-btn" data-action="download">下载原始数据</button>
+          <button class="recovery-btn recovery-btn--primary" data-action="restore"${count === 0 ? ' disabled' : ''}>
+            恢复 ${count} 条记录
+          </button>
+        </div>
+        <button class="recovery-link" data-action="reset">放弃原有数据，重新开始</button>
+      </div>
+    `;
+
+    screen.addEventListener('click', async (event) => {
+      const btn = event.target.closest('[data-action]');
+      if (!btn || btn.disabled) return;
+
+      const action = btn.dataset.action;
+
+      if (action === 'download') {
+        const today = DiaryModels.formatDateKey(new Date()).replace(/-/g, '');
+        DiaryUI.downloadFile(`diary-data-raw-${today}.txt`, info.raw);
+        downloaded = true;
+        return;
+      }
+
+      // 以下操作会覆盖原始数据
+      if (!info.backupSaved && !downloaded &&
+          !confirm('原始数据尚未备份，继续后将被覆盖。\n\n确定继续？')) {
+        return;
+      }
+
+      if (action === 'reset' && !confirm('将丢弃损坏的数据，从空白日记重新开始。\n\n确定继续？')) {
+        return;
+      }
+
+      screen.querySelectorAll('button').forEach(b => { b.disabled = true; });
+
+      try {
+        await DiaryStorage.restoreFromRecovery(action === 'restore' ? salvaged : {});
+        screen.remove();
+        if (onResolved) onResolved();
+      } catch (error) {
+        console.error('❌ 恢复失败:', error);
+        alert('恢复失败，请重试');
+        screen.querySelectorAll('button').forEach(b => {
+          b.disabled = b.dataset.action === 'restore' && count === 0;
+        });
+      }
+    });
+
+    document.body.appendChild(screen);
+  }
+
+  // 公开接口
+  return {
+    salvage,
+    show
+  };
+})();
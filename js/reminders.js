@@ -0,0 +1,351 @@
+/**
+ * reminders.js - 写作提醒
+ * 职责：每天在设定的时间用系统通知提醒写日记；今天已写过（设了每日目标时为已达成）可不再提醒，
+ *       休息日不提醒，并提供提醒设置面板
+ *
+ * 提醒由页面内的计时器触发，需要应用在浏览器中保持打开（可在后台）。
+ * 注册了 Service Worker 时通过它显示通知，点击通知回到应用。
+ */
+
+const DiaryReminders = (function() {
+  'use strict';
+
+  // 上次提醒的日期只记在本机，多个标签页共用，避免同一天重复提醒
+  const LAST_REMINDED_KEY = 'diary-reminder-last';
+  const NOTIFICATION_TAG = 'diary-reminder';
+  const NOTIFICATION_TITLE = '时间轴日记';
+
+  const DEFAULT_SETTINGS = {
+    time: '21:00',
+    skipIfWritten: true,
+    quietDays: []       // 不提醒的星期（0 = 周日）
+  };
+
+  // 计时器最长间隔：休眠唤醒、修改系统时间后也能及时重新计算
+  const MAX_TIMER_DELAY = 60 * 60 * 1000;
+
+  const WEEKDAY_LABELS = ['日', '一', '二', '三', '四', '五', '六'];
+  // 面板中从周一开始排列
+  const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+  let timer = null;
+  let settingsOverlay = null;
+
+  /**
+   * 当前环境是否支持通知
+   * @returns {boolean}
+   */
+  function isSupported() {
+    return typeof Notification !== 'undefined';
+  }
+
+  /**
+   * 某天的提醒时刻
+   * @param {object} settings
+   * @param {Date} date
+   * @returns {Date}
+   */
+  function getReminderTime(settings, date) {
+    const [hours, minutes] = settings.time.split(':').map(Number);
+    const time = new Date(date);
+    time.setHours(hours, minutes, 0, 0);
+    return time;
+  }
+
+  /**
+   * 今天是否已经写过（设了每日目标时以达成目标为准）
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  function hasWrittenToday(now) {
+    const todayKey = DiaryModels.formatDateKey(now);
+
+    const goalMetDates = DiaryGoals.getGoalMetDates();
+    if (goalMetDates) {
+      return goalMetDates.has(todayKey);
+    }
+
+    return DiaryStorage.getAllEntries().some(entry =>
+      !entry.deleted && DiaryModels.formatDateKey(new Date(entry.createdAt)) === todayKey
+    );
+  }
+
+  /**
+   * 现在是否应该提醒
+   * @param {Date} [now]
+   * @returns {boolean}
+   */
+  function shouldRemind(now = new Date()) {
+    const settings = DiaryStorage.getReminders();
+    if (!settings) return false;
+
+    // 数据加密且未解锁时读不到今天的记录
+    if (DiaryStorage.getStatus() === 'locked') return false;
+
+    if (settings.quietDays.includes(now.getDay())) return false;
+    if (now < getReminderTime(settings, now)) return false;
+    if (localStorage.getItem(LAST_REMINDED_KEY) === DiaryModels.formatDateKey(now)) return false;
+    if (settings.skipIfWritten && hasWrittenToday(now)) return false;
+
+    return true;
+  }
+
+  /**
+   * 通知正文
+   * @returns {string}
+   */
+  function getMessage() {
+    const progress = DiaryGoals.getProgress();
+    if (progress && !progress.met) {
+      const unit = progress.goal.type === DiaryGoals.TYPES.CHARS ? '字' : '条';
+      const rest = `今天的目标还差 ${progress.goal.target - progress.today} ${unit}`;
+      return progress.streak > 0 ? `${rest}，已经连续 ${progress.streak} 天了，别断在今天。` : `${rest}。`;
+    }
+    return '今天过得怎么样？写下一行留给以后的自己。';
+  }
+
+  /**
+   * 显示通知（优先通过 Service Worker，点击后回到应用）
+   * @param {string} body
+   */
+  async function showNotification(body) {
+    const options = {
+      body,
+      tag: NOTIFICATION_TAG,
+      icon: 'android-chrome-192x192.png'
+    };
+
+    if ('serviceWorker' in navigator) {
+      const registration = await navigator.serviceWorker.getRegistration();
+      if (registration) {
+        await registration.showNotification(NOTIFICATION_TITLE, options);
+        return;
+      }
+    }
+
+    const notification = new Notification(NOTIFICATION_TITLE, options);
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  }
+
+  /**
+   * 检查是否需要提醒，然后安排下一次检查
+   */
+  async function check() {
+    try {
+      if (isSupported() && Notification.permission === 'granted' && shouldRemind()) {
+        localStorage.setItem(LAST_REMINDED_KEY, DiaryModels.formatDateKey(new Date()));
+        await showNotification(getMessage());
+        console.log('🔔 已发送写作提醒');
+      }
+    } catch (error) {
+      console.error('❌ 写作提醒发送失败:', error);
+    }
+
+    schedule();
+  }
+
+  /**
+   * 安排下一次检查（今天或明天的提醒时刻）
+   */
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+
+    const settings = DiaryStorage.getReminders();
+    if (!settings || !isSupported()) return;
+
+    const now = new Date();
+    let next = getReminderTime(settings, now);
+    if (next <= now) {
+      next.setDate(next.getDate() + 1);
+      next = getReminderTime(settings, next);
+    }
+
+    timer = setTimeout(check, Math.min(next - now, MAX_TIMER_DELAY));
+  }
+
+  /**
+   * 初始化：补发今天错过的提醒，并安排下一次
+   */
+  function init() {
+    if (!isSupported()) return;
+
+    DiaryStorage.subscribe(change => {
+      if (change.sections.includes('settings')) {
+        schedule();
+      }
+    });
+
+    // 从后台回到前台时计时器可能被推迟，立即检查一次
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        check();
+      }
+    });
+
+    check();
+  }
+
+  /**
+   * ========================================
+   * 提醒设置
+   * ========================================
+   */
+
+  /**
+   * 打开提醒设置面板
+   */
+  function openSettings() {
+    if (settingsOverlay) close();
+
+    const config = DiaryStorage.getReminders();
+
+    settingsOverlay = document.createElement('div');
+    settingsOverlay.className = 'editor-overlay reminder-overlay active';
+    settingsOverlay.id = 'reminderOverlay';
+
+    settingsOverlay.innerHTML = `
+      <form class="editor-container reminder-container" autocomplete="off">
+        <div class="editor-header">
+          <button type="button" class="btn-close" data-action="close" aria-label="关闭">×</button>
+          <span class="settings-panel-title">写作提醒</span>
+        </div>
+        ${isSupported() ? generateSettingsHTML(config) : `
+          <div class="settings-panel-body">
+            <p class="settings-panel-text">当前浏览器不支持通知。</p>
+          </div>
+        `}
+      </form>
+    `;
+
+    const form = settingsOverlay.querySelector('form');
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      handleSave(form);
+    });
+
+    settingsOverlay.addEventListener('click', (event) => {
+      if (event.target === settingsOverlay || event.target.closest('[data-action="close"]')) {
+        close();
+      } else if (event.target.closest('[data-action="disable"]')) {
+        DiaryStorage.setReminders(null);
+        close();
+      }
+    });
+
+    document.addEventListener('keydown', handleKeydown);
+    document.body.appendChild(settingsOverlay);
+  }
+
+  /**
+   * 生成设置表单
+   * @param {object|null} config - 当前设置，未启用时为 null
+   * @returns {string} HTML 字符串
+   */
+  function generateSettingsHTML(config) {
+    const settings = config || DEFAULT_SETTINGS;
+    const denied = Notification.permission === 'denied';
+
+    const daysHTML = WEEKDAY_ORDER.map(day => `
+      <label class="reminder-day">
+        <input type="checkbox" name="quietDays" value="${day}" ${settings.quietDays.includes(day) ? 'checked' : ''}>
+        <span>${WEEKDAY_LABELS[day]}</span>
+      </label>
+    `).join('');
+
+    return `
+      <div class="settings-panel-body">
+        <p class="settings-panel-text">
+          到了设定的时间用系统通知提醒你写日记。提醒需要应用在浏览器中保持打开（可在后台）。
+        </p>
+        ${denied ? '<p class="settings-panel-text settings-panel-text--warning">浏览器已禁止本页面发送通知，请先在浏览器设置中允许。</p>' : ''}
+        <label class="reminder-row">
+          <span>提醒时间</span>
+          <input type="time" class="reminder-time" name="time" value="${settings.time}" required>
+        </label>
+        <label class="reminder-row">
+          <span>今天已写过就不提醒${DiaryStorage.getDailyGoal() ? '（以达成每日目标为准）' : ''}</span>
+          <input type="checkbox" name="skipIfWritten" ${settings.skipIfWritten ? 'checked' : ''}>
+        </label>
+        <div class="reminder-row">
+          <span>休息日</span>
+          <div class="reminder-days" role="group" aria-label="休息日">${daysHTML}</div>
+        </div>
+        <p class="settings-panel-error" aria-live="polite"></p>
+      </div>
+      <div class="editor-footer">
+        ${config ? '<button type="button" class="btn-delete" data-action="disable">关闭提醒</button>' : '<span></span>'}
+        <button type="submit" class="btn-save">${config ? '保存' : '开启提醒'}</button>
+      </div>
+    `;
+  }
+
+  /**
+   * 保存设置（首次开启时请求通知权限）
+   * @param {HTMLFormElement} form
+   */
+  async function handleSave(form) {
+    const previous = DiaryStorage.getReminders();
+    const error = form.querySelector('.settings-panel-error');
+    const time = form.querySelector('[name="time"]').value;
+
+    if (!/^\d{2}:\d{2}$/.test(time)) {
+      error.textContent = '请选择提醒时间';
+      return;
+    }
+
+    if (Notification.permission !== 'granted') {
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        error.textContent = '没有获得通知权限，无法提醒';
+        return;
+      }
+    }
+
+    DiaryStorage.setReminders({
+      time,
+      skipIfWritten: form.querySelector('[name="skipIfWritten"]').checked,
+      quietDays: Array.from(form.querySelectorAll('[name="quietDays"]:checked')).map(input => Number(input.value))
+    });
+
+    // 改了提醒时间，今天到新的时间还可以再提醒一次
+    if (!previous || previous.time !== time) {
+      localStorage.removeItem(LAST_REMINDED_KEY);
+    }
+    close();
+  }
+
+  /**
+   * 关闭设置面板
+   */
+  function close() {
+    if (!settingsOverlay) return;
+
+    settingsOverlay.remove();
+    settingsOverlay = null;
+    document.removeEventListener('keydown', handleKeydown);
+  }
+
+  /**
+   * Esc 关闭设置面板
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (event.key === 'Escape') {
+      close();
+    }
+  }
+
+  // 公开接口
+  return {
+    isSupported,
+    shouldRemind,
+    check,
+    init,
+    openSettings,
+    close
+  };
+})();
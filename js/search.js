@@ -0,0 +1,537 @@
+/**
+ * search.js - 全文搜索
+ * 职责：为记录建立倒排索引（中日韩文字按单字 + 相邻两字切分，其他文字按单词），
+ *       按关键词检索并排序，展示带高亮摘要的结果，点击跳转到对应日期
+ *
+ * 索引在首次搜索时建立，之后订阅存储层的数据变化，只重建变化的记录。
+ */
+
+const DiarySearch = (function() {
+  'use strict';
+
+  // 最多展示的结果数
+  const MAX_RESULTS = 50;
+
+  // 摘要在第一个命中位置前后保留的字数
+  const SNIPPET_BEFORE = 20;
+  const SNIPPET_AFTER = 60;
+
+  // 输入防抖（毫秒）
+  const INPUT_DELAY = 150;
+
+  // 中日韩文字（没有空格分词，按字切分）
+  const CJK_CHAR = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+  const SEGMENT_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[\p{L}\p{N}_]+/gu;
+
+  // 倒排索引：词 → Map(记录 ID → 出现次数)
+  const postings = new Map();
+  // 已索引的记录：ID → { content, createdAt, tokens: Map(词 → 次数) }
+  const docs = new Map();
+
+  let indexReady = false;
+  let unsubscribe = null;
+
+  let overlay = null;
+  let inputTimer = null;
+  let activeIndex = -1;
+
+  /**
+   * ========================================
+   * 分词
+   * ========================================
+   */
+
+  /**
+   * 统一文本形式：全角转半角、大写转小写
+   * 逐字转换且保持长度不变，索引位置可直接对应原文（用于高亮）
+   * @param {string} text
+   * @returns {string}
+   */
+  function normalize(text) {
+    let result = '';
+    for (const char of text || '') {
+      const normalized = char.normalize('NFKC').toLowerCase();
+      result += normalized.length === char.length ? normalized : char;
+    }
+    return result;
+  }
+
+  /**
+   * 将文本切分为索引词
+   * 中日韩文字：单字 + 相邻两字（"今天下雨" → 今 天 下 雨 今天 天下 下雨）
+   * 其他文字：整个单词
+   * @param {string} text - 已 normalize 的文本
+   * @returns {Map} 词 → 出现次数
+   */
+  function tokenize(text) {
+    const tokens = new Map();
+    const add = token => tokens.set(token, (tokens.get(token) || 0) + 1);
+
+    for (const [segment] of text.matchAll(SEGMENT_PATTERN)) {
+      if (!CJK_CHAR.test(segment)) {
+        add(segment);
+        continue;
+      }
+
+      const chars = Array.from(segment);
+      chars.forEach((char, i) => {
+        add(char);
+        if (i > 0) add(chars[i - 1] + char);
+      });
+    }
+
+    return tokens;
+  }
+
+  /**
+   * 解析搜索词：按空格拆分，每个词需全部命中
+   * @param {string} query
+   * @returns {Array} [{ text, tokens, prefix }]，prefix 为 true 时按前缀匹配单词
+   */
+  function parseQuery(query) {
+    const terms = [];
+    const seen = new Set();
+
+    normalize(query).split(/\s+/).forEach(part => {
+      for (const [segment] of part.matchAll(SEGMENT_PATTERN)) {
+        if (seen.has(segment)) continue;
+        seen.add(segment);
+
+        if (!CJK_CHAR.test(segment)) {
+          terms.push({ text: segment, tokens: [segment], prefix: true });
+          continue;
+        }
+
+        // 单字直接查单字；多字查相邻两字，命中后再用原文确认顺序
+        const chars = Array.from(segment);
+        const tokens = chars.length === 1
+          ? chars
+          : chars.slice(1).map((char, i) => chars[i] + char);
+        terms.push({ text: segment, tokens: Array.from(new Set(tokens)), prefix: false });
+      }
+    });
+
+    return terms;
+  }
+
+  /**
+   * ========================================
+   * 索引
+   * ========================================
+   */
+
+  /**
+   * 加入或更新一条记录的索引
+   * @param {object} entry - 记录对象
+   */
+  function indexEntry(entry) {
+    const existing = docs.get(entry.id);
+    if (existing && existing.content === entry.content) {
+      existing.createdAt = entry.createdAt;
+      return;
+    }
+
+    removeEntry(entry.id);
+
+    const tokens = tokenize(normalize(entry.content));
+    tokens.forEach((count, token) => {
+      if (!postings.has(token)) {
+        postings.set(token, new Map());
+      }
+      postings.get(token).set(entry.id, count);
+    });
+
+    docs.set(entry.id, { content: entry.content, createdAt: entry.createdAt, tokens });
+  }
+
+  /**
+   * 从索引中移除一条记录
+   * @param {string} id - 记录 ID
+   */
+  function removeEntry(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+
+    doc.tokens.forEach((count, token) => {
+      const list = postings.get(token);
+      if (!list) return;
+      list.delete(id);
+      if (list.size === 0) {
+        postings.delete(token);
+      }
+    });
+
+    docs.delete(id);
+  }
+
+  /**
+   * 重建全部索引
+   */
+  function rebuildIndex() {
+    postings.clear();
+    docs.clear();
+
+    DiaryStorage.getAllEntries()
+      .filter(entry => !entry.deleted)
+      .forEach(indexEntry);
+
+    indexReady = true;
+    console.log(`🔍 搜索索引已建立：${docs.size} 条记录，${postings.size} 个词`);
+  }
+
+  /**
+   * 确保索引可用（首次搜索时建立，并开始跟随数据变化增量更新）
+   */
+  function ensureIndex() {
+    if (!unsubscribe) {
+      unsubscribe = DiaryStorage.subscribe(handleStorageChange);
+    }
+    if (!indexReady) {
+      rebuildIndex();
+    }
+  }
+
+  /**
+   * 数据变化时增量更新索引
+   * @param {object} change - { source, sections, entryIds }
+   */
+  function handleStorageChange(change) {
+    if (!indexReady) return;
+
+    // 解锁、关闭加密等会整体替换数据，下次搜索时重建
+    if (change.sections.includes('encryption') ||
+        (change.sections.includes('entries') && change.entryIds.length === 0)) {
+      indexReady = false;
+      return;
+    }
+
+    if (change.entryIds.length === 0) return;
+
+    const changed = new Set(change.entryIds);
+    const entries = new Map(
+      DiaryStorage.getAllEntries()
+        .filter(entry => changed.has(entry.id))
+        .map(entry => [entry.id, entry])
+    );
+
+    changed.forEach(id => {
+      const entry = entries.get(id);
+      if (entry && !entry.deleted) {
+        indexEntry(entry);
+      } else {
+        removeEntry(id);
+      }
+    });
+
+    // 面板打开时同步刷新结果
+    if (overlay) {
+      renderResults();
+    }
+  }
+
+  /**
+   * ========================================
+   * 检索
+   * ========================================
+   */
+
+  /**
+   * 查询单个词的候选记录
+   * @param {string} token
+   * @param {boolean} prefix - 是否按前缀匹配
+   * @returns {Map} 记录 ID → 出现次数
+   */
+  function lookup(token, prefix) {
+    if (!prefix) {
+      return postings.get(token) || new Map();
+    }
+
+    const result = new Map();
+    postings.forEach((list, key) => {
+      if (!key.startsWith(token)) return;
+      list.forEach((count, id) => result.set(id, (result.get(id) || 0) + count));
+    });
+    return result;
+  }
+
+  /**
+   * 搜索记录
+   * 所有搜索词都需命中；按词频 × 逆文档频率打分，同分时较新的记录在前
+   * @param {string} query - 搜索词（空格分隔多个词）
+   * @returns {Array} [{ entry, score, terms }]
+   */
+  function search(query) {
+    const terms = parseQuery(query);
+    if (terms.length === 0) return [];
+
+    ensureIndex();
+
+    const total = docs.size;
+    let scores = null;
+
+    for (const term of terms) {
+      const termScores = new Map();
+
+      term.tokens.forEach((token, i) => {
+        const list = lookup(token, term.prefix);
+        const idf = Math.log(1 + total / (list.size || 1));
+
+        // 同一搜索词的各个片段都需命中
+        termScores.forEach((score, id) => {
+          if (!list.has(id)) termScores.delete(id);
+        });
+        list.forEach((count, id) => {
+          if (i === 0) {
+            termScores.set(id, count * idf);
+          } else if (termScores.has(id)) {
+            termScores.set(id, termScores.get(id) + count * idf);
+          }
+        });
+      });
+
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        scores.forEach((score, id) => {
+          if (termScores.has(id)) {
+            scores.set(id, score + termScores.get(id));
+          } else {
+            scores.delete(id);
+          }
+        });
+      }
+
+      if (scores.size === 0) return [];
+    }
+
+    const entries = new Map(DiaryStorage.getAllEntries().map(entry => [entry.id, entry]));
+
+    return Array.from(scores.entries())
+      .map(([id, score]) => ({ entry: entries.get(id), score, terms }))
+      // 两字切分只保证字都出现过，再用原文确认整个搜索词连续出现
+      .filter(({ entry }) => {
+        if (!entry || entry.deleted) return false;
+        const text = normalize(entry.content);
+        return terms.every(term => text.includes(term.text));
+      })
+      .sort((a, b) => b.score - a.score || b.entry.createdAt - a.entry.createdAt);
+  }
+
+  /**
+   * 生成带高亮的摘要
+   * @param {string} content - 记录内容
+   * @param {Array} terms - parseQuery 的结果
+   * @returns {string} HTML 字符串
+   */
+  function generateSnippetHTML(content, terms) {
+    const text = normalize(content);
+
+    // 所有命中区间（按位置排序，去掉重叠）
+    const ranges = [];
+    terms.forEach(term => {
+      let index = text.indexOf(term.text);
+      while (index !== -1) {
+        ranges.push([index, index + term.text.length]);
+        index = text.indexOf(term.text, index + term.text.length);
+      }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const first = ranges.length > 0 ? ranges[0][0] : 0;
+    const start = Math.max(0, first - SNIPPET_BEFORE);
+    const end = Math.min(content.length, first + SNIPPET_AFTER);
+
+    let html = start > 0 ? '…' : '';
+    let cursor = start;
+
+    ranges.forEach(([from, to]) => {
+      if (from < cursor || from >= end) return;
+      html += DiaryUI.escapeHTML(content.slice(cursor, from));
+      html += `<mark class="search-mark">${DiaryUI.escapeHTML(content.slice(from, Math.min(to, end)))}</mark>`;
+      cursor = Math.min(to, end);
+    });
+
+    html += DiaryUI.escapeHTML(content.slice(cursor, end));
+    if (end < content.length) html += '…';
+
+    return html;
+  }
+
+  /**
+   * ========================================
+   * 搜索面板
+   * ========================================
+   */
+
+  /**
+   * 打开搜索面板
+   */
+  function open() {
+    if (overlay) {
+      overlay.querySelector('#searchInput').select();
+      return;
+    }
+
+    overlay = document.createElement('div');
+    overlay.className = 'editor-overlay search-overlay active';
+    overlay.id = 'searchOverlay';
+
+    overlay.innerHTML = `
+      <div class="editor-container search-container">
+        <div class="search-header">
+          <svg class="search-icon" viewBox="0 0 20 20" fill="none">
+            <circle cx="9" cy="9" r="5.5" stroke="currentColor" stroke-width="1.4"/>
+            <path d="M13 13l4 4" stroke="currentColor" stroke-width="1.4" stroke-linecap="round"/>
+          </svg>
+          <input type="search" class="search-input" id="searchInput"
+                 placeholder="搜索记录" aria-label="搜索记录" autocomplete="off">
+          <button class="btn-close" data-action="close" aria-label="关闭">×</button>
+        </div>
+        <div class="search-summary" id="searchSummary"></div>
+        <div class="search-results" id="searchResults" role="listbox"></div>
+      </div>
+    `;
+
+    const input = overlay.querySelector('#searchInput');
+    input.addEventListener('input', () => {
+      clearTimeout(inputTimer);
+      inputTimer = setTimeout(renderResults, INPUT_DELAY);
+    });
+
+    overlay.addEventListener('click', handleClick);
+    document.addEventListener('keydown', handleKeydown);
+    document.body.appendChild(overlay);
+
+    ensureIndex();
+    renderResults();
+    input.focus();
+  }
+
+  /**
+   * 关闭搜索面板
+   */
+  function close() {
+    if (!overlay) return;
+
+    clearTimeout(inputTimer);
+    overlay.remove();
+    overlay = null;
+    activeIndex = -1;
+    document.removeEventListener('keydown', handleKeydown);
+  }
+
+  /**
+   * 渲染搜索结果
+   */
+  function renderResults() {
+    if (!overlay) return;
+
+    const query = overlay.querySelector('#searchInput').value;
+    const list = overlay.querySelector('#searchResults');
+    const summary = overlay.querySelector('#searchSummary');
+
+    activeIndex = -1;
+
+    if (!query.trim()) {
+      summary.textContent = '';
+      list.innerHTML = '<p class="search-empty">输入关键词，多个词用空格分隔</p>';
+      return;
+    }
+
+    const results = search(query);
+    if (results.length === 0) {
+      summary.textContent = '';
+      list.innerHTML = '<p class="search-empty">没有找到相关记录</p>';
+      return;
+    }
+
+    summary.textContent = results.length > MAX_RESULTS
+      ? `找到 ${results.length} 条记录，显示最相关的 ${MAX_RESULTS} 条`
+      : `找到 ${results.length} 条记录`;
+
+    list.innerHTML = results.slice(0, MAX_RESULTS).map(generateResultHTML).join('');
+  }
+
+  /**
+   * 生成单条结果的 HTML
+   * @param {object} result - { entry, terms }
+   * @returns {string} HTML 字符串
+   */
+  function generateResultHTML({ entry, terms }) {
+    const date = new Date(entry.createdAt);
+    const dateText = `${date.getFullYear()}年${DiaryModels.formatDate(entry.createdAt)} ${DiaryModels.formatTime(entry.createdAt)}`;
+
+    return `
+      <button type="button" class="search-result" data-id="${entry.id}" role="option">
+        <span class="search-result-date">${dateText}</span>
+        <span class="search-result-snippet">${generateSnippetHTML(entry.content, terms)}</span>
+      </button>
+    `;
+  }
+
+  /**
+   * 跳转到搜索结果所在的日期
+   * @param {string} id - 记录 ID
+   */
+  function jumpTo(id) {
+    const entry = DiaryStorage.getAllEntries().find(e => e.id === id);
+    if (!entry) return;
+
+    close();
+
+    // 记录不在当前筛选结果中时先取消筛选
+    DiaryApp.revealEntry(entry);
+    DiaryApp.refreshTimeline();
+
+    DiaryUI.scrollToDate(DiaryModels.formatDateKey(new Date(entry.createdAt)));
+  }
+
+  /**
+   * 处理面板内的点击
+   * @param {Event} event
+   */
+  function handleClick(event) {
+    if (event.target === overlay || event.target.closest('[data-action="close"]')) {
+      close();
+      return;
+    }
+
+    const result = event.target.closest('.search-result');
+    if (result) {
+      jumpTo(result.dataset.id);
+    }
+  }
+
+  /**
+   * 键盘操作：↑↓ 选择结果，Enter 跳转，Esc 关闭
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (event.key === 'Escape') {
+      close();
+      return;
+    }
+
+    const items = overlay.querySelectorAll('.search-result');
+    if (items.length === 0) return;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      activeIndex = (activeIndex + step + items.length) % items.length;
+
+      items.forEach((item, i) => item.classList.toggle('search-result--active', i === activeIndex));
+      items[activeIndex].scrollIntoView({ block: 'nearest' });
+    } else if (event.key === 'Enter' && event.target.id === 'searchInput') {
+      event.preventDefault();
+      jumpTo(items[Math.max(activeIndex, 0)].dataset.id);
+    }
+  }
+
+  // 公开接口
+  return {
+    search,
+    open,
+    close
+  };
+})();
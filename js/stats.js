@@ -0,0 +1,554 @@
+/**
+ * stats.js - 数据统计
+ * 职责：根据记录计算书写统计（按周/月/年的记录数与字数、连续记录天数、活跃时段与星期、
+ *       天气分布、按年龄段汇总），并用 SVG 绘制简单的图表
+ */
+
+const DiaryStats = (function() {
+  'use strict';
+
+  // 趋势图展示的周期数
+  const RECENT_WEEKS = 12;
+  const RECENT_MONTHS = 12;
+
+  const WEEKDAY_LABELS = ['日', '一', '二', '三', '四', '五', '六'];
+
+  // 图表尺寸（SVG 坐标，按容器宽度等比缩放）
+  const CHART = {
+    barSlot: 24,       // 每根柱子占用的宽度
+    barHeight: 100,    // 柱子最大高度
+    labelHeight: 16,   // 底部标签区域
+    rowHeight: 22,     // 横向条形图每行高度
+    rowLabelWidth: 96, // 横向条形图标签宽度
+    rowBarWidth: 260   // 横向条形图条形最大宽度
+  };
+
+  let overlay = null;
+  let unsubscribe = null;
+
+  // 面板中的选项
+  const view = {
+    period: 'month',  // 'week' | 'month' | 'year'
+    metric: 'entries' // 'entries' | 'chars'
+  };
+
+  /**
+   * ========================================
+   * 计算
+   * ========================================
+   */
+
+  /**
+   * 记录字数
+   * @param {object} entry
+   * @returns {number}
+   */
+  function getCharCount(entry) {
+    return entry.metadata && typeof entry.metadata.wordCount === 'number'
+      ? entry.metadata.wordCount
+      : entry.content.trim().length;
+  }
+
+  /**
+   * 日期键的后一天 / 前一天
+   * @param {string} dateKey - YYYY-MM-DD
+   * @param {number} offset - 天数偏移
+   * @returns {string}
+   */
+  function shiftDateKey(dateKey, offset) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return DiaryModels.formatDateKey(new Date(year, month - 1, day + offset));
+  }
+
+  /**
+   * 计算连续记录天数
+   * 今天还没有记录时，从昨天开始计算当前连续天数（今天仍有机会延续）
+   * @param {Set} dateKeys - 有记录（或达成目标）的日期键
+   * @param {Date} [today]
+   * @returns {object} { current, longest, longestStart, longestEnd }
+   */
+  function computeStreaks(dateKeys, today = new Date()) {
+    const todayKey = DiaryModels.formatDateKey(today);
+
+    let current = 0;
+    let cursor = dateKeys.has(todayKey) ? todayKey : shiftDateKey(todayKey, -1);
+    while (dateKeys.has(cursor)) {
+      current++;
+      cursor = shiftDateKey(cursor, -1);
+    }
+
+    let longest = 0;
+    let longestStart = null;
+    let longestEnd = null;
+    let runStart = null;
+    let runLength = 0;
+    let previous = null;
+
+    Array.from(dateKeys).sort().forEach(dateKey => {
+      if (previous && shiftDateKey(previous, 1) === dateKey) {
+        runLength++;
+      } else {
+        runStart = dateKey;
+        runLength = 1;
+      }
+
+      if (runLength > longest) {
+        longest = runLength;
+        longestStart = runStart;
+        longestEnd = dateKey;
+      }
+      previous = dateKey;
+    });
+
+    return { current, longest, longestStart, longestEnd };
+  }
+
+  /**
+   * 某天所在周的周日（与生命日历一致，每周从周日开始）
+   * @param {Date} date
+   * @returns {Date}
+   */
+  function getWeekStart(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+  }
+
+  /**
+   * 按周期汇总记录数与字数
+   * @param {Array} entries - 未删除的记录
+   * @param {Date} today
+   * @returns {object} { week, month, year }，每项为 [{ key, label, title, entries, chars }]
+   */
+  function computePeriods(entries, today) {
+    const periods = { week: [], month: [], year: [] };
+
+    const weekStart = getWeekStart(today);
+    for (let i = RECENT_WEEKS - 1; i >= 0; i--) {
+      const start = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() - i * 7);
+      periods.week.push({
+        key: DiaryModels.formatDateKey(start),
+        label: `${start.getMonth() + 1}/${start.getDate()}`,
+        title: `${start.getFullYear()}年${start.getMonth() + 1}月${start.getDate()}日起的一周`,
+        entries: 0,
+        chars: 0
+      });
+    }
+
+    for (let i = RECENT_MONTHS - 1; i >= 0; i--) {
+      const month = new Date(today.getFullYear(), today.getMonth() - i, 1);
+      periods.month.push({
+        key: DiaryModels.formatDateKey(month).slice(0, 7),
+        label: `${month.getMonth() + 1}月`,
+        title: `${month.getFullYear()}年${month.getMonth() + 1}月`,
+        entries: 0,
+        chars: 0
+      });
+    }
+
+    const firstYear = entries.reduce(
+      (year, entry) => Math.min(year, new Date(entry.createdAt).getFullYear()),
+      today.getFullYear()
+    );
+    for (let year = firstYear; year <= today.getFullYear(); year++) {
+      periods.year.push({ key: String(year), label: String(year), title: `${year}年`, entries: 0, chars: 0 });
+    }
+
+    const index = {
+      week: new Map(periods.week.map(item => [item.key, item])),
+      month: new Map(periods.month.map(item => [item.key, item])),
+      year: new Map(periods.year.map(item => [item.key, item]))
+    };
+
+    entries.forEach(entry => {
+      const date = new Date(entry.createdAt);
+      const dateKey = DiaryModels.formatDateKey(date);
+      const chars = getCharCount(entry);
+
+      [
+        index.week.get(DiaryModels.formatDateKey(getWeekStart(date))),
+        index.month.get(dateKey.slice(0, 7)),
+        index.year.get(dateKey.slice(0, 4))
+      ].forEach(item => {
+        if (item) {
+          item.entries++;
+          item.chars += chars;
+        }
+      });
+    });
+
+    return periods;
+  }
+
+  /**
+   * 按年龄段（第 N 次生日到第 N+1 次生日前一天）汇总
+   * @param {Array} entries - 未删除的记录
+   * @param {string|null} birthDate
+   * @param {Date} today
+   * @returns {Array} [{ age, label, entries, chars }]，未设置出生日期时为空
+   */
+  function computeAges(entries, birthDate, today) {
+    if (!birthDate || entries.length === 0) return [];
+
+    const firstDate = new Date(entries.reduce((min, entry) => Math.min(min, entry.createdAt), Infinity));
+    const firstAge = Math.max(0, DiaryModels.getAge(birthDate, firstDate));
+    const currentAge = DiaryModels.getAge(birthDate, today);
+
+    const ages = [];
+    for (let age = firstAge; age <= currentAge; age++) {
+      const { start, end } = DiaryModels.getAgeRange(birthDate, age);
+      const { ageLabel, yearLabel } = DiaryModels.getAgeYearLabel(birthDate, age);
+      ages.push({
+        age,
+        label: ageLabel,
+        title: `${ageLabel} ${yearLabel}`,
+        startKey: DiaryModels.formatDateKey(start),
+        endKey: DiaryModels.formatDateKey(end),
+        entries: 0,
+        chars: 0
+      });
+    }
+
+    entries.forEach(entry => {
+      const dateKey = DiaryModels.formatDateKey(new Date(entry.createdAt));
+      const item = ages.find(range => dateKey >= range.startKey && dateKey <= range.endKey);
+      if (item) {
+        item.entries++;
+        item.chars += getCharCount(entry);
+      }
+    });
+
+    return ages;
+  }
+
+  /**
+   * 计算全部统计数据
+   * @param {Date} [today]
+   * @returns {object}
+   */
+  function compute(today = new Date()) {
+    const data = DiaryStorage.loadData();
+    const entries = data.entries.filter(entry => !entry.deleted);
+
+    const dateKeys = new Set(entries.map(entry => DiaryModels.formatDateKey(new Date(entry.createdAt))));
+    const hours = new Array(24).fill(0);
+    const weekdays = new Array(7).fill(0);
+    let chars = 0;
+
+    entries.forEach(entry => {
+      const date = new Date(entry.createdAt);
+      hours[date.getHours()]++;
+      weekdays[date.getDay()]++;
+      chars += getCharCount(entry);
+    });
+
+    // 每天的天气：设置过每日天气时用它，否则由当天记录推算（见 DiaryModels.resolveDayWeather）
+    const entriesByDate = new Map(DiaryModels.groupEntriesByDate(entries).map(group => [group.date, group.entries]));
+    const weatherDays = new Set([...entriesByDate.keys(), ...Object.keys(data.dailyWeather || {})]);
+    const weatherCounts = {};
+    weatherDays.forEach(dateKey => {
+      const { weather } = DiaryModels.resolveDayWeather((data.dailyWeather || {})[dateKey], entriesByDate.get(dateKey) || []);
+      if (weather) {
+        weatherCounts[weather] = (weatherCounts[weather] || 0) + 1;
+      }
+    });
+
+    return {
+      totals: { entries: entries.length, chars, days: dateKeys.size },
+      streaks: computeStreaks(dateKeys, today),
+      periods: computePeriods(entries, today),
+      hours,
+      weekdays,
+      weather: DiaryModels.WEATHER_OPTIONS
+        .filter(option => weatherCounts[option.id])
+        .map(option => ({ value: option.id, label: option.label, count: weatherCounts[option.id] }))
+        .sort((a, b) => b.count - a.count),
+      ages: computeAges(entries, DiaryStorage.getBirthDate(), today)
+    };
+  }
+
+  /**
+   * ========================================
+   * SVG 图表
+   * ========================================
+   */
+
+  /**
+   * 纵向柱状图
+   * @param {Array} items - [{ label, value, title }]
+   * @param {object} [options] - { labelEvery: 每隔几根柱子显示一个标签, highlight: 高亮的下标 }
+   * @returns {string} SVG 字符串
+   */
+  function generateBarChartSVG(items, { labelEvery = 1, highlight = -1 } = {}) {
+    const { barSlot, barHeight, labelHeight } = CHART;
+    const width = items.length * barSlot;
+    const height = barHeight + labelHeight;
+    const max = Math.max(1, ...items.map(item => item.value));
+
+    const bars = items.map((item, i) => {
+      const h = item.value > 0 ? Math.max(2, Math.round(item.value / max * (barHeight - 12))) : 0;
+      const x = i * barSlot + barSlot * 0.2;
+      const classes = ['stats-bar'];
+      if (i === highlight) classes.push('stats-bar--highlight');
+
+      return `
+        <g>
+          <title>${DiaryUI.escapeHTML(item.title || item.label)}：${item.value}</title>
+          <rect class="stats-bar-hit" x="${i * barSlot}" y="0" width="${barSlot}" height="${barHeight}"/>
+          <rect class="${classes.join(' ')}" x="${x}" y="${barHeight - h}" width="${barSlot * 0.6}" height="${h}" rx="2"/>
+          ${i % labelEvery === 0 ? `<text class="stats-label" x="${i * barSlot + barSlot / 2}" y="${height - 4}" text-anchor="middle">${DiaryUI.escapeHTML(item.label)}</text>` : ''}
+        </g>
+      `;
+    }).join('');
+
+    return `
+      <svg class="stats-chart" viewBox="0 0 ${width} ${height}" role="img">
+        <line class="stats-axis" x1="0" y1="${barHeight}" x2="${width}" y2="${barHeight}"/>
+        ${bars}
+      </svg>
+    `;
+  }
+
+  /**
+   * 横向条形图
+   * @param {Array} items - [{ label, value, title }]
+   * @returns {string} SVG 字符串
+   */
+  function generateRowChartSVG(items) {
+    const { rowHeight, rowLabelWidth, rowBarWidth } = CHART;
+    const width = rowLabelWidth + rowBarWidth + 48;
+    const height = items.length * rowHeight;
+    const max = Math.max(1, ...items.map(item => item.value));
+
+    const rows = items.map((item, i) => {
+      const y = i * rowHeight;
+      const w = item.value > 0 ? Math.max(2, Math.round(item.value / max * rowBarWidth)) : 0;
+
+      return `
+        <g>
+          <title>${DiaryUI.escapeHTML(item.title || item.label)}：${item.value}</title>
+          <text class="stats-label stats-label--row" x="${rowLabelWidth - 8}" y="${y + rowHeight / 2 + 4}" text-anchor="end">${DiaryUI.escapeHTML(item.label)}</text>
+          <rect class="stats-bar" x="${rowLabelWidth}" y="${y + 5}" width="${w}" height="${rowHeight - 10}" rx="2"/>
+          <text class="stats-label stats-label--value" x="${rowLabelWidth + w + 6}" y="${y + rowHeight / 2 + 4}">${item.value}</text>
+        </g>
+      `;
+    }).join('');
+
+    return `<svg class="stats-chart stats-chart--rows" viewBox="0 0 ${width} ${height}" role="img">${rows}</svg>`;
+  }
+
+  /**
+   * ========================================
+   * 统计面板
+   * ========================================
+   */
+
+  /**
+   * 打开统计面板
+   */
+  function open() {
+    if (overlay) return;
+
+    overlay = document.createElement('div');
+    overlay.className = 'editor-overlay stats-overlay active';
+    overlay.id = 'statsOverlay';
+
+    overlay.innerHTML = `
+      <div class="editor-container stats-container">
+        <div class="editor-header">
+          <button class="btn-close" data-action="close" aria-label="关闭">×</button>
+          <span class="stats-title">数据统计</span>
+        </div>
+        <div class="stats-body" id="statsBody"></div>
+      </div>
+    `;
+
+    overlay.addEventListener('click', handleClick);
+    document.addEventListener('keydown', handleKeydown);
+    document.body.appendChild(overlay);
+
+    // 其他标签页修改记录时同步刷新
+    unsubscribe = DiaryStorage.subscribe(change => {
+      if (change.source === 'remote') {
+        render();
+      }
+    });
+
+    render();
+  }
+
+  /**
+   * 关闭统计面板
+   */
+  function close() {
+    if (!overlay) return;
+
+    overlay.remove();
+    overlay = null;
+    document.removeEventListener('keydown', handleKeydown);
+
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  }
+
+  /**
+   * Esc 关闭
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (event.key === 'Escape') {
+      close();
+    }
+  }
+
+  /**
+   * 处理面板内的点击（关闭、切换周期与指标）
+   * @param {Event} event
+   */
+  function handleClick(event) {
+    if (event.target === overlay || event.target.closest('[data-action="close"]')) {
+      close();
+      return;
+    }
+
+    const option = event.target.closest('[data-period], [data-metric]');
+    if (!option) return;
+
+    if (option.dataset.period) view.period = option.dataset.period;
+    if (option.dataset.metric) view.metric = option.dataset.metric;
+    render();
+  }
+
+  /**
+   * 渲染面板内容
+   */
+  function render() {
+    const body = overlay && overlay.querySelector('#statsBody');
+    if (!body) return;
+
+    const stats = compute();
+    if (stats.totals.entries === 0) {
+      body.innerHTML = '<p class="stats-empty">还没有记录，写下第一条之后再来看看吧</p>';
+      return;
+    }
+
+    body.innerHTML = [
+      generateSummaryHTML(stats),
+      generateTrendHTML(stats),
+      generateHabitsHTML(stats),
+      stats.weather.length > 0 ? generateSectionHTML('天气', generateRowChartSVG(
+        stats.weather.map(item => ({ label: item.label, value: item.count, title: `${item.label}（天）` }))
+      )) : '',
+      stats.ages.length > 0 ? generateSectionHTML('各年龄段', generateRowChartSVG(
+        stats.ages.map(item => ({ label: item.label, value: item[view.metric], title: item.title }))
+      )) : ''
+    ].join('');
+  }
+
+  /**
+   * 概览数字
+   * @param {object} stats
+   * @returns {string} HTML 字符串
+   */
+  function generateSummaryHTML(stats) {
+    const { totals, streaks } = stats;
+    const longestTitle = streaks.longestStart
+      ? `${streaks.longestStart} 至 ${streaks.longestEnd}`
+      : '';
+
+    const item = (value, label, title = '') => `
+      <div class="stats-summary-item"${title ? ` title="${title}"` : ''}>
+        <span class="stats-summary-value">${value.toLocaleString('zh-CN')}</span>
+        <span class="stats-summary-label">${label}</span>
+      </div>
+    `;
+
+    return `
+      <div class="stats-summary">
+        ${item(totals.entries, '条记录')}
+        ${item(totals.chars, '字')}
+        ${item(totals.days, '天有记录')}
+        ${item(streaks.current, '天当前连续')}
+        ${item(streaks.longest, '天最长连续', longestTitle)}
+      </div>
+    `;
+  }
+
+  /**
+   * 记录趋势（按周/月/年）
+   * @param {object} stats
+   * @returns {string} HTML 字符串
+   */
+  function generateTrendHTML(stats) {
+    const items = stats.periods[view.period].map(item => ({
+      label: item.label,
+      title: item.title,
+      value: item[view.metric]
+    }));
+
+    const tab = (attr, value, label, current) => `
+      <button type="button" class="stats-tab${value === current ? ' stats-tab--active' : ''}" data-${attr}="${value}">${label}</button>
+    `;
+
+    const controls = `
+      <div class="stats-tabs">
+        ${tab('period', 'week', '周', view.period)}
+        ${tab('period', 'month', '月', view.period)}
+        ${tab('period', 'year', '年', view.period)}
+      </div>
+      <div class="stats-tabs">
+        ${tab('metric', 'entries', '记录数', view.metric)}
+        ${tab('metric', 'chars', '字数', view.metric)}
+      </div>
+    `;
+
+    return generateSectionHTML('记录趋势', generateBarChartSVG(items, {
+      labelEvery: view.period === 'week' ? 2 : 1,
+      highlight: items.length - 1
+    }), controls);
+  }
+
+  /**
+   * 活跃时段与星期
+   * @param {object} stats
+   * @returns {string} HTML 字符串
+   */
+  function generateHabitsHTML(stats) {
+    const hours = stats.hours.map((value, hour) => ({ label: String(hour), title: `${hour}:00–${hour}:59`, value }));
+    const weekdays = stats.weekdays.map((value, day) => ({ label: WEEKDAY_LABELS[day], title: `周${WEEKDAY_LABELS[day]}`, value }));
+
+    const peak = (values) => values.indexOf(Math.max(...values));
+
+    return [
+      generateSectionHTML('活跃时段', generateBarChartSVG(hours, { labelEvery: 3, highlight: peak(stats.hours) })),
+      generateSectionHTML('星期分布', generateBarChartSVG(weekdays, { highlight: peak(stats.weekdays) }))
+    ].join('');
+  }
+
+  /**
+   * 统计区块
+   * @param {string} title
+   * @param {string} chartHTML
+   * @param {string} [controlsHTML]
+   * @returns {string} HTML 字符串
+   */
+  function generateSectionHTML(title, chartHTML, controlsHTML = '') {
+    return `
+      <section class="stats-section">
+        <div class="stats-section-header">
+          <h3 class="stats-section-title">${title}</h3>
+          ${controlsHTML}
+        </div>
+        ${chartHTML}
+      </section>
+    `;
+  }
+
+  // 公开接口
+  return {
+    compute,
+    computeStreaks,
+    open,
+    close
+  };
+})();
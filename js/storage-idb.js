@@ -0,0 +1,362 @@
+/**
+ * storage-idb.js - IndexedDB 存储后端
+ * 职责：封装 IndexedDB 的打开、读取与写入，按数据类型拆分对象仓库
+ *
+ * 🆕 附件（图片等二进制数据）单独存放在 attachments 仓库，不随其他数据整体读入内存，按需读取。
+ */
+
+const DiaryIDB = (function() {
+  'use strict';
+
+  const DB_NAME = 'timeline-journal';
+  const DB_VERSION = 2;  // 🆕 2：新增附件仓库
+
+  // 对象仓库名称
+  const STORES = {
+    ENTRIES: 'entries',             // 记录 { id, content, createdAt, ... }，keyPath: id
+    DAILY_WEATHER: 'dailyWeather',  // 每日天气 "2024-12-16" → "sunny"
+    MILESTONES: 'milestones',       // 特殊日期 "2015-09-01" → { type, templateId, ... }
+    SETTINGS: 'settings',           // 设置项 "birthDate" → "1990-01-01"
+    META: 'meta',                   // 元信息 "version" → "2.0.0"，"migrations" → [...]，"encryption" → 密钥信息
+    ATTACHMENTS: 'attachments'      // 🆕 附件 { id, meta, data, thumbnail }，keyPath: id
+  };
+
+  // 整体读写的数据仓库（不含附件）
+  const DATA_STORES = [
+    STORES.ENTRIES,
+    STORES.DAILY_WEATHER,
+    STORES.MILESTONES,
+    STORES.SETTINGS,
+    STORES.META
+  ];
+
+  // 以 key → value 形式存储的仓库（记录仓库使用 keyPath）
+  const KEY_VALUE_STORES = [
+    STORES.DAILY_WEATHER,
+    STORES.MILESTONES,
+    STORES.SETTINGS,
+    STORES.META
+  ];
+
+  let db = null;
+
+  /**
+   * 当前环境是否支持 IndexedDB
+   * @returns {boolean}
+   */
+  function isSupported() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  }
+
+  /**
+   * 打开数据库（首次打开时创建对象仓库）
+   * @returns {Promise<IDBDatabase>}
+   */
+  function open() {
+    if (db) return Promise.resolve(db);
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const database = request.result;
+
+        if (!database.objectStoreNames.contains(STORES.ENTRIES)) {
+          const entryStore = database.createObjectStore(STORES.ENTRIES, { keyPath: 'id' });
+          entryStore.createIndex('createdAt', 'createdAt');
+        }
+
+        KEY_VALUE_STORES.forEach(name => {
+          if (!database.objectStoreNames.contains(name)) {
+            database.createObjectStore(name);
+          }
+        });
+
+        if (!database.objectStoreNames.contains(STORES.ATTACHMENTS)) {
+          database.createObjectStore(STORES.ATTACHMENTS, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => {
+        db = request.result;
+
+        // 其他页面升级数据库时主动关闭连接，避免阻塞
+        db.onversionchange = () => {
+          db.close();
+          db = null;
+        };
+
+        resolve(db);
+      };
+
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('⚠️ 数据库被其他页面占用，等待释放...');
+    });
+  }
+
+  /**
+   * 将 IDBRequest 包装为 Promise
+   * @param {IDBRequest} request
+   * @returns {Promise<*>}
+   */
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 等待事务完成（数据落盘）
+   * @param {IDBTransaction} tx
+   * @returns {Promise<void>}
+   */
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new DOMException('事务已中止', 'AbortError'));
+    });
+  }
+
+  /**
+   * 读取 key → value 仓库为普通对象
+   * @param {IDBTransaction} tx
+   * @param {string} storeName
+   * @returns {Promise<object>}
+   */
+  function readKeyValueStore(tx, storeName) {
+    const store = tx.objectStore(storeName);
+    return Promise.all([
+      requestToPromise(store.getAllKeys()),
+      requestToPromise(store.getAll())
+    ]).then(([keys, values]) => {
+      const result = {};
+      keys.forEach((key, index) => {
+        result[key] = values[index];
+      });
+      return result;
+    });
+  }
+
+  /**
+   * 用普通对象覆盖写入 key → value 仓库
+   * @param {IDBTransaction} tx
+   * @param {string} storeName
+   * @param {object} obj
+   */
+  function writeKeyValueStore(tx, storeName, obj) {
+    const store = tx.objectStore(storeName);
+    store.clear();
+
+    Object.keys(obj || {}).forEach(key => {
+      if (obj[key] !== undefined) {
+        store.put(obj[key], key);
+      }
+    });
+  }
+
+  /**
+   * 读取完整数据（结构与 LocalStorage 中的 diary_data 一致）
+   * @returns {Promise<object|null>} 数据对象；数据库尚未写入过数据时返回 null
+   */
+  async function readAll() {
+    const database = await open();
+    const tx = database.transaction(DATA_STORES, 'readonly');
+
+    const [entries, dailyWeather, milestones, settings, meta] = await Promise.all([
+      requestToPromise(tx.objectStore(STORES.ENTRIES).getAll()),
+      readKeyValueStore(tx, STORES.DAILY_WEATHER),
+      readKeyValueStore(tx, STORES.MILESTONES),
+      readKeyValueStore(tx, STORES.SETTINGS),
+      readKeyValueStore(tx, STORES.META)
+    ]);
+
+    // 没有版本号说明是空库
+    if (!meta.version) return null;
+
+    return {
+      entries,
+      dailyWeather,
+      milestones,
+      settings,
+      version: meta.version,
+      migrations: meta.migrations || []
+    };
+  }
+
+  /**
+   * 写入完整数据（单个事务，全部成功或全部失败）
+   * @param {object} data - 数据对象
+   * @param {object} [meta] - 需一并写入的其他元信息，值为 null 时删除该键（如加密密钥信息）
+   * @param {Array} [attachments] - 🆕 需一并覆盖写入的附件（重新加密时使用）
+   * @returns {Promise<void>}
+   */
+  async function writeAll(data, meta, attachments) {
+    const database = await open();
+    const tx = database.transaction(attachments ? Object.values(STORES) : DATA_STORES, 'readwrite');
+    const done = transactionDone(tx);
+
+    if (attachments) {
+      const attachmentStore = tx.objectStore(STORES.ATTACHMENTS);
+      attachments.forEach(record => attachmentStore.put(record));
+    }
+
+    const entryStore = tx.objectStore(STORES.ENTRIES);
+    entryStore.clear();
+    (data.entries || []).forEach(entry => entryStore.put(entry));
+
+    writeKeyValueStore(tx, STORES.DAILY_WEATHER, data.dailyWeather);
+    writeKeyValueStore(tx, STORES.MILESTONES, data.milestones);
+    writeKeyValueStore(tx, STORES.SETTINGS, data.settings);
+
+    // 元信息仓库还保存着备份等其他数据，只覆盖版本相关的键
+    const metaStore = tx.objectStore(STORES.META);
+    metaStore.put(data.version, 'version');
+    metaStore.put(data.migrations || [], 'migrations');
+
+    Object.keys(meta || {}).forEach(key => {
+      if (meta[key] === null) {
+        metaStore.delete(key);
+      } else {
+        metaStore.put(meta[key], key);
+      }
+    });
+
+    return done;
+  }
+
+  /**
+   * 只写入变更的数据（单个事务）
+   * @param {object} changes - 各仓库的变更 { entries: { put, delete }, dailyWeather: {...}, ..., version, migrations }
+   *   put 为 [key, value] 数组，delete 为 key 数组
+   * @returns {Promise<void>}
+   */
+  async function writeChanges(changes) {
+    const database = await open();
+    const tx = database.transaction(DATA_STORES, 'readwrite');
+    const done = transactionDone(tx);
+
+    [STORES.ENTRIES, STORES.DAILY_WEATHER, STORES.MILESTONES, STORES.SETTINGS].forEach(name => {
+      const change = changes[name];
+      if (!change) return;
+
+      const store = tx.objectStore(name);
+      change.put.forEach(([key, value]) => {
+        // 记录仓库使用 keyPath，不能再传入 key
+        if (name === STORES.ENTRIES) {
+          store.put(value);
+        } else {
+          store.put(value, key);
+        }
+      });
+      change.delete.forEach(key => store.delete(key));
+    });
+
+    const metaStore = tx.objectStore(STORES.META);
+    metaStore.put(changes.version, 'version');
+    metaStore.put(changes.migrations || [], 'migrations');
+
+    return done;
+  }
+
+  /**
+   * 读取单个元信息
+   * @param {string} key
+   * @returns {Promise<*>} 不存在时为 undefined
+   */
+  async function getMeta(key) {
+    const database = await open();
+    const tx = database.transaction(STORES.META, 'readonly');
+    return requestToPromise(tx.objectStore(STORES.META).get(key));
+  }
+
+  /**
+   * 写入单个元信息
+   * @param {string} key
+   * @param {*} value
+   * @returns {Promise<void>}
+   */
+  async function setMeta(key, value) {
+    const database = await open();
+    const tx = database.transaction(STORES.META, 'readwrite');
+    const done = transactionDone(tx);
+    tx.objectStore(STORES.META).put(value, key);
+    return done;
+  }
+
+  /**
+   * 🆕 写入一个附件
+   * @param {object} record - { id, meta, data, thumbnail }
+   * @returns {Promise<void>}
+   */
+  async function putAttachment(record) {
+    const database = await open();
+    const tx = database.transaction(STORES.ATTACHMENTS, 'readwrite');
+    const done = transactionDone(tx);
+    tx.objectStore(STORES.ATTACHMENTS).put(record);
+    return done;
+  }
+
+  /**
+   * 🆕 读取一个附件
+   * @param {string} id
+   * @returns {Promise<object|undefined>} 不存在时为 undefined
+   */
+  async function getAttachment(id) {
+    const database = await open();
+    const tx = database.transaction(STORES.ATTACHMENTS, 'readonly');
+    return requestToPromise(tx.objectStore(STORES.ATTACHMENTS).get(id));
+  }
+
+  /**
+   * 🆕 读取全部附件（重新加密时使用，数据量可能较大）
+   * @returns {Promise<Array>}
+   */
+  async function getAllAttachments() {
+    const database = await open();
+    const tx = database.transaction(STORES.ATTACHMENTS, 'readonly');
+    return requestToPromise(tx.objectStore(STORES.ATTACHMENTS).getAll());
+  }
+
+  /**
+   * 🆕 读取全部附件 ID
+   * @returns {Promise<Array>}
+   */
+  async function getAttachmentKeys() {
+    const database = await open();
+    const tx = database.transaction(STORES.ATTACHMENTS, 'readonly');
+    return requestToPromise(tx.objectStore(STORES.ATTACHMENTS).getAllKeys());
+  }
+
+  /**
+   * 🆕 删除附件
+   * @param {Array} ids
+   * @returns {Promise<void>}
+   */
+  async function deleteAttachments(ids) {
+    const database = await open();
+    const tx = database.transaction(STORES.ATTACHMENTS, 'readwrite');
+    const done = transactionDone(tx);
+    const store = tx.objectStore(STORES.ATTACHMENTS);
+    ids.forEach(id => store.delete(id));
+    return done;
+  }
+
+  // 公开接口
+  return {
+    STORES,
+    isSupported,
+    open,
+    readAll,
+    writeAll,
+    writeChanges,
+    getMeta,
+    setMeta,
+    putAttachment,
+    getAttachment,
+    getAllAttachments,
+    getAttachmentKeys,
+    deleteAttachments
+  };
+})();
@@ -1,13 +1,67 @@
 /**
  * storage.js - 数据存储层
- * 职责：封装 LocalStorage 操作
+ * 职责：封装数据持久化（优先使用 IndexedDB，不支持时回退到 LocalStorage）
+ *
+ * IndexedDB 是异步接口，而上层模块按同步方式读写数据，
+ * 因此数据在启动时整体读入内存缓存，读取走缓存；
+ * 修改只记录变更的键，合并后在空闲时批量落盘（页面隐藏或关闭前立即落盘）。
+ *
+ * 多标签页同步：IndexedDB 模式通过 BroadcastChannel 通知其他页面重新读取，
+ * LocalStorage 模式监听 storage 事件；远端数据按记录 ID 与 updatedAt 合并进缓存，
+ * 本页尚未落盘的修改优先保留。
+ *
+ * 数据加密（可选）：启用后记录、天气、特殊日期与设置以密文落盘（IndexedDB 逐条加密，
+ * LocalStorage 整体加密），内存缓存仍为明文；启动时需输入口令解锁后才能读写。
+ *
+ * 🆕 附件：二进制内容单独存放在 IndexedDB 的附件仓库，不进入内存缓存，按需读取；
+ * 记录上只保存附件信息（entry.attachments）。LocalStorage 模式不支持附件。
  */
 
 const DiaryStorage = (function() {
   'use strict';
 
   const STORAGE_KEY = 'diary_data';
-  const VERSION = '1.0.0';
+  const VERSION = DiaryMigrations.CURRENT_VERSION;
+
+  // 当前存储后端：'indexeddb' | 'localStorage'
+  let backend = 'localStorage';
+
+  // 内存缓存（两种后端共用，启动时读入一次）
+  let cache = null;
+
+  // 按数据块记录待写入的键，all 表示需要整体写入
+  const SECTIONS = ['entries', 'dailyWeather', 'milestones', 'settings'];
+  let dirty = createDirtyState();
+
+  // 批量写入：最后一次修改后等待 FLUSH_DELAY 毫秒，再在浏览器空闲时落盘
+  const FLUSH_DELAY = 300;
+
+  // 回收站默认保留天数（0 表示不自动清除）
+  const DEFAULT_TRASH_RETENTION_DAYS = 30;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // 🆕 没有被任何记录引用的附件超过这个时间后清除（写作中尚未保存的附件同样没有被引用）
+  const ORPHAN_ATTACHMENT_AGE = DAY_MS;
+  const IDLE_TIMEOUT = 2000;
+  let flushTimer = null;
+  let flushChain = Promise.resolve();
+
+  // 多标签页同步
+  const CHANNEL_NAME = 'timeline-journal';
+  let channel = null;
+  const listeners = new Set();
+
+  // 损坏数据的备份键（LocalStorage 模式）
+  const BACKUP_KEY = 'diary_data_backup';
+
+  // 存储状态：'ready' | 'corrupt' | 'locked'（数据损坏或尚未解锁时拒绝写入）
+  let status = 'ready';
+  let corruptRaw = null;
+  let backupSaved = false;
+
+  // 数据加密：密钥信息保存在 meta 仓库（IndexedDB）或数据本身（LocalStorage）
+  const ENCRYPTION_META_KEY = 'encryption';
+  let keyInfo = null;    // { kdf, iterations, salt, check }，未启用加密时为 null
+  let cryptoKey = null;  // 解锁后由口令派生的密钥
 
   /**
    * 初始化数据结构
@@ -24,96 +78,1232 @@ const DiaryStorage = (function() {
         lastSyncAt: null,
         birthDate: null,      // 出生日期（时间原点）'YYYY-MM-DD'
         initialized: false,   // 是否已初始化出生日期
-        calendarRange: 'default'  // 生命日历展示范围：'compact' | 'default' | 'extended' | 'all'
+        calendarRange: 'default',  // 生命日历展示范围：'compact' | 'default' | 'extended' | 'all'
+        calendarMode: 'records',   // 生命日历着色：'records'（有无记录）| 'mood'（心情）
+        markdown: false,      // 是否按 Markdown 渲染记录内容
+        trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,  // 回收站保留天数，0 表示不自动清除
+        appLock: null,        // 应用锁 { type, salt, iterations, hash, autoLockMinutes, lockOnHide }，未启用时为 null
+        dailyGoal: null,      // 每日目标 { type: 'entries' | 'chars', target }，未设置时为 null
+        reminders: null       // 写作提醒 { time: 'HH:MM', skipIfWritten, quietDays }，未启用时为 null
       },
-      version: VERSION
+      version: VERSION,
+      migrations: []     // 已执行的数据迁移记录 [{ version, description, appliedAt }]
+    };
+  }
+
+  /**
+   * 初始化存储层（应用启动时调用一次）
+   * 打开 IndexedDB 并读入快照；首次启用时迁移 LocalStorage 中的旧数据
+   * @returns {Promise<void>}
+   */
+  async function init() {
+    if (DiaryIDB.isSupported()) {
+      await initIndexedDB();
+    } else {
+      console.warn('⚠️ 当前环境不支持 IndexedDB，使用 LocalStorage');
+    }
+
+    if (backend === 'localStorage') {
+      loadData();  // 读入缓存并触发损坏检测
+    }
+
+    // 数据损坏：先备份原始内容，等待用户在恢复界面处理
+    if (status === 'corrupt') {
+      await quarantineCorruptData();
+    }
+
+    bindLifecycleFlush();
+    bindCrossTabSync();
+  }
+
+  /**
+   * 页面隐藏或关闭前立即落盘，避免丢失尚在等待批量写入的修改
+   */
+  function bindLifecycleFlush() {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        flush();
+      }
+    });
+    window.addEventListener('pagehide', () => flush());
+  }
+
+  /**
+   * 初始化 IndexedDB 后端，失败时保持 LocalStorage 后端
+   * @returns {Promise<void>}
+   */
+  async function initIndexedDB() {
+    try {
+      const info = await DiaryIDB.getMeta(ENCRYPTION_META_KEY);
+      if (info) {
+        // 数据已加密：等待解锁后再读取
+        keyInfo = info;
+        status = 'locked';
+        backend = 'indexeddb';
+        console.log('🔒 数据已加密，等待解锁');
+        return;
+      }
+
+      let data = await DiaryIDB.readAll();
+
+      if (!data) {
+        if (parseEncryptedBlob(localStorage.getItem(STORAGE_KEY) || '')) {
+          // 旧数据已加密，迁移需要先解密，继续使用 LocalStorage
+          console.warn('⚠️ LocalStorage 中的数据已加密，暂不迁移到 IndexedDB');
+          return;
+        }
+
+        // IndexedDB 为空：迁移旧数据或初始化
+        data = await migrateFromLocalStorage();
+      } else if (DiaryMigrations.migrate(data).length > 0) {
+        await DiaryIDB.writeAll(data);
+      }
+
+      cache = data;
+      backend = 'indexeddb';
+      console.log(`💾 IndexedDB 已就绪（${data.entries.length} 条记录）`);
+
+    } catch (error) {
+      console.error('❌ IndexedDB 初始化失败，回退到 LocalStorage:', error);
+      cache = null;
+      backend = 'localStorage';
+    }
+  }
+
+  /**
+   * 将 LocalStorage 中的数据迁移到 IndexedDB
+   * 写入成功后才移除旧数据；旧数据损坏时不写入，交给恢复流程处理
+   * @returns {Promise<object>} 迁移后的数据对象
+   */
+  async function migrateFromLocalStorage() {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const data = raw ? parseData(raw) : getInitialData();
+
+    if (!data) {
+      console.warn('⚠️ LocalStorage 中的旧数据已损坏，等待恢复');
+      markCorrupt(raw);
+      return getInitialData();
+    }
+
+    DiaryMigrations.migrate(data);
+    await DiaryIDB.writeAll(data);
+
+    if (raw) {
+      localStorage.removeItem(STORAGE_KEY);
+      console.log(`📦 已将 ${data.entries.length} 条记录从 LocalStorage 迁移到 IndexedDB`);
+    }
+
+    return data;
+  }
+
+  /**
+   * 解析并校验原始数据
+   * @param {string} raw - JSON 字符串
+   * @returns {object|null} 数据对象；无法解析或结构异常时返回 null
+   */
+  function parseData(raw) {
+    try {
+      const data = JSON.parse(raw);
+      return data && Array.isArray(data.entries) ? data : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 解析 LocalStorage 中的加密数据
+   * @param {string} raw - 原始内容
+   * @returns {object|null} { encryption, payload }；不是加密数据时返回 null
+   */
+  function parseEncryptedBlob(raw) {
+    // 加密数据由本模块写入，以固定的键开头，避免每次都完整解析明文数据
+    if (!raw || !raw.startsWith('{"encryption"')) return null;
+
+    try {
+      const blob = JSON.parse(raw);
+      return blob && blob.encryption && DiaryCrypto.isEnvelope(blob.payload) ? blob : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 获取当前存储后端
+   * @returns {string} 'indexeddb' | 'localStorage'
+   */
+  function getBackend() {
+    return backend;
+  }
+
+  /**
+   * 加载数据（返回内存缓存，直接修改后需调用 saveData）
+   * @returns {object} 数据对象
+   */
+  function loadData() {
+    if (status !== 'ready') {
+      return getInitialData();
+    }
+
+    if (!cache) {
+      cache = loadLocalData();
+    }
+
+    return cache || getInitialData();
+  }
+
+  /**
+   * 从 LocalStorage 加载数据（LocalStorage 模式下只在首次读取时调用）
+   * 数据损坏时返回空数据（不写回），原始内容保留给恢复流程
+   * @returns {object|null} 数据对象；数据已加密时返回 null，等待解锁
+   */
+  function loadLocalData() {
+    const raw = localStorage.getItem(STORAGE_KEY);
+
+    if (!raw) {
+      // 首次使用，初始化数据
+      const initialData = getInitialData();
+      saveData(initialData);
+      return initialData;
+    }
+
+    const blob = parseEncryptedBlob(raw);
+    if (blob) {
+      keyInfo = blob.encryption;
+      status = 'locked';
+      console.log('🔒 数据已加密，等待解锁');
+      return null;
+    }
+
+    const data = parseData(raw);
+
+    if (!data) {
+      console.error('❌ 数据已损坏，暂停写入等待恢复');
+      markCorrupt(raw);
+      return getInitialData();
+    }
+
+    // 旧版本数据：升级后写回
+    if (DiaryMigrations.migrate(data).length > 0) {
+      saveData(data);
+    }
+
+    return data;
+  }
+
+  /**
+   * ========================================
+   * 损坏数据恢复
+   * ========================================
+   */
+
+  /**
+   * 标记数据损坏（此后所有写入都会被拒绝，直到恢复完成）
+   * @param {string} raw - 原始内容
+   */
+  function markCorrupt(raw) {
+    status = 'corrupt';
+    corruptRaw = raw;
+  }
+
+  /**
+   * 将损坏的原始内容备份到独立位置，避免任何覆盖
+   * IndexedDB 模式存入 meta 仓库，LocalStorage 模式存入备份键
+   * @returns {Promise<void>}
+   */
+  async function quarantineCorruptData() {
+    try {
+      if (backend === 'indexeddb') {
+        const backups = (await DiaryIDB.getMeta('corruptBackups')) || [];
+        if (!backups.some(backup => backup.raw === corruptRaw)) {
+          backups.push({ raw: corruptRaw, quarantinedAt: Date.now() });
+          await DiaryIDB.setMeta('corruptBackups', backups);
+        }
+      } else {
+        const existing = localStorage.getItem(BACKUP_KEY);
+        if (existing !== corruptRaw) {
+          // 已有其他备份时不覆盖，另起一个带时间戳的键
+          const key = existing === null ? BACKUP_KEY : `${BACKUP_KEY}_${Date.now()}`;
+          localStorage.setItem(key, corruptRaw);
+        }
+      }
+
+      backupSaved = true;
+      console.log('📦 损坏的原始数据已备份');
+
+    } catch (error) {
+      backupSaved = false;
+      console.error('❌ 备份损坏数据失败:', error);
+    }
+  }
+
+  /**
+   * 获取存储状态
+   * @returns {string} 'ready' | 'corrupt' | 'locked'
+   */
+  function getStatus() {
+    return status;
+  }
+
+  /**
+   * 获取恢复所需的信息
+   * @returns {object|null} { raw, backupSaved }，数据正常时返回 null
+   */
+  function getRecoveryInfo() {
+    if (status !== 'corrupt') return null;
+    return { raw: corruptRaw, backupSaved };
+  }
+
+  /**
+   * 用抢救出的数据重建存储（会覆盖损坏的原始数据）
+   * @param {object} salvaged - { entries, dailyWeather, milestones, settings }
+   * @returns {Promise<void>}
+   */
+  async function restoreFromRecovery(salvaged) {
+    const data = getInitialData();
+    data.entries = salvaged.entries || [];
+    data.milestones = salvaged.milestones || {};
+    Object.assign(data.dailyWeather, salvaged.dailyWeather);
+    Object.assign(data.settings, salvaged.settings);
+
+    // 抢救出的记录来源不明，重新执行全部迁移以补全字段
+    data.version = '0.0.0';
+    data.migrations = [];
+    DiaryMigrations.migrate(data);
+
+    if (backend === 'indexeddb') {
+      await DiaryIDB.writeAll(data);
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    }
+
+    cache = data;
+    dirty = createDirtyState();
+    broadcastChange();
+
+    status = 'ready';
+    corruptRaw = null;
+    console.log(`✅ 已恢复 ${data.entries.length} 条记录`);
+  }
+
+  /**
+   * ========================================
+   * 批量写入
+   * ========================================
+   */
+
+  /**
+   * 创建空的变更记录
+   * @returns {object} { all, entries, dailyWeather, milestones, settings, attachments }，
+   *   attachments 为记录落盘后要删除的附件 ID
+   */
+  function createDirtyState() {
+    const state = { all: false, attachments: new Set() };
+    SECTIONS.forEach(section => {
+      state[section] = new Set();
+    });
+    return state;
+  }
+
+  /**
+   * 是否有尚未落盘的修改
+   * @returns {boolean}
+   */
+  function hasPendingChanges() {
+    return dirty.all || SECTIONS.some(section => dirty[section].size > 0);
+  }
+
+  /**
+   * 当前是否允许写入（数据损坏或尚未解锁时拒绝）
+   * @returns {boolean}
+   */
+  function isWritable() {
+    if (status === 'ready') return true;
+
+    console.warn(status === 'locked' ? '⚠️ 数据尚未解锁，已拒绝写入' : '⚠️ 数据损坏尚未恢复，已拒绝写入');
+    return false;
+  }
+
+  /**
+   * 记录修改并安排落盘
+   * @param {string} section - 数据块：'entries' | 'dailyWeather' | 'milestones' | 'settings'
+   * @param {string} key - 记录 ID 或日期键 / 设置项名称
+   * @returns {boolean} 是否接受修改（数据损坏或尚未解锁时拒绝）
+   */
+  function markDirty(section, key) {
+    if (!isWritable()) {
+      return false;
+    }
+
+    dirty[section].add(key);
+    scheduleFlush();
+    notify({ source: 'local', sections: [section], entryIds: section === 'entries' ? [key] : [] });
+    return true;
+  }
+
+  /**
+   * 安排一次批量写入（防抖 + 空闲回调）
+   */
+  function scheduleFlush() {
+    clearTimeout(flushTimer);
+
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+
+      if (typeof requestIdleCallback === 'function') {
+        requestIdleCallback(() => flush(), { timeout: IDLE_TIMEOUT });
+      } else {
+        flush();
+      }
+    }, FLUSH_DELAY);
+  }
+
+  /**
+   * 立即将待写入的修改落盘
+   * 多次调用按顺序执行，写入失败的修改会重新加入待写入列表
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    if (status !== 'ready' || !cache || !hasPendingChanges()) {
+      return flushChain;
+    }
+
+    // 轮到本次写入时才取出待写入的修改，排在前面的远端同步仍能看到它们
+    flushChain = flushChain.then(async () => {
+      if (!hasPendingChanges()) return;
+
+      const pending = dirty;
+      dirty = createDirtyState();
+
+      try {
+        await writePending(pending);
+        console.log('💾 数据已保存');
+        broadcastChange();
+
+        // 🆕 记录已不再引用这些附件，此时才删除内容（删除失败的由 cleanupAttachments 清除）
+        if (pending.attachments.size > 0) {
+          await DiaryIDB.deleteAttachments(Array.from(pending.attachments))
+            .catch(error => console.error('❌ 删除附件失败:', error));
+        }
+      } catch (error) {
+        restoreDirty(pending);
+        if (error.name === 'KeyChangedError') {
+          handleKeyChange(error.encryption);
+        } else {
+          handleSaveError(error);
+        }
+      }
+    });
+
+    return flushChain;
+  }
+
+  /**
+   * 将任务排入写入队列，与落盘、同步按顺序执行
+   * @param {Function} task - 异步任务
+   * @returns {Promise<*>} 任务的结果（出错时 reject，不影响队列中后续的任务）
+   */
+  function enqueue(task) {
+    const result = flushChain.then(task);
+    flushChain = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * 写入一批修改
+   * IndexedDB 只写入变更的记录；LocalStorage 只能整体序列化，每批只写一次，
+   * 写入前先合并其他页面的数据，避免用本页过期的缓存覆盖
+   * @param {object} pending - 变更记录
+   * @returns {Promise<void>}
+   * @throws {Error} 其他页面已修改口令时抛出 KeyChangedError（本页的密钥已失效，不能写入）
+   */
+  async function writePending(pending) {
+    if (backend === 'localStorage') {
+      const remote = await readLocalRaw(localStorage.getItem(STORAGE_KEY) || '');
+      if (getSalt(remote.encryption) !== getSalt(keyInfo)) {
+        throw createKeyChangedError(remote.encryption);
+      }
+      if (remote.data) {
+        applyRemoteData(remote.data, pending);
+      }
+      localStorage.setItem(STORAGE_KEY, await serializeLocal(cache, cryptoKey, keyInfo));
+      return;
+    }
+
+    const info = await readKeyInfo();
+    if (getSalt(info) !== getSalt(keyInfo)) {
+      throw createKeyChangedError(info);
+    }
+
+    if (pending.all) {
+      await DiaryIDB.writeAll(cryptoKey ? await encryptSnapshot(cache, cryptoKey) : cache);
+      return;
+    }
+
+    const changes = collectChanges(pending);
+    await DiaryIDB.writeChanges(cryptoKey ? await encryptChanges(changes, cryptoKey) : changes);
+  }
+
+  /**
+   * 根据变更记录从缓存中取出需要写入的值
+   * 缓存中已不存在的键视为删除
+   * @param {object} pending - 变更记录
+   * @returns {object} { entries: { put, delete }, dailyWeather: {...}, ..., version, migrations }
+   */
+  function collectChanges(pending) {
+    const changes = {
+      version: cache.version,
+      migrations: cache.migrations || []
+    };
+
+    const entriesById = pending.entries.size > 0
+      ? new Map(cache.entries.map(entry => [entry.id, entry]))
+      : null;
+
+    SECTIONS.forEach(section => {
+      const change = { put: [], delete: [] };
+
+      pending[section].forEach(key => {
+        const value = section === 'entries'
+          ? entriesById.get(key)
+          : cache[section]?.[key];
+
+        if (value === undefined) {
+          change.delete.push(key);
+        } else {
+          change.put.push([key, value]);
+        }
+      });
+
+      changes[section] = change;
+    });
+
+    return changes;
+  }
+
+  /**
+   * 写入失败时将修改放回待写入列表，等待下次落盘
+   * @param {object} pending - 变更记录
+   */
+  function restoreDirty(pending) {
+    dirty.all = dirty.all || pending.all;
+    SECTIONS.forEach(section => {
+      pending[section].forEach(key => dirty[section].add(key));
+    });
+    pending.attachments.forEach(id => dirty.attachments.add(id));
+  }
+
+  /**
+   * ========================================
+   * 多标签页同步
+   * ========================================
+   */
+
+  /**
+   * 监听其他页面的修改
+   */
+  function bindCrossTabSync() {
+    if (backend === 'indexeddb') {
+      if (typeof BroadcastChannel !== 'function') {
+        console.warn('⚠️ 当前环境不支持 BroadcastChannel，多标签页不会同步');
+        return;
+      }
+
+      channel = new BroadcastChannel(CHANNEL_NAME);
+      channel.onmessage = (event) => {
+        if (event.data && event.data.type === 'changed') {
+          syncFromIndexedDB();
+        }
+      };
+      return;
+    }
+
+    window.addEventListener('storage', async (event) => {
+      if (event.key !== STORAGE_KEY || event.newValue === null) return;
+
+      const remote = await readLocalRaw(event.newValue);
+      if (getSalt(remote.encryption) !== getSalt(keyInfo)) {
+        handleKeyChange(remote.encryption);
+        return;
+      }
+
+      if (remote.data) {
+        applyRemoteData(remote.data);
+      }
+    });
+  }
+
+  /**
+   * 通知其他页面数据已落盘（LocalStorage 模式由浏览器自动触发 storage 事件）
+   */
+  function broadcastChange() {
+    if (channel) {
+      channel.postMessage({ type: 'changed' });
+    }
+  }
+
+  /**
+   * 从 IndexedDB 重新读取并合并（排在写入队列中，避免与本页写入交错）
+   * @returns {Promise<void>}
+   */
+  function syncFromIndexedDB() {
+    flushChain = flushChain.then(async () => {
+      if (status === 'corrupt') return;
+
+      try {
+        // 口令变化时先切换密钥状态（锁定中的页面也需要最新的密钥信息）
+        const info = await readKeyInfo();
+        if (getSalt(info) !== getSalt(keyInfo)) {
+          handleKeyChange(info);
+          return;
+        }
+
+        if (status !== 'ready') return;
+
+        const remote = await readPersisted();
+        if (remote) {
+          applyRemoteData(remote);
+        }
+      } catch (error) {
+        console.error('❌ 同步其他页面的修改失败:', error);
+      }
+    });
+
+    return flushChain;
+  }
+
+  /**
+   * 将远端数据合并进缓存，并通知订阅者
+   * - 记录：按 ID 合并，updatedAt 较新的一方胜出；远端已不存在的记录视为被彻底删除
+   * - 其他数据：按键合并，以远端为准
+   * 本页尚未落盘（或正在落盘）的键保留本地版本
+   * @param {object} remote - 远端数据对象
+   * @param {object} [writing] - 正在写入的变更记录
+   */
+  function applyRemoteData(remote, writing) {
+    if (status !== 'ready' || !cache) return;
+
+    const isLocalPending = (section, key) =>
+      dirty.all || dirty[section].has(key) ||
+      (writing && (writing.all || writing[section].has(key)));
+
+    const changedEntryIds = mergeEntries(remote.entries || [], isLocalPending);
+    const changedSections = [];
+
+    if (changedEntryIds.length > 0) {
+      changedSections.push('entries');
+    }
+
+    ['dailyWeather', 'milestones', 'settings'].forEach(section => {
+      if (mergeKeyValues(section, remote[section] || {}, isLocalPending)) {
+        changedSections.push(section);
+      }
+    });
+
+    if (changedSections.length > 0) {
+      console.log('🔄 已同步其他页面的修改');
+      notify({ source: 'remote', sections: changedSections, entryIds: changedEntryIds });
+    }
+  }
+
+  /**
+   * 合并远端记录
+   * @param {Array} remoteEntries
+   * @param {Function} isLocalPending
+   * @returns {Array} 发生变化的记录 ID
+   */
+  function mergeEntries(remoteEntries, isLocalPending) {
+    const changedIds = [];
+    const remoteById = new Map(remoteEntries.map(entry => [entry.id, entry]));
+    const merged = [];
+
+    cache.entries.forEach(local => {
+      const remote = remoteById.get(local.id);
+      remoteById.delete(local.id);
+
+      if (isLocalPending('entries', local.id)) {
+        merged.push(local);
+      } else if (!remote) {
+        changedIds.push(local.id);  // 其他页面已彻底删除
+      } else if ((remote.updatedAt || 0) > (local.updatedAt || 0)) {
+        merged.push(remote);
+        changedIds.push(local.id);
+      } else {
+        merged.push(local);
+      }
+    });
+
+    // 其他页面新增的记录
+    remoteById.forEach(remote => {
+      merged.push(remote);
+      changedIds.push(remote.id);
+    });
+
+    if (changedIds.length > 0) {
+      cache.entries = merged;
+    }
+
+    return changedIds;
+  }
+
+  /**
+   * 合并 key → value 形式的数据块
+   * @param {string} section - 'dailyWeather' | 'milestones' | 'settings'
+   * @param {object} remoteValues
+   * @param {Function} isLocalPending
+   * @returns {boolean} 是否有变化
+   */
+  function mergeKeyValues(section, remoteValues, isLocalPending) {
+    if (!cache[section]) {
+      cache[section] = {};
+    }
+
+    const local = cache[section];
+    const keys = new Set([...Object.keys(local), ...Object.keys(remoteValues)]);
+    let changed = false;
+
+    keys.forEach(key => {
+      if (isLocalPending(section, key)) return;
+      if (JSON.stringify(local[key]) === JSON.stringify(remoteValues[key])) return;
+
+      if (remoteValues[key] === undefined) {
+        delete local[key];
+      } else {
+        local[key] = remoteValues[key];
+      }
+      changed = true;
+    });
+
+    return changed;
+  }
+
+  /**
+   * 订阅数据变化
+   * @param {Function} listener - 回调 ({ source: 'local' | 'remote', sections, entryIds }) => void
+   * @returns {Function} 取消订阅
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * 通知订阅者
+   * @param {object} change - { source, sections, entryIds }
+   */
+  function notify(change) {
+    listeners.forEach(listener => {
+      try {
+        listener(change);
+      } catch (error) {
+        console.error('❌ 数据变化回调出错:', error);
+      }
+    });
+  }
+
+  /**
+   * ========================================
+   * 数据加密
+   * ========================================
+   */
+
+  /**
+   * 取密钥信息中的盐，用于判断两份密钥信息是否相同
+   * @param {object|null} info
+   * @returns {string|null}
+   */
+  function getSalt(info) {
+    return info ? info.salt : null;
+  }
+
+  /**
+   * 创建"密钥已在其他页面更改"错误
+   * @param {object|null} info - 新的密钥信息
+   * @returns {Error}
+   */
+  function createKeyChangedError(info) {
+    const error = new Error('口令已在其他页面更改');
+    error.name = 'KeyChangedError';
+    error.encryption = info || null;
+    return error;
+  }
+
+  /**
+   * 读取已保存的密钥信息
+   * @returns {Promise<object|null>} 未启用加密时返回 null
+   */
+  async function readKeyInfo() {
+    if (backend === 'indexeddb') {
+      return (await DiaryIDB.getMeta(ENCRYPTION_META_KEY)) || null;
+    }
+
+    const blob = parseEncryptedBlob(localStorage.getItem(STORAGE_KEY) || '');
+    return blob ? blob.encryption : null;
+  }
+
+  /**
+   * 解析 LocalStorage 中的数据（加密时用本页的密钥解密）
+   * @param {string} raw - 原始内容
+   * @returns {Promise<object>} { data, encryption }
+   *   数据无法解析、或密钥信息与本页不一致（无法解密）时 data 为 null
+   */
+  async function readLocalRaw(raw) {
+    const blob = parseEncryptedBlob(raw);
+    if (!blob) {
+      return { data: parseData(raw), encryption: null };
+    }
+
+    if (!cryptoKey || getSalt(blob.encryption) !== getSalt(keyInfo)) {
+      return { data: null, encryption: blob.encryption };
+    }
+
+    const data = await DiaryCrypto.decryptJSON(cryptoKey, blob.payload);
+    return {
+      data: data && Array.isArray(data.entries) ? data : null,
+      encryption: blob.encryption
+    };
+  }
+
+  /**
+   * 序列化为 LocalStorage 中保存的内容
+   * @param {object} data - 数据对象
+   * @param {CryptoKey|null} key - 为 null 时保存明文
+   * @param {object|null} info - 密钥信息
+   * @returns {Promise<string>}
+   */
+  async function serializeLocal(data, key, info) {
+    if (!key) {
+      return JSON.stringify(data);
+    }
+
+    // 键的顺序与 parseEncryptedBlob 的判断一致
+    return JSON.stringify({
+      encryption: info,
+      payload: await DiaryCrypto.encryptJSON(key, data)
+    });
+  }
+
+  /**
+   * 加密完整数据（IndexedDB）：记录只保留 id 作为主键，其他数据块逐个值加密
+   * 版本号与迁移记录保持明文，便于识别数据结构
+   * @param {object} data - 数据对象
+   * @param {CryptoKey} key
+   * @returns {Promise<object>} 结构与数据对象一致
+   */
+  async function encryptSnapshot(data, key) {
+    const result = {
+      entries: await Promise.all(data.entries.map(entry => encryptEntry(entry, key))),
+      version: data.version,
+      migrations: data.migrations || []
+    };
+
+    for (const section of ['dailyWeather', 'milestones', 'settings']) {
+      const values = data[section] || {};
+      result[section] = {};
+
+      for (const name of Object.keys(values)) {
+        if (values[name] !== undefined) {
+          result[section][name] = await DiaryCrypto.encryptJSON(key, values[name]);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 加密单条记录
+   * @param {object} entry
+   * @param {CryptoKey} key
+   * @returns {Promise<object>} { id, encrypted }
+   */
+  async function encryptEntry(entry, key) {
+    return { id: entry.id, encrypted: await DiaryCrypto.encryptJSON(key, entry) };
+  }
+
+  /**
+   * 加密一批变更（collectChanges 的返回值）
+   * @param {object} changes
+   * @param {CryptoKey} key
+   * @returns {Promise<object>}
+   */
+  async function encryptChanges(changes, key) {
+    for (const section of SECTIONS) {
+      changes[section].put = await Promise.all(changes[section].put.map(async ([name, value]) => [
+        name,
+        section === 'entries' ? await encryptEntry(value, key) : await DiaryCrypto.encryptJSON(key, value)
+      ]));
+    }
+    return changes;
+  }
+
+  /**
+   * 解密从 IndexedDB 读出的数据（兼容未加密的值）
+   * @param {object} raw - DiaryIDB.readAll 的返回值
+   * @param {CryptoKey} key
+   * @returns {Promise<object>} 数据对象
+   */
+  async function decryptSnapshot(raw, key) {
+    const data = {
+      ...raw,
+      entries: await Promise.all(raw.entries.map(entry =>
+        entry.encrypted ? DiaryCrypto.decryptJSON(key, entry.encrypted) : entry
+      ))
     };
+
+    for (const section of ['dailyWeather', 'milestones', 'settings']) {
+      const values = raw[section] || {};
+      data[section] = {};
+
+      for (const name of Object.keys(values)) {
+        data[section][name] = DiaryCrypto.isEnvelope(values[name])
+          ? await DiaryCrypto.decryptJSON(key, values[name])
+          : values[name];
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * 用本页的密钥读取已保存的完整数据
+   * @returns {Promise<object|null>} 数据对象；没有数据时返回 null
+   */
+  async function readPersisted() {
+    if (backend === 'indexeddb') {
+      const raw = await DiaryIDB.readAll();
+      if (!raw) return null;
+      return cryptoKey ? decryptSnapshot(raw, cryptoKey) : raw;
+    }
+
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? (await readLocalRaw(raw)).data : null;
+  }
+
+  /**
+   * 解锁后读入数据
+   * 启动时直接作为缓存；运行中被锁定（其他页面修改了口令）时合并进缓存，保留本页未落盘的修改
+   * @returns {Promise<void>}
+   */
+  async function resumeFromPersisted() {
+    const data = await readPersisted();
+    if (!data) {
+      throw new Error('没有找到可读取的数据');
+    }
+
+    if (!cache) {
+      const migrated = DiaryMigrations.migrate(data).length > 0;
+      cache = data;
+      status = 'ready';
+      if (migrated) {
+        dirty.all = true;
+      }
+    } else {
+      status = 'ready';
+      applyRemoteData(data);
+    }
+
+    if (hasPendingChanges()) {
+      scheduleFlush();
+    }
+  }
+
+  /**
+   * 其他页面启用、关闭加密或修改了口令：本页的密钥随之失效
+   * 仍加密时锁定，等待输入新口令（未落盘的修改保留在内存中，解锁后写入）；
+   * 已关闭加密时直接重新读取明文数据
+   * @param {object|null} info - 新的密钥信息
+   */
+  function handleKeyChange(info) {
+    if (status === 'corrupt' || getSalt(info) === getSalt(keyInfo)) return;
+
+    keyInfo = info || null;
+    cryptoKey = null;
+
+    if (keyInfo) {
+      status = 'locked';
+      console.log('🔒 口令已在其他页面更改，需要重新解锁');
+      notify({ source: 'remote', sections: ['encryption'], entryIds: [] });
+      return;
+    }
+
+    enqueue(async () => {
+      await resumeFromPersisted();
+      console.log('🔓 加密已在其他页面关闭');
+      notify({ source: 'remote', sections: ['encryption'], entryIds: [] });
+    }).catch(error => console.error('❌ 重新读取数据失败:', error));
+  }
+
+  /**
+   * 是否已启用加密
+   * @returns {boolean}
+   */
+  function isEncrypted() {
+    return keyInfo !== null;
+  }
+
+  /**
+   * 用口令解锁
+   * @param {string} passphrase
+   * @returns {Promise<boolean>} 口令错误时返回 false
+   * @throws {Error} 口令正确但数据无法解密时抛出
+   */
+  function unlock(passphrase) {
+    return enqueue(async () => {
+      if (status !== 'locked') return status === 'ready';
+
+      // 锁定期间其他页面可能修改了口令，以已保存的密钥信息为准
+      const info = await readKeyInfo();
+      keyInfo = info;
+
+      if (info) {
+        const key = await DiaryCrypto.unlockKey(passphrase, info);
+        if (!key) return false;
+        cryptoKey = key;
+      }
+
+      try {
+        await resumeFromPersisted();
+      } catch (error) {
+        cryptoKey = null;
+        throw error;
+      }
+
+      console.log('🔓 数据已解锁');
+      return true;
+    });
   }
 
   /**
-   * 加载数据
-   * @returns {object} 数据对象
+   * 用新的密钥重写全部数据（启用加密、修改口令、关闭加密）
+   * 写入前合并其他页面已落盘的修改；单次整体写入，失败时保持原有密钥
+   * @param {CryptoKey|null} key - 新密钥，为 null 时以明文保存
+   * @param {object|null} info - 新的密钥信息
+   * @returns {Promise<void>}
    */
-  function loadData() {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-
-      if (!raw) {
-        // 首次使用，初始化数据
-        const initialData = getInitialData();
-        saveData(initialData);
-        return initialData;
+  function rewriteAll(key, info) {
+    return enqueue(async () => {
+      const current = await readKeyInfo();
+      if (getSalt(current) !== getSalt(keyInfo)) {
+        handleKeyChange(current);
+        throw createKeyChangedError(current);
       }
 
-      const data = JSON.parse(raw);
+      const pending = dirty;
+      dirty = createDirtyState();
+
+      try {
+        const remote = await readPersisted();
+        if (remote) {
+          applyRemoteData(remote, pending);
+        }
 
-      // 数据验证
-      if (!data.entries || !Array.isArray(data.entries)) {
-        console.warn('⚠️ 数据格式异常，重新初始化');
-        return getInitialData();
+        if (backend === 'indexeddb') {
+          // 🆕 附件与其他数据在同一个事务中用新密钥重写
+          const attachments = await reencryptAttachments(key);
+          await DiaryIDB.writeAll(
+            key ? await encryptSnapshot(cache, key) : cache,
+            { [ENCRYPTION_META_KEY]: info },
+            attachments
+          );
+        } else {
+          localStorage.setItem(STORAGE_KEY, await serializeLocal(cache, key, info));
+        }
+      } catch (error) {
+        restoreDirty(pending);
+        throw error;
       }
 
-      return data;
+      cryptoKey = key;
+      keyInfo = info;
+      broadcastChange();
+    });
+  }
 
-    } catch (error) {
-      console.error('❌ 加载数据失败:', error);
-      return getInitialData();
+  /**
+   * 启用加密
+   * @param {string} passphrase - 口令
+   * @returns {Promise<void>}
+   */
+  async function enableEncryption(passphrase) {
+    if (!isWritable() || keyInfo) {
+      throw new Error('当前无法启用加密');
+    }
+
+    const { key, info } = await DiaryCrypto.createKey(passphrase);
+    await rewriteAll(key, info);
+    console.log('🔒 已启用加密');
+  }
+
+  /**
+   * 修改口令（用新口令派生的密钥重新加密全部数据）
+   * @param {string} currentPassphrase - 当前口令
+   * @param {string} passphrase - 新口令
+   * @returns {Promise<boolean>} 当前口令错误时返回 false
+   */
+  async function changePassphrase(currentPassphrase, passphrase) {
+    if (!isWritable() || !keyInfo) {
+      throw new Error('当前无法修改口令');
+    }
+
+    if (!(await DiaryCrypto.unlockKey(currentPassphrase, keyInfo))) {
+      return false;
+    }
+
+    const { key, info } = await DiaryCrypto.createKey(passphrase);
+    await rewriteAll(key, info);
+    console.log('🔒 口令已修改，数据已重新加密');
+    return true;
+  }
+
+  /**
+   * 关闭加密（以明文重写全部数据）
+   * @param {string} currentPassphrase - 当前口令
+   * @returns {Promise<boolean>} 口令错误时返回 false
+   */
+  async function disableEncryption(currentPassphrase) {
+    if (!isWritable() || !keyInfo) {
+      throw new Error('当前无法关闭加密');
+    }
+
+    if (!(await DiaryCrypto.unlockKey(currentPassphrase, keyInfo))) {
+      return false;
     }
+
+    await rewriteAll(null, null);
+    console.log('🔓 已关闭加密');
+    return true;
   }
 
   /**
-   * 保存数据
+   * 保存数据（整体替换缓存，下次落盘时整体写入）
    * @param {object} data - 数据对象
-   * @returns {boolean} 是否保存成功
+   * @returns {boolean} 是否接受保存（数据损坏或尚未解锁时拒绝）
    */
   function saveData(data) {
-    try {
-      const json = JSON.stringify(data);
-      localStorage.setItem(STORAGE_KEY, json);
-      console.log('💾 数据已保存');
-      return true;
+    if (!isWritable()) {
+      return false;
+    }
 
-    } catch (error) {
-      console.error('❌ 保存数据失败:', error);
+    cache = data;
+    dirty.all = true;
+    scheduleFlush();
+    return true;
+  }
 
-      // 可能是 LocalStorage 已满
-      if (error.name === 'QuotaExceededError') {
-        alert('存储空间已满，请删除部分旧记录');
-      }
+  /**
+   * 处理保存失败
+   * @param {Error} error
+   */
+  function handleSaveError(error) {
+    console.error('❌ 保存数据失败:', error);
 
-      return false;
+    // 存储空间已满
+    if (error && error.name === 'QuotaExceededError') {
+      alert('存储空间已满，请删除部分旧记录');
     }
   }
 
   /**
    * 添加记录
    * @param {object} entry - 记录对象
+   * @returns {boolean} 是否已保存（数据未解锁或损坏时拒绝写入）
    */
   function addEntry(entry) {
+    if (!isWritable()) return false;
+
     const data = loadData();
     data.entries.push(entry);
-    saveData(data);
+    return markDirty('entries', entry.id);
   }
 
   /**
-   * 更新记录
+   * 更新记录（内容有变化时，旧内容保存为历史版本）
    * @param {string} id - 记录 ID
    * @param {string} content - 新内容
+   * @param {object} [changes] - 🆕 其他要修改的字段
+   * @param {number} [changes.createdAt] - 新的记录时间（移动到其他日期/时刻）
+   * @param {string} [changes.weather] - 🆕 新的天气，空字符串表示清除
+   * @param {Array} [changes.attachments] - 🆕 新的附件列表，移除的附件在记录落盘后删除
+   * @returns {boolean} 是否已保存（记录不存在，或数据未解锁、损坏时为 false）
    */
-  function updateEntry(id, content) {
+  function updateEntry(id, content, changes = {}) {
+    if (!isWritable()) return false;
+
     const data = loadData();
     const entry = data.entries.find(e => e.id === id);
 
     if (entry) {
+      if (entry.content !== content.trim()) {
+        if (!Array.isArray(entry.revisions)) {
+          entry.revisions = [];
+        }
+        entry.revisions.push({ content: entry.content, updatedAt: entry.updatedAt });
+      }
+
       entry.content = content.trim();
+      if (typeof changes.createdAt === 'number' && !isNaN(changes.createdAt)) {
+        entry.createdAt = changes.createdAt;
+      }
+      if (typeof changes.weather === 'string') {
+        if (changes.weather) {
+          entry.weather = changes.weather;
+        } else {
+          delete entry.weather;
+        }
+      }
+      if (Array.isArray(changes.attachments)) {
+        const kept = new Set(changes.attachments.map(attachment => attachment.id));
+        const removed = getAttachmentIds(entry).filter(attachmentId => !kept.has(attachmentId));
+        if (changes.attachments.length > 0) {
+          entry.attachments = changes.attachments;
+        } else {
+          delete entry.attachments;
+        }
+        removeAttachmentsAfterFlush(removed);
+      }
       entry.updatedAt = Date.now();
       entry.metadata.wordCount = content.trim().length;
-      saveData(data);
+      entry.metadata.tags = DiaryModels.parseTags(content);
+      return markDirty('entries', id);
     }
+
+    return false;
+  }
+
+  /**
+   * 获取记录的历史版本（最近的在前）
+   * @param {string} id - 记录 ID
+   * @returns {Array} [{ content, updatedAt, index }]，index 为在 revisions 中的位置
+   */
+  function getRevisions(id) {
+    const entry = loadData().entries.find(e => e.id === id);
+    if (!entry || !Array.isArray(entry.revisions)) return [];
+
+    return entry.revisions
+      .map((revision, index) => ({ ...revision, index }))
+      .reverse();
+  }
+
+  /**
+   * 恢复到某个历史版本（当前内容同样会保存为历史版本）
+   * @param {string} id - 记录 ID
+   * @param {number} index - 历史版本在 revisions 中的位置
+   * @returns {boolean} 是否恢复成功
+   */
+  function restoreRevision(id, index) {
+    const entry = loadData().entries.find(e => e.id === id);
+    const revision = entry && Array.isArray(entry.revisions) ? entry.revisions[index] : null;
+    if (!revision) return false;
+
+    return updateEntry(id, revision.content);
   }
 
   /**
-   * 删除记录（软删除）
+   * 删除记录（软删除，移入回收站）
    * @param {string} id - 记录 ID
    */
   function deleteEntry(id) {
@@ -121,10 +1311,343 @@ const DiaryStorage = (function() {
     const entry = data.entries.find(e => e.id === id);
 
     if (entry) {
+      const now = Date.now();
       entry.deleted = true;
+      entry.deletedAt = now;
+      entry.updatedAt = now;
+      markDirty('entries', id);
+    }
+  }
+
+  /**
+   * 从回收站恢复记录
+   * @param {string} id - 记录 ID
+   */
+  function restoreEntry(id) {
+    const data = loadData();
+    const entry = data.entries.find(e => e.id === id);
+
+    if (entry && entry.deleted) {
+      entry.deleted = false;
+      delete entry.deletedAt;
       entry.updatedAt = Date.now();
-      saveData(data);
+      markDirty('entries', id);
+    }
+  }
+
+  /**
+   * 彻底删除记录（不可恢复）
+   * @param {string} id - 记录 ID
+   */
+  function purgeEntry(id) {
+    const data = loadData();
+    const index = data.entries.findIndex(e => e.id === id);
+
+    if (index !== -1) {
+      const [entry] = data.entries.splice(index, 1);
+      // 🆕 附件随记录一起删除（记录落盘后）
+      removeAttachmentsAfterFlush(getAttachmentIds(entry));
+      markDirty('entries', id);
+    }
+  }
+
+  /**
+   * 获取回收站中的记录（最近删除的在前）
+   * @returns {Array} 记录数组
+   */
+  function getDeletedEntries() {
+    return loadData().entries
+      .filter(e => e.deleted)
+      .sort((a, b) => (b.deletedAt || 0) - (a.deletedAt || 0));
+  }
+
+  /**
+   * 获取回收站保留天数
+   * @returns {number} 天数，0 表示不自动清除
+   */
+  function getTrashRetentionDays() {
+    const days = loadData().settings?.trashRetentionDays;
+    return typeof days === 'number' && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+  }
+
+  /**
+   * 设置回收站保留天数
+   * @param {number} days - 天数，0 表示不自动清除
+   */
+  function setTrashRetentionDays(days) {
+    if (typeof days !== 'number' || !(days >= 0)) {
+      console.warn('⚠️ 无效的保留天数:', days);
+      return;
+    }
+
+    const data = loadData();
+    if (!data.settings) {
+      data.settings = getInitialData().settings;
+    }
+    data.settings.trashRetentionDays = days;
+    markDirty('settings', 'trashRetentionDays');
+  }
+
+  /**
+   * 清除超过保留期限的已删除记录
+   * @returns {number} 清除的记录数
+   */
+  function purgeExpiredEntries() {
+    const retentionDays = getTrashRetentionDays();
+    if (retentionDays === 0) return 0;
+
+    const expireBefore = Date.now() - retentionDays * DAY_MS;
+    const expired = getDeletedEntries().filter(e => (e.deletedAt || e.updatedAt) < expireBefore);
+
+    expired.forEach(entry => purgeEntry(entry.id));
+
+    if (expired.length > 0) {
+      console.log(`🗑️ 已自动清除 ${expired.length} 条过期的已删除记录`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * 计算已删除记录的自动清除时间
+   * @param {object} entry - 已删除的记录
+   * @returns {number|null} 时间戳，不自动清除时返回 null
+   */
+  function getPurgeTime(entry) {
+    const retentionDays = getTrashRetentionDays();
+    if (retentionDays === 0) return null;
+    return (entry.deletedAt || entry.updatedAt) + retentionDays * DAY_MS;
+  }
+
+  /**
+   * ========================================
+   * 🆕 附件
+   * ========================================
+   */
+
+  /**
+   * 当前后端是否支持附件
+   * @returns {boolean}
+   */
+  function isAttachmentSupported() {
+    return backend === 'indexeddb';
+  }
+
+  /**
+   * 记录引用的附件 ID
+   * @param {object} entry
+   * @returns {Array}
+   */
+  function getAttachmentIds(entry) {
+    return Array.isArray(entry.attachments) ? entry.attachments.map(attachment => attachment.id) : [];
+  }
+
+  /**
+   * 加密附件：附件信息与内容分别加密，只保留 id 作为主键
+   * @param {object} record - { id, meta, data, thumbnail }
+   * @param {CryptoKey} key
+   * @returns {Promise<object>} 结构相同，meta 为 { iv, data }，data / thumbnail 为 { iv, bytes }
+   */
+  async function encryptAttachment(record, key) {
+    return {
+      id: record.id,
+      meta: await DiaryCrypto.encryptJSON(key, record.meta),
+      data: await DiaryCrypto.encryptBytes(key, record.data),
+      thumbnail: record.thumbnail ? await DiaryCrypto.encryptBytes(key, record.thumbnail) : null
+    };
+  }
+
+  /**
+   * 解密附件（兼容未加密的附件）
+   * @param {object} stored - 附件仓库中的值
+   * @param {CryptoKey|null} key
+   * @returns {Promise<object>} { id, meta, data, thumbnail }
+   */
+  async function decryptAttachment(stored, key) {
+    if (!DiaryCrypto.isEnvelope(stored.meta)) {
+      return stored;
+    }
+
+    return {
+      id: stored.id,
+      meta: await DiaryCrypto.decryptJSON(key, stored.meta),
+      data: await DiaryCrypto.decryptBytes(key, stored.data),
+      thumbnail: stored.thumbnail ? await DiaryCrypto.decryptBytes(key, stored.thumbnail) : null
+    };
+  }
+
+  /**
+   * 用新密钥重新加密全部附件（在写入队列中调用）
+   * @param {CryptoKey|null} key - 新密钥，为 null 时以明文保存
+   * @returns {Promise<Array>} 重写后的附件；无法解密的附件保持原样，不在其中
+   */
+  async function reencryptAttachments(key) {
+    const result = [];
+
+    for (const stored of await DiaryIDB.getAllAttachments()) {
+      try {
+        const record = await decryptAttachment(stored, cryptoKey);
+        result.push(key ? await encryptAttachment(record, key) : record);
+      } catch (error) {
+        console.warn('⚠️ 附件无法解密，保持原样:', stored.id);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 保存附件（启用加密时以密文保存）
+   * @param {object} attachment - { id, name, type, size, width, height, blob, thumbnail }
+   * @returns {Promise<void>}
+   */
+  function saveAttachment(attachment) {
+    if (!isAttachmentSupported() || !isWritable()) {
+      return Promise.reject(new Error('当前无法保存附件'));
+    }
+
+    return enqueue(async () => {
+      const info = await readKeyInfo();
+      if (getSalt(info) !== getSalt(keyInfo)) {
+        handleKeyChange(info);
+        throw createKeyChangedError(info);
+      }
+
+      const record = {
+        id: attachment.id,
+        meta: {
+          name: attachment.name,
+          type: attachment.type,
+          size: attachment.size,
+          width: attachment.width || null,
+          height: attachment.height || null,
+          thumbnailType: attachment.thumbnail ? attachment.thumbnail.type : null
+        },
+        data: await attachment.blob.arrayBuffer(),
+        thumbnail: attachment.thumbnail ? await attachment.thumbnail.arrayBuffer() : null
+      };
+
+      await DiaryIDB.putAttachment(cryptoKey ? await encryptAttachment(record, cryptoKey) : record);
+    });
+  }
+
+  /**
+   * 读取附件
+   * @param {string} id - 附件 ID
+   * @returns {Promise<object|null>} { id, name, type, size, width, height, blob, thumbnail }，
+   *   不存在或尚未解锁时返回 null
+   * @throws {Error} 附件无法解密时抛出
+   */
+  function getAttachment(id) {
+    if (!isAttachmentSupported() || status !== 'ready') {
+      return Promise.resolve(null);
+    }
+
+    return enqueue(async () => {
+      const stored = await DiaryIDB.getAttachment(id);
+      if (!stored) return null;
+
+      const { meta, data, thumbnail } = await decryptAttachment(stored, cryptoKey);
+      return {
+        id,
+        name: meta.name,
+        type: meta.type,
+        size: meta.size,
+        width: meta.width,
+        height: meta.height,
+        blob: new Blob([data], { type: meta.type }),
+        thumbnail: thumbnail ? new Blob([thumbnail], { type: meta.thumbnailType }) : null
+      };
+    });
+  }
+
+  /**
+   * 删除尚未保存到记录中的附件（从托盘中移除、放弃编辑时调用）
+   * @param {Array} ids - 附件 ID
+   * @returns {Promise<void>}
+   */
+  function deleteAttachments(ids) {
+    if (!isAttachmentSupported() || ids.length === 0) {
+      return Promise.resolve();
+    }
+
+    return enqueue(() => DiaryIDB.deleteAttachments(ids))
+      .catch(error => console.error('❌ 删除附件失败:', error));
+  }
+
+  /**
+   * 记录落盘后删除附件（见 flush）
+   * 先删除内容、记录还没写入时关闭页面，保存的记录会指向已不存在的附件
+   * @param {Array} ids - 附件 ID
+   */
+  function removeAttachmentsAfterFlush(ids) {
+    if (!isAttachmentSupported()) return;
+    ids.forEach(id => dirty.attachments.add(id));
+  }
+
+  /**
+   * 清除没有被任何记录（含回收站）引用的附件，如写作时粘贴后又放弃的图片
+   * 最近添加的附件可能还在编辑中，超过 ORPHAN_ATTACHMENT_AGE 才清除
+   * @returns {Promise<number>} 清除的附件数
+   */
+  function cleanupAttachments() {
+    if (!isAttachmentSupported() || status !== 'ready') {
+      return Promise.resolve(0);
+    }
+
+    return enqueue(async () => {
+      const referenced = new Set();
+      cache.entries.forEach(entry => {
+        getAttachmentIds(entry).forEach(id => referenced.add(id));
+      });
+
+      // 附件 ID 与记录 ID 格式相同，以创建时间开头
+      const expireBefore = Date.now() - ORPHAN_ATTACHMENT_AGE;
+      const orphans = (await DiaryIDB.getAttachmentKeys())
+        .filter(id => !referenced.has(id) && parseInt(id, 10) < expireBefore);
+
+      if (orphans.length > 0) {
+        await DiaryIDB.deleteAttachments(orphans);
+        console.log(`🗑️ 已清除 ${orphans.length} 个未使用的附件`);
+      }
+      return orphans.length;
+    });
+  }
+
+  /**
+   * 合并导入的数据（按记录 ID 新增或替换，其他数据按键写入）
+   * @param {object} changes - { entries: [], dailyWeather: {}, milestones: {}, settings: {} }
+   * @returns {boolean} 是否接受修改（数据损坏或尚未解锁时拒绝）
+   */
+  function importData(changes) {
+    if (!isWritable()) {
+      return false;
     }
+
+    const data = loadData();
+    const indexById = new Map(data.entries.map((entry, index) => [entry.id, index]));
+
+    (changes.entries || []).forEach(entry => {
+      if (indexById.has(entry.id)) {
+        data.entries[indexById.get(entry.id)] = entry;
+      } else {
+        data.entries.push(entry);
+      }
+      markDirty('entries', entry.id);
+    });
+
+    ['dailyWeather', 'milestones', 'settings'].forEach(section => {
+      const values = changes[section] || {};
+      if (!data[section]) {
+        data[section] = {};
+      }
+
+      Object.keys(values).forEach(key => {
+        data[section][key] = values[key];
+        markDirty(section, key);
+      });
+    });
+
+    return true;
   }
 
   /**
@@ -163,7 +1686,7 @@ const DiaryStorage = (function() {
       data.dailyWeather[dateKey] = weather;
     }
 
-    saveData(data);
+    markDirty('dailyWeather', dateKey);
   }
 
   /**
@@ -186,7 +1709,8 @@ const DiaryStorage = (function() {
     }
     data.settings.birthDate = birthDate;
     data.settings.initialized = true;
-    saveData(data);
+    markDirty('settings', 'birthDate');
+    markDirty('settings', 'initialized');
   }
 
   /**
@@ -214,7 +1738,117 @@ const DiaryStorage = (function() {
       data.settings = getInitialData().settings;
     }
     data.settings.calendarRange = range;
-    saveData(data);
+    markDirty('settings', 'calendarRange');
+  }
+
+  /**
+   * 🆕 获取生命日历着色方式
+   * @returns {string} 'records' | 'mood'
+   */
+  function getCalendarMode() {
+    return loadData().settings?.calendarMode || 'records';
+  }
+
+  /**
+   * 🆕 设置生命日历着色方式
+   * @param {string} mode - 'records' | 'mood'
+   */
+  function setCalendarMode(mode) {
+    if (!['records', 'mood'].includes(mode)) {
+      console.warn('⚠️ 无效的日历着色方式:', mode);
+      return;
+    }
+
+    const data = loadData();
+    if (!data.settings) {
+      data.settings = getInitialData().settings;
+    }
+    data.settings.calendarMode = mode;
+    markDirty('settings', 'calendarMode');
+  }
+
+  /**
+   * 🆕 是否按 Markdown 渲染记录内容
+   * @returns {boolean}
+   */
+  function getMarkdownEnabled() {
+    return loadData().settings?.markdown === true;
+  }
+
+  /**
+   * 🆕 开启或关闭 Markdown 渲染
+   * @param {boolean} enabled
+   */
+  function setMarkdownEnabled(enabled) {
+    const data = loadData();
+    if (!data.settings) {
+      data.settings = getInitialData().settings;
+    }
+    data.settings.markdown = Boolean(enabled);
+    markDirty('settings', 'markdown');
+  }
+
+  /**
+   * 获取应用锁设置
+   * @returns {object|null} { type, salt, iterations, hash, autoLockMinutes, lockOnHide }，未启用时为 null
+   */
+  function getAppLock() {
+    return loadData().settings?.appLock || null;
+  }
+
+  /**
+   * 设置应用锁
+   * @param {object|null} appLock - 应用锁设置，null 表示关闭
+   */
+  function setAppLock(appLock) {
+    const data = loadData();
+    if (!data.settings) {
+      data.settings = getInitialData().settings;
+    }
+    data.settings.appLock = appLock;
+    markDirty('settings', 'appLock');
+  }
+
+  /**
+   * 获取每日目标
+   * @returns {object|null} { type, target }，未设置时返回 null
+   */
+  function getDailyGoal() {
+    return loadData().settings?.dailyGoal || null;
+  }
+
+  /**
+   * 设置每日目标
+   * @param {object|null} goal - { type: 'entries' | 'chars', target }，null 表示关闭
+   */
+  function setDailyGoal(goal) {
+    const data = loadData();
+    if (!data.settings) {
+      data.settings = getInitialData().settings;
+    }
+    data.settings.dailyGoal = goal;
+    markDirty('settings', 'dailyGoal');
+  }
+
+  /**
+   * 获取写作提醒设置
+   * @returns {object|null} { time, skipIfWritten, quietDays }，未启用时返回 null
+   */
+  function getReminders() {
+    return loadData().settings?.reminders || null;
+  }
+
+  /**
+   * 设置写作提醒
+   * @param {object|null} reminders - { time: 'HH:MM', skipIfWritten, quietDays: [0-6] }，null 表示关闭
+   */
+  function setReminders(reminders) {
+    const data = loadData();
+    if (!data.settings) {
+      data.settings = getInitialData().settings;
+    }
+    data.settings.reminders = reminders;
+    markDirty('settings', 'reminders');
   }
 
   /**
@@ -244,16 +1878,38 @@ const DiaryStorage = (function() {
       data.milestones[dateKey] = milestone;
     }
 
-    saveData(data);
+    markDirty('milestones', dateKey);
   }
 
   // 公开接口
   return {
+    init,
+    getBackend,
+    getStatus,
+    getRecoveryInfo,
+    restoreFromRecovery,
+    isEncrypted,
+    unlock,
+    enableEncryption,
+    changePassphrase,
+    disableEncryption,
     loadData,
     saveData,
+    flush,
+    subscribe,
     addEntry,
     updateEntry,
+    getRevisions,
+    restoreRevision,
     deleteEntry,
+    restoreEntry,
+    purgeEntry,
+    getDeletedEntries,
+    getTrashRetentionDays,
+    setTrashRetentionDays,
+    purgeExpiredEntries,
+    getPurgeTime,
+    importData,
     getAllEntries,
     getDailyWeather,
     setDailyWeather,
@@ -261,7 +1917,22 @@ const DiaryStorage = (function() {
     setBirthDate,
     getCalendarRange,
     setCalendarRange,
+    getCalendarMode,
+    setCalendarMode,
+    getMarkdownEnabled,
+    setMarkdownEnabled,
     getMilestone,
-    setMilestone
+    setMilestone,
+    getAppLock,
+    setAppLock,
+    getDailyGoal,
+    setDailyGoal,
+    getReminders,
+    setReminders,
+    isAttachmentSupported,
+    saveAttachment,
+    getAttachment,
+    deleteAttachments,
+    cleanupAttachments
   };
 })();
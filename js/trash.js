@@ -0,0 +1,205 @@
+/**
+ * trash.js - 回收站
+ * 职责：展示已删除的记录，支持恢复、彻底删除与自动清除期限设置
+ */
+
+const DiaryTrash = (function() {
+  'use strict';
+
+  // 可选的保留天数（0 表示不自动清除）
+  const RETENTION_OPTIONS = [
+    { value: 7, label: '7 天' },
+    { value: 30, label: '30 天' },
+    { value: 90, label: '90 天' },
+    { value: 0, label: '永不' }
+  ];
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  let overlay = null;
+  let unsubscribe = null;
+
+  /**
+   * 打开回收站
+   */
+  function open() {
+    if (overlay) return;
+
+    overlay = document.createElement('div');
+    overlay.className = 'editor-overlay trash-overlay active';
+    overlay.id = 'trashOverlay';
+
+    overlay.innerHTML = `
+      <div class="editor-container trash-container">
+        <div class="editor-header">
+          <button class="btn-close" data-action="close" aria-label="关闭">×</button>
+          <span class="trash-title">回收站</span>
+        </div>
+        <div class="trash-list" id="trashList"></div>
+        <div class="editor-footer trash-footer">
+          <label class="trash-retention">
+            <span>自动清除</span>
+            <select class="trash-retention-select" id="trashRetentionSelect">
+              ${RETENTION_OPTIONS.map(opt => `<option value="${opt.value}">${opt.label}</option>`).join('')}
+            </select>
+          </label>
+          <button class="btn-delete" data-action="empty">清空回收站</button>
+        </div>
+      </div>
+    `;
+
+    overlay.addEventListener('click', handleClick);
+
+    const select = overlay.querySelector('#trashRetentionSelect');
+    select.value = String(DiaryStorage.getTrashRetentionDays());
+    select.addEventListener('change', () => {
+      DiaryStorage.setTrashRetentionDays(parseInt(select.value, 10));
+      render();
+    });
+
+    document.body.appendChild(overlay);
+    document.addEventListener('keydown', handleKeydown);
+
+    // 其他标签页修改记录时同步刷新
+    unsubscribe = DiaryStorage.subscribe(change => {
+      if (change.source === 'remote' && change.sections.includes('entries')) {
+        render();
+      }
+    });
+
+    render();
+  }
+
+  /**
+   * 关闭回收站
+   */
+  function close() {
+    if (!overlay) return;
+
+    overlay.remove();
+    overlay = null;
+    document.removeEventListener('keydown', handleKeydown);
+
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+  }
+
+  /**
+   * 渲染已删除记录列表
+   */
+  function render() {
+    const list = overlay && overlay.querySelector('#trashList');
+    if (!list) return;
+
+    const entries = DiaryStorage.getDeletedEntries();
+    overlay.querySelector('[data-action="empty"]').disabled = entries.length === 0;
+
+    if (entries.length === 0) {
+      list.innerHTML = '<p class="trash-empty">回收站是空的</p>';
+      return;
+    }
+
+    list.innerHTML = entries.map(generateItemHTML).join('');
+  }
+
+  /**
+   * 生成单条已删除记录的 HTML
+   * @param {object} entry - 记录对象
+   * @returns {string} HTML 字符串
+   */
+  function generateItemHTML(entry) {
+    const date = new Date(entry.createdAt);
+    const dateText = `${date.getFullYear()}年${DiaryModels.formatDate(entry.createdAt)} ${DiaryModels.formatTime(entry.createdAt)}`;
+
+    return `
+      <div class="trash-item" data-id="${entry.id}">
+        <div class="trash-item-meta">
+          <span class="trash-item-date">${dateText}</span>
+          <span class="trash-item-expire">${getExpireText(entry)}</span>
+        </div>
+        <div class="trash-item-content">${DiaryUI.escapeHTML(entry.content)}</div>
+        <div class="trash-item-actions">
+          <button class="trash-item-btn" data-action="restore">恢复</button>
+          <button class="trash-item-btn trash-item-btn--danger" data-action="purge">彻底删除</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * 生成自动清除提示
+   * @param {object} entry - 已删除的记录
+   * @returns {string}
+   */
+  function getExpireText(entry) {
+    const purgeTime = DiaryStorage.getPurgeTime(entry);
+    if (purgeTime === null) return '';
+
+    const daysLeft = Math.max(0, Math.ceil((purgeTime - Date.now()) / DAY_MS));
+    return daysLeft === 0 ? '即将清除' : `${daysLeft} 天后清除`;
+  }
+
+  /**
+   * 处理回收站内的点击
+   * @param {Event} event
+   */
+  function handleClick(event) {
+    // 点击遮罩层本身时关闭
+    if (event.target === overlay) {
+      close();
+      return;
+    }
+
+    const btn = event.target.closest('[data-action]');
+    if (!btn) return;
+
+    const item = btn.closest('.trash-item');
+    const id = item ? item.dataset.id : null;
+
+    switch (btn.dataset.action) {
+      case 'close':
+        close();
+        return;
+
+      case 'restore':
+        DiaryStorage.restoreEntry(id);
+        break;
+
+      case 'purge':
+        if (!confirm('彻底删除后无法恢复，确定继续？')) return;
+        DiaryStorage.purgeEntry(id);
+        break;
+
+      case 'empty': {
+        const entries = DiaryStorage.getDeletedEntries();
+        if (!confirm(`将彻底删除回收站中的 ${entries.length} 条记录，无法恢复。\n\n确定继续？`)) return;
+        entries.forEach(entry => DiaryStorage.purgeEntry(entry.id));
+        break;
+      }
+
+      default:
+        return;
+    }
+
+    render();
+    DiaryApp.refreshTimeline();
+  }
+
+  /**
+   * Esc 关闭
+   * @param {KeyboardEvent} event
+   */
+  function handleKeydown(event) {
+    if (event.key === 'Escape') {
+      close();
+    }
+  }
+
+  // 公开接口
+  return {
+    open,
+    close
+  };
+})();
@@ -52,6 +52,11 @@ const DiaryUI = (function() {
     let prevMonth = null;
     let prevDate = null;
 
+    // 🆕 每天的全部记录（不受筛选影响），用于推算当天天气
+    const entriesByDate = new Map(
+      DiaryModels.groupEntriesByDate(DiaryStorage.getAllEntries()).map(group => [group.date, group.entries])
+    );
+
     // 遍历每个日期分组
     dateGroups.forEach(dateGroup => {
       const [year, month, day] = dateGroup.date.split('-').map(Number);
@@ -75,13 +80,18 @@ const DiaryUI = (function() {
       }
 
       // 3) 插入 DayMarker
+      const dayWeather = DiaryModels.resolveDayWeather(
+        DiaryStorage.getDailyWeather(dateGroup.date),
+        entriesByDate.get(dateGroup.date) || dateGroup.entries
+      );
       items.push({
         type: ITEM_TYPE.DAY_MARKER,
         date: dateGroup.date,
         year: year,
         month: month,
         day: day,
-        weather: DiaryStorage.getDailyWeather(dateGroup.date),
+        weather: dayWeather.weather,
+        weatherDerived: dayWeather.derived,  // 🆕 未设置每日天气，由当天记录推算
         isBirthday: checkIsBirthday(dateGroup.date),
         isAnniversary: checkIsAnniversary(dateGroup.date),
         isToday: isToday(dateGroup.date)
@@ -196,7 +206,7 @@ const DiaryUI = (function() {
       rowClass += ' timeline-row--anniversary';
       const milestone = DiaryStorage.getMilestone(item.date);
       if (milestone && milestone.customLabel) {
-        specialBadge = `<span class="marker-badge marker-badge--anniversary">${milestone.customLabel}</span>`;
+        specialBadge = `<span class="marker-badge marker-badge--anniversary">${escapeHTML(milestone.customLabel)}</span>`;
       }
     }
 
@@ -208,12 +218,46 @@ const DiaryUI = (function() {
         <div class="timeline-content">
           <span class="marker-day">${item.day}</span>
           <span class="marker-weekday">${weekday}</span>
+          ${generateWeatherSelectorHTML(item.date, item.weather, item.weatherDerived)}
           ${specialBadge}
         </div>
       </div>
     `;
   }
 
+  /**
+   * 🆕 生成当天的天气按钮（点击循环切换每日天气）
+   * @param {string} dateKey
+   * @param {string} weather - 显示的天气
+   * @param {boolean} derived - 是否由当天记录推算
+   * @returns {string} HTML 字符串
+   */
+  function generateWeatherSelectorHTML(dateKey, weather, derived) {
+    const label = DiaryModels.getWeatherLabel(weather);
+    let title = '设置当天天气';
+    if (label) {
+      title = derived ? `${label}（来自当天的记录），点击设置当天天气` : `${label}，点击切换`;
+    }
+
+    return `<button class="weather-selector${derived ? ' weather-selector--derived' : ''}" data-date="${dateKey}" data-weather="${weather}" title="${title}" aria-label="${title}">${getWeatherIcon(weather)}</button>`;
+  }
+
+  /**
+   * 🆕 每日天气修改后更新天气按钮（清除后显示由当天记录推算的天气）
+   * @param {HTMLElement} button
+   * @param {string} dateKey
+   */
+  function updateWeatherSelector(button, dateKey) {
+    const entries = DiaryStorage.getAllEntries().filter(entry =>
+      !entry.deleted && DiaryModels.formatDateKey(new Date(entry.createdAt)) === dateKey
+    );
+    const { weather, derived } = DiaryModels.resolveDayWeather(DiaryStorage.getDailyWeather(dateKey), entries);
+
+    const template = document.createElement('template');
+    template.innerHTML = generateWeatherSelectorHTML(dateKey, weather, derived);
+    button.replaceWith(template.content.firstChild);
+  }
+
   /**
    * 生成记录行 HTML
    * 最小圆点，玻璃质感卡片
@@ -221,7 +265,9 @@ const DiaryUI = (function() {
   function generateEntryRowHTML(item) {
     const entry = item.entry;
     const time = DiaryModels.formatTime(entry.createdAt);
-    const content = escapeHTML(entry.content);
+    // 🆕 开启 Markdown 时按格式渲染（DiaryMarkdown 同样会转义全部文字）
+    const markdown = DiaryStorage.getMarkdownEnabled();
+    const content = markdown ? DiaryMarkdown.render(entry.content) : escapeHTML(entry.content);
 
     // 检测内容长度
     const textLength = entry.content.trim().length;
@@ -244,16 +290,27 @@ const DiaryUI = (function() {
     // 天气
     let weatherHTML = '';
     if (entry.weather) {
-      const weatherIcons = {
-        sunny: '晴', cloudy: '阴', rainy: '雨',
-        snowy: '雪', foggy: '雾', windy: '风', stormy: '雷'
-      };
-      const icon = weatherIcons[entry.weather] || '';
+      const icon = DiaryModels.getWeatherLabel(entry.weather);
       if (icon) {
         weatherHTML = `<span class="entry-weather">${icon}</span>`;
       }
     }
 
+    // 🆕 心情（有描述时显示描述）
+    let moodHTML = '';
+    const mood = DiaryModels.getEntryMood(entry);
+    if (mood) {
+      const levelLabel = DiaryModels.getMoodLabel(mood.value);
+      moodHTML = `<span class="entry-mood entry-mood--${mood.value}" title="心情：${levelLabel}">${escapeHTML(mood.label || levelLabel)}</span>`;
+    }
+
+    // 🆕 标签
+    const tags = DiaryModels.getEntryTags(entry);
+    const tagsHTML = tags.length === 0 ? '' : `
+            <div class="entry-tags">
+              ${tags.map(tag => `<button type="button" class="entry-tag" data-tag="${escapeHTML(tag)}">#${escapeHTML(tag)}</button>`).join('')}
+            </div>`;
+
     return `
       <div class="timeline-row timeline-row--entry" data-date="${item.date}">
         <div class="timeline-spine">
@@ -264,8 +321,9 @@ const DiaryUI = (function() {
             <div class="entry-meta">
               <span class="entry-time" style="opacity: ${timeOpacity}">${time}</span>
               ${weatherHTML}
+              ${moodHTML}
             </div>
-            <div class="entry-content">${content}</div>
+            <div class="entry-content${markdown ? ' markdown-content' : ''}">${content}</div>${DiaryAttachments.generateListHTML(entry)}${tagsHTML}
           </div>
         </div>
       </div>
@@ -369,6 +427,9 @@ const DiaryUI = (function() {
     bindContinueWritingClick();
     bindEntryCardClick();
 
+    // 🆕 加载附件缩略图
+    DiaryAttachments.hydrate(elements.timeline);
+
     console.log(`✅ 渲染完成：${items.length} 个时间线项目`);
   }
 
@@ -400,6 +461,53 @@ const DiaryUI = (function() {
     });
   }
 
+  /**
+   * 🆕 渲染标签筛选栏
+   * @param {Array} tags - [{ tag, count }]
+   * @param {string|null} activeTag - 当前筛选的标签
+   * @param {Function} onSelect - 选择标签后的回调，参数为标签（取消筛选时为 null）
+   */
+  function renderTagFilter(tags, activeTag, onSelect) {
+    const bar = document.getElementById('tagFilterBar');
+    if (!bar) return;
+
+    if (tags.length === 0) {
+      bar.hidden = true;
+      bar.innerHTML = '';
+      return;
+    }
+
+    const activeKey = activeTag ? activeTag.toLowerCase() : null;
+    const chipsHTML = tags.map(({ tag, count }) => {
+      const isActive = tag.toLowerCase() === activeKey;
+      return `
+        <button type="button" class="tag-filter-chip${isActive ? ' tag-filter-chip--active' : ''}"
+                data-tag="${escapeHTML(tag)}" aria-pressed="${isActive}">
+          #${escapeHTML(tag)}<span class="tag-filter-count">${count}</span>
+        </button>
+      `;
+    }).join('');
+
+    bar.hidden = false;
+    bar.innerHTML = `
+      <div class="tag-filter-chips">${chipsHTML}</div>
+      ${activeTag ? '<button type="button" class="tag-filter-clear" aria-label="取消筛选">×</button>' : ''}
+    `;
+
+    bar.onclick = (event) => {
+      if (event.target.closest('.tag-filter-clear')) {
+        onSelect(null);
+        return;
+      }
+
+      const chip = event.target.closest('.tag-filter-chip');
+      if (chip) {
+        // 再次点击当前标签即取消筛选
+        onSelect(chip.classList.contains('tag-filter-chip--active') ? null : chip.dataset.tag);
+      }
+    };
+  }
+
   /**
    * 插入 Ghost DayMarker（跳转到无记录日期时）
    * @param {string} dateKey - 日期键 (YYYY-MM-DD)
@@ -503,11 +611,60 @@ const DiaryUI = (function() {
 
   /**
    * HTML 转义（防止 XSS 攻击）
+   * 🆕 同时转义引号，结果也可以放在属性值中
    */
   function escapeHTML(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+    return String(str === null || str === undefined ? '' : str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * 触发浏览器下载
+   * @param {string} filename - 文件名
+   * @param {string|Blob} content - 文件内容
+   * @param {string} mimeType - MIME 类型（content 为字符串时使用）
+   */
+  function downloadFile(filename, content, mimeType = 'text/plain;charset=utf-8') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // 延迟释放，确保下载已开始
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * 弹出文件选择框
+   * @param {string} accept - 可选的文件类型，例如 '.json,application/json'
+   * @param {boolean} multiple - 是否允许多选
+   * @returns {Promise<File[]>} 选中的文件（取消时为空数组）
+   */
+  function pickFile(accept, multiple = false) {
+    return new Promise(resolve => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = accept;
+      input.multiple = multiple;
+      input.style.display = 'none';
+
+      input.addEventListener('change', () => {
+        resolve(Array.from(input.files || []));
+        input.remove();
+      });
+
+      document.body.appendChild(input);
+      input.click();
+    });
   }
 
   /**
@@ -533,36 +690,121 @@ const DiaryUI = (function() {
   function openEditor(entry = null) {
     const overlay = document.getElementById('editorOverlay');
     const textarea = document.getElementById('editorTextarea');
-    const timeDisplay = document.getElementById('editorTime');
     const deleteBtn = document.getElementById('btnDelete');
 
     if (!overlay) return;
 
     overlay.classList.add('active');
 
+    // 🆕 打开时还没有修改过记录时间
+    delete overlay.dataset.customTime;
+
     if (entry) {
       textarea.value = entry.content;
-      timeDisplay.textContent = DiaryModels.formatTime(entry.createdAt);
+      setEditorTime(entry.createdAt);
+      setEditorWeather(entry.weather || '');
+      DiaryAttachments.setEditorItems(entry.attachments || []);
       deleteBtn.style.display = 'block';
       overlay.dataset.editingId = entry.id;
     } else {
       textarea.value = '';
-      timeDisplay.textContent = DiaryModels.formatTime(Date.now());
+      setEditorTime(Date.now());
+      setEditorWeather('');
+      DiaryAttachments.setEditorItems([]);
       deleteBtn.style.display = 'none';
       delete overlay.dataset.editingId;
     }
 
+    updateHistoryButton(entry);
+
+    // 🆕 每次打开都显示原文；开启 Markdown 时才显示预览按钮
+    const previewBtn = document.getElementById('btnPreview');
+    if (previewBtn) {
+      previewBtn.style.display = DiaryStorage.getMarkdownEnabled() ? 'inline-block' : 'none';
+    }
+    setEditorPreview(false);
+
     setTimeout(() => {
       initAutoResize(textarea);
       textarea.focus();
     }, 100);
   }
 
+  /**
+   * 🆕 更新编辑器顶部的日期和时间（不是今年时显示年份）
+   * @param {number} timestamp
+   */
+  function setEditorTime(timestamp) {
+    const dateBtn = document.getElementById('editorDate');
+    const timeBtn = document.getElementById('editorTime');
+    const date = new Date(timestamp);
+
+    if (dateBtn) {
+      const year = date.getFullYear() === new Date().getFullYear() ? '' : `${date.getFullYear()}年`;
+      dateBtn.textContent = year + DiaryModels.formatDate(timestamp);
+    }
+    if (timeBtn) {
+      timeBtn.textContent = DiaryModels.formatTime(timestamp);
+    }
+  }
+
+  /**
+   * 🆕 更新编辑器中选择的天气（保存时生效）
+   * @param {string} weather - 天气类型，空字符串表示无
+   */
+  function setEditorWeather(weather) {
+    const overlay = document.getElementById('editorOverlay');
+    const weatherBtn = document.getElementById('editorWeather');
+    if (!overlay || !weatherBtn) return;
+
+    const label = DiaryModels.getWeatherLabel(weather);
+    overlay.dataset.weather = label ? weather : '';
+    weatherBtn.textContent = label || '·';
+    weatherBtn.classList.toggle('editor-weather--empty', !label);
+  }
+
+  /**
+   * 🆕 更新编辑器中的历史版本按钮（没有历史版本时隐藏）
+   * @param {object|null} entry - 正在编辑的记录
+   */
+  function updateHistoryButton(entry) {
+    const historyBtn = document.getElementById('btnHistory');
+    if (!historyBtn) return;
+
+    const count = entry && Array.isArray(entry.revisions) ? entry.revisions.length : 0;
+    historyBtn.style.display = count > 0 ? 'inline-block' : 'none';
+    historyBtn.textContent = `历史 ${count}`;
+  }
+
+  /**
+   * 🆕 切换编辑器的原文 / Markdown 预览
+   * @param {boolean} preview - true 显示预览
+   */
+  function setEditorPreview(preview) {
+    const overlay = document.getElementById('editorOverlay');
+    const textarea = document.getElementById('editorTextarea');
+    const previewEl = document.getElementById('editorPreview');
+    const previewBtn = document.getElementById('btnPreview');
+    if (!overlay || !previewEl) return;
+
+    overlay.classList.toggle('editor-overlay--preview', preview);
+    previewEl.innerHTML = preview ? DiaryMarkdown.render(textarea.value) : '';
+
+    if (previewBtn) {
+      previewBtn.textContent = preview ? '原文' : '预览';
+      previewBtn.setAttribute('aria-pressed', String(preview));
+    }
+  }
+
   function closeEditor() {
     const overlay = document.getElementById('editorOverlay');
     if (overlay) {
       overlay.classList.remove('active');
     }
+    // 🆕 关闭可能打开的日期/时间选择器
+    WheelPicker.close();
+    // 🆕 放弃未保存的附件
+    DiaryAttachments.discardEditor();
   }
 
   function autoResizeTextarea(textarea) {
@@ -591,6 +833,28 @@ const DiaryUI = (function() {
   // 生命日历相关（保持不变）
   // ========================================
 
+  // 🆕 需要在生命日历上高亮的日期（标签筛选），null 表示不高亮
+  let calendarHighlight = null;
+
+  /**
+   * 🆕 设置生命日历上高亮的日期（下次渲染生命日历时生效）
+   * @param {Set|null} dateKeys - 日期键集合
+   */
+  function setCalendarHighlight(dateKeys) {
+    calendarHighlight = dateKeys;
+  }
+
+  // 🆕 符合筛选条件的日期（条件筛选），不在其中的日子淡化显示，null 表示不筛选
+  let calendarFilter = null;
+
+  /**
+   * 🆕 设置生命日历的筛选结果（下次渲染生命日历时生效）
+   * @param {Set|null} dateKeys - 符合条件的日期键集合
+   */
+  function setCalendarFilter(dateKeys) {
+    calendarFilter = dateKeys;
+  }
+
   function renderLifeCalendar() {
     const grid = document.getElementById('lifeCalendarGrid');
     if (!grid) return;
@@ -624,21 +888,59 @@ const DiaryUI = (function() {
         break;
     }
 
-    const entries = DiaryStorage.getAllEntries();
+    // 有记录的日期只需计算一次，供所有年龄段共用
+    const recordedDates = new Set(
+      DiaryStorage.getAllEntries().filter(e => !e.deleted).map(e => formatDateKey(new Date(e.createdAt)))
+    );
+    // 🆕 达成每日目标的日期（未设置目标时为 null）
+    const goalMetDates = DiaryGoals.getGoalMetDates();
+    // 🆕 按心情着色时每天的平均心情
+    const moodMode = DiaryStorage.getCalendarMode() === 'mood';
+    const dayMoods = moodMode ? getDayMoods() : null;
+    const calendar = document.getElementById('lifeCalendar');
+    if (calendar) {
+      calendar.classList.toggle('life-calendar--mood-mode', moodMode);
+    }
+    const modeBtn = document.getElementById('calendarModeBtn');
+    if (modeBtn) {
+      modeBtn.setAttribute('aria-pressed', String(moodMode));
+    }
     const htmlParts = [];
 
     for (let age = startAge; age <= endAge; age++) {
-      const ageSection = generateAgeSectionHTML(birthDate, age, entries);
+      const ageSection = generateAgeSectionHTML(birthDate, age, recordedDates, goalMetDates, dayMoods);
       htmlParts.push(ageSection);
     }
 
     grid.innerHTML = htmlParts.join('');
   }
 
-  function generateAgeSectionHTML(birthDate, age, entries) {
+  /**
+   * 🆕 每天的平均心情
+   * @returns {Map} 日期键 → 平均分值（只含有心情记录的日子）
+   */
+  function getDayMoods() {
+    const entriesByDate = new Map();
+    DiaryStorage.getAllEntries()
+      .filter(e => !e.deleted)
+      .forEach(e => {
+        const dateKey = formatDateKey(new Date(e.createdAt));
+        if (!entriesByDate.has(dateKey)) entriesByDate.set(dateKey, []);
+        entriesByDate.get(dateKey).push(e);
+      });
+
+    const moods = new Map();
+    entriesByDate.forEach((entries, dateKey) => {
+      const average = DiaryModels.getAverageMood(entries);
+      if (average !== null) moods.set(dateKey, average);
+    });
+    return moods;
+  }
+
+  function generateAgeSectionHTML(birthDate, age, recordedDates, goalMetDates, dayMoods) {
     const { ageLabel, yearLabel } = DiaryModels.getAgeYearLabel(birthDate, age);
     const weeks = generateAgeWeeksData(birthDate, age);
-    markRecordedDaysInWeeks(weeks, entries);
+    markRecordedDaysInWeeks(weeks, recordedDates, goalMetDates, dayMoods);
     const weeksHTML = weeks.map(week => generateWeekRowHTML(week)).join('');
     const currentAge = DiaryModels.getAge(birthDate);
     const isCurrentAge = age === currentAge;
@@ -705,11 +1007,7 @@ const DiaryUI = (function() {
     return weeks;
   }
 
-  function markRecordedDaysInWeeks(weeks, entries) {
-    const recordedDates = new Set(
-      entries.filter(e => !e.deleted).map(e => formatDateKey(new Date(e.createdAt)))
-    );
-
+  function markRecordedDaysInWeeks(weeks, recordedDates, goalMetDates, dayMoods) {
     const now = new Date();
     const currentYear = now.getFullYear();
     const currentMonth = now.getMonth();
@@ -718,6 +1016,10 @@ const DiaryUI = (function() {
       week.days.forEach(day => {
         if (!day.isEmpty) {
           day.hasEntry = recordedDates.has(day.dateKey);
+          day.goalMet = !!goalMetDates && goalMetDates.has(day.dateKey);
+          day.mood = dayMoods ? dayMoods.get(day.dateKey) || null : null;
+          day.isHighlighted = !!calendarHighlight && calendarHighlight.has(day.dateKey);
+          day.isFilteredOut = !!calendarFilter && !calendarFilter.has(day.dateKey);
           day.isCurrentMonth = (day.date.getFullYear() === currentYear && day.date.getMonth() === currentMonth);
           const milestone = DiaryStorage.getMilestone(day.dateKey);
           day.isMilestone = !!milestone;
@@ -747,6 +1049,10 @@ const DiaryUI = (function() {
 
       if (day.isBirthday) classes.push('calendar-day--birthday');
       if (day.hasEntry) classes.push('calendar-day--recorded');
+      if (day.goalMet) classes.push('calendar-day--goal-met');
+      if (day.mood) classes.push(`calendar-day--mood-${Math.round(day.mood)}`);
+      if (day.isHighlighted) classes.push('calendar-day--tag-match');
+      if (day.isFilteredOut) classes.push('calendar-day--dimmed');
       if (day.isToday) classes.push('calendar-day--today');
       if (day.isCurrentMonth) classes.push('calendar-day--current-month');
       if (day.date.getDate() === 1) classes.push('calendar-day--month-start');
@@ -766,6 +1072,12 @@ const DiaryUI = (function() {
       } else if (day.milestoneLabel) {
         tooltipText = `${dateStr}\n${day.milestoneLabel}`;
       }
+      if (day.goalMet) {
+        tooltipText += '\n✓ 达成每日目标';
+      }
+      if (day.mood) {
+        tooltipText += `\n心情：${DiaryModels.getMoodLabel(day.mood)}`;
+      }
 
       return `<div class="${classes.join(' ')}" data-date="${day.dateKey}" title="${tooltipText}"></div>`;
     }).join('');
@@ -791,7 +1103,11 @@ const DiaryUI = (function() {
       'sunny': `<svg viewBox="0 0 24 24" class="weather-icon"><circle cx="12" cy="12" r="4" fill="none" stroke="currentColor" stroke-width="1.5"/><line x1="12" y1="2" x2="12" y2="5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><line x1="12" y1="19" x2="12" y2="22" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><line x1="2" y1="12" x2="5" y2="12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><line x1="19" y1="12" x2="22" y2="12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>`,
       'cloudy': `<svg viewBox="0 0 24 24" class="weather-icon"><path d="M18 10h-1.26A8 8 0 1 0 9 20h9a5 5 0 0 0 0-10z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/></svg>`,
       'rainy': `<svg viewBox="0 0 24 24" class="weather-icon"><path d="M18 10h-1.26A8 8 0 1 0 9 20h9a5 5 0 0 0 0-10z" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/><line x1="9" y1="19" x2="7" y2="22" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><line x1="13" y1="19" x2="11" y2="22" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>`,
-      'snowy': `<svg viewBox="0 0 24 24" class="weather-icon"><line x1="12" y1="5" x2="12" y2="19" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><line x1="5" y1="12" x2="19" y2="12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><circle cx="12" cy="12" r="2" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>`
+      'snowy': `<svg viewBox="0 0 24 24" class="weather-icon"><line x1="12" y1="5" x2="12" y2="19" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><line x1="5" y1="12" x2="19" y2="12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><circle cx="12" cy="12" r="2" fill="none" stroke="currentColor" stroke-width="1.5"/></svg>`,
+      // 🆕 雾 / 风 / 雷
+      'foggy': `<svg viewBox="0 0 24 24" class="weather-icon"><line x1="4" y1="8" x2="20" y2="8" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><line x1="6" y1="12" x2="18" y2="12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/><line x1="4" y1="16" x2="20" y2="16" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>`,
+      'windy': `<svg viewBox="0 0 24 24" class="weather-icon"><path d="M3 9h11a3 3 0 1 0-3-3" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/><path d="M3 15h15a3 3 0 1 1-3 3" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>`,
+      'stormy': `<svg viewBox="0 0 24 24" class="weather-icon"><path d="M17 16h1a4 4 0 0 0 0-8h-1.26A7 7 0 1 0 6 15.2" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/><polyline points="13 11 10 16 14 16 11 21" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>`
     };
     return WEATHER_ICONS[weather] || '';
   }
@@ -820,10 +1136,21 @@ const DiaryUI = (function() {
     hideEmptyState,
     openEditor,
     closeEditor,
+    setEditorTime,
+    setEditorWeather,       // 🆕 天气
+    setEditorPreview,       // 🆕 Markdown 预览
+    updateHistoryButton,
     generateEntryHTML,
     generateDateGroupHTML,
     renderLifeCalendar,
+    renderTagFilter,        // 🆕 标签筛选
+    setCalendarHighlight,
+    setCalendarFilter,      // 🆕 条件筛选
     getWeatherIcon,
+    updateWeatherSelector,
+    escapeHTML,
+    downloadFile,
+    pickFile,
     // 新增接口
     scrollToDate,
     insertGhostDayMarker,
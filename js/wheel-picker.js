@@ -41,19 +41,20 @@ const WheelPicker = (function() {
 
   /**
    * 获取年份范围（从用户生日到当前岁数结束）
+   * @param {number} [includeYear] - 🆕 必须包含的年份（如早于生日的旧记录）
    */
-  function getYearRange() {
-    // 尝试从 storage 获取生日
+  function getYearRange(includeYear) {
+    // 🆕 从 DiaryStorage 获取生日（未设置时从 2000 年开始）
     let birthYear = 2000;
-    try {
-      const settings = JSON.parse(localStorage.getItem('diary_settings') || '{}');
-      if (settings.birthday) {
-        birthYear = new Date(settings.birthday).getFullYear();
-      }
-    } catch (e) {}
+    const birthDate = DiaryStorage.getBirthDate();
+    if (birthDate) {
+      birthYear = parseInt(birthDate.slice(0, 4));
+    }
 
     const currentYear = new Date().getFullYear();
-    return range(birthYear, currentYear + 1);
+    const startYear = includeYear ? Math.min(birthYear, includeYear) : birthYear;
+    const endYear = includeYear ? Math.max(currentYear + 1, includeYear) : currentYear + 1;
+    return range(startYear, endYear);
   }
 
   // ========================================
@@ -326,6 +327,9 @@ const WheelPicker = (function() {
       ? (value instanceof Date ? value : new Date())
       : (value || { hour: new Date().getHours(), minute: new Date().getMinutes() });
 
+    // 🆕 年份列按初始值生成，"今天"按钮需要用同一份列表定位
+    const initialYear = mode === 'date' ? currentValue.getFullYear() : null;
+
     // ========== 头部 ==========
     const header = document.createElement('div');
     header.className = 'picker-header';
@@ -352,7 +356,7 @@ const WheelPicker = (function() {
 
     if (mode === 'date') {
       // 年/月/日 三列
-      const years = getYearRange();
+      const years = getYearRange(currentValue.getFullYear());
       const yearIndex = years.indexOf(String(currentValue.getFullYear()));
 
       const yearCol = createWheelColumn({
@@ -459,7 +463,7 @@ const WheelPicker = (function() {
       const now = new Date();
       if (mode === 'date') {
         currentValue = now;
-        const years = getYearRange();
+        const years = getYearRange(initialYear);
         const yearIndex = years.indexOf(String(now.getFullYear()));
         columns[0]._api.setIndex(yearIndex >= 0 ? yearIndex : years.length - 1);
         columns[1]._api.setIndex(now.getMonth());
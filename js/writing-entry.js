@@ -1,6 +1,6 @@
 /**
  * writing-entry.js - 写作入口管理器
- * 职责：简洁的书写空间，自动高度调整，提交逻辑，时间显示，天气选择
+ * 职责：简洁的书写空间，自动高度调整，提交逻辑，时间显示，天气与心情选择，附件
  */
 
 const WritingEntry = (function() {
@@ -13,23 +13,22 @@ const WritingEntry = (function() {
   let timeBtn = null;
   let weatherBtn = null;
   let weatherIcon = null;
+  let moodBtn = null;          // 🆕 心情
+  let moodIcon = null;
+  let attachmentTray = null;   // 🆕 附件
   let timeUpdateInterval = null;
 
   // 状态
   let customTime = null;       // 自定义时间 (HH:mm)，null 表示使用当前时间
   let selectedWeather = '';    // 选中的天气类型
   let weatherPopover = null;
+  let selectedMood = null;     // 🆕 选中的心情 { value, label }，null 表示未选择
+  let moodPopover = null;
 
-  // 天气配置（文字极简风格）
+  // 天气配置（文字极简风格，🆕 选项来自 DiaryModels.WEATHER_OPTIONS）
   const WEATHER_OPTIONS = [
     { id: '', icon: '·', label: '无' },
-    { id: 'sunny', icon: '晴', label: '晴' },
-    { id: 'cloudy', icon: '阴', label: '阴' },
-    { id: 'rainy', icon: '雨', label: '雨' },
-    { id: 'snowy', icon: '雪', label: '雪' },
-    { id: 'foggy', icon: '雾', label: '雾' },
-    { id: 'windy', icon: '风', label: '风' },
-    { id: 'stormy', icon: '雷', label: '雷' }
+    ...DiaryModels.WEATHER_OPTIONS.map(option => ({ id: option.id, icon: option.label, label: option.label }))
   ];
 
   /**
@@ -43,17 +42,31 @@ const WritingEntry = (function() {
     timeBtn = document.getElementById('writingEntryTimeBtn');
     weatherBtn = document.getElementById('writingEntryWeatherBtn');
     weatherIcon = document.getElementById('writingEntryWeatherIcon');
+    moodBtn = document.getElementById('writingEntryMoodBtn');
+    moodIcon = document.getElementById('writingEntryMoodIcon');
 
     if (!input || !submit || !container) {
       console.error('❌ 写作入口元素未找到');
       return;
     }
 
+    // 🆕 粘贴、拖入或选择的附件显示在输入框上方
+    const attachmentContainer = document.getElementById('writingEntryAttachments');
+    if (attachmentContainer) {
+      attachmentTray = DiaryAttachments.createTray({
+        container: attachmentContainer,
+        pasteTarget: input,
+        dropTarget: container,
+        pickButton: document.getElementById('writingEntryAttachBtn')
+      });
+    }
+
     bindEvents();
     updateTime();  // 初始化时间显示
     startTimeUpdate();  // 启动时间自动更新
     initHeight();  // 初始化高度
     updateWeatherIcon();  // 初始化天气图标
+    updateMoodIcon();  // 🆕 初始化心情
 
     console.log('✅ 写作入口初始化完成');
   }
@@ -101,6 +114,15 @@ const WritingEntry = (function() {
       });
     }
 
+    // 🆕 心情按钮点击
+    if (moodBtn) {
+      moodBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        toggleMoodPopover();
+      });
+    }
+
     // 7. 点击外部关闭 popover
     document.addEventListener('click', closeAllPopovers);
   }
@@ -153,6 +175,7 @@ const WritingEntry = (function() {
 
   function showTimePicker() {
     closeWeatherPopover();
+    closeMoodPopover();
 
     // 解析当前时间
     let hour = new Date().getHours();
@@ -190,6 +213,7 @@ const WritingEntry = (function() {
 
   function showWeatherPopover() {
     WheelPicker.close();  // 关闭可能打开的时间选择器
+    closeMoodPopover();
 
     const popover = document.createElement('div');
     popover.className = 'weather-select-popover';
@@ -260,6 +284,126 @@ const WritingEntry = (function() {
     }
   }
 
+  /**
+   * ========================================
+   * 🆕 心情选择 Popover
+   * ========================================
+   */
+
+  function toggleMoodPopover() {
+    if (moodPopover) {
+      closeMoodPopover();
+      return;
+    }
+    showMoodPopover();
+  }
+
+  function showMoodPopover() {
+    WheelPicker.close();
+    closeWeatherPopover();
+
+    const popover = document.createElement('div');
+    popover.className = 'weather-select-popover mood-select-popover';
+    popover.id = 'moodSelectPopover';
+
+    const levelsHTML = DiaryModels.MOOD_LEVELS.map(level => `
+      <button type="button" class="mood-option ${selectedMood && selectedMood.value === level.value ? 'mood-option--active' : ''}"
+              data-mood="${level.value}"
+              title="${level.label}">
+        <span class="mood-dot mood-dot--${level.value}"></span>
+        <span class="mood-option-label">${level.label}</span>
+      </button>
+    `).join('');
+
+    popover.innerHTML = `
+      <div class="mood-options">
+        ${levelsHTML}
+        <button type="button" class="mood-option mood-option--clear" data-mood="" title="不记录心情">
+          <span class="mood-option-label">无</span>
+        </button>
+      </div>
+      <input type="text" class="mood-label-input" maxlength="${DiaryModels.MOOD_LABEL_MAX_LENGTH}"
+             placeholder="描述一下（可选）" aria-label="心情描述"
+             ${selectedMood ? '' : 'disabled'}>
+    `;
+
+    // 定位（与天气 popover 相同，在按钮上方）
+    const rect = moodBtn.getBoundingClientRect();
+    popover.style.position = 'fixed';
+    popover.style.bottom = (window.innerHeight - rect.top + 8) + 'px';
+    popover.style.left = Math.max(8, rect.left - 60) + 'px';
+
+    document.body.appendChild(popover);
+    moodPopover = popover;
+
+    // 描述通过 DOM 赋值，不拼进 HTML 属性
+    const labelInput = popover.querySelector('.mood-label-input');
+    labelInput.value = selectedMood ? selectedMood.label : '';
+
+    // 选择分值后可继续填写描述，选"无"直接关闭
+    popover.addEventListener('click', (e) => {
+      const option = e.target.closest('.mood-option');
+      if (!option) return;
+
+      if (!option.dataset.mood) {
+        selectedMood = null;
+        updateMoodIcon();
+        closeMoodPopover();
+        return;
+      }
+
+      selectedMood = { value: Number(option.dataset.mood), label: labelInput.value.trim() };
+      popover.querySelectorAll('.mood-option').forEach(btn => {
+        btn.classList.toggle('mood-option--active', btn === option);
+      });
+      labelInput.disabled = false;
+      labelInput.focus();
+      updateMoodIcon();
+    });
+
+    labelInput.addEventListener('input', () => {
+      if (!selectedMood) return;
+      selectedMood.label = labelInput.value.trim();
+      updateMoodIcon();
+    });
+
+    labelInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === 'Escape') {
+        e.preventDefault();
+        closeMoodPopover();
+        input.focus();
+      }
+    });
+
+    setTimeout(() => popover.classList.add('active'), 10);
+  }
+
+  function closeMoodPopover() {
+    if (moodPopover) {
+      const popover = moodPopover;
+      moodPopover = null;
+      popover.classList.remove('active');
+      setTimeout(() => popover.remove(), 150);
+    }
+  }
+
+  /**
+   * 🆕 更新心情按钮显示（有描述时显示描述，否则显示分值对应的文字）
+   */
+  function updateMoodIcon() {
+    if (!moodIcon) return;
+
+    if (selectedMood) {
+      moodIcon.textContent = selectedMood.label || DiaryModels.getMoodLabel(selectedMood.value);
+      moodIcon.dataset.mood = selectedMood.value;
+      moodIcon.classList.add('has-mood');
+    } else {
+      moodIcon.textContent = '';
+      delete moodIcon.dataset.mood;
+      moodIcon.classList.remove('has-mood');
+    }
+  }
+
   /**
    * 关闭所有 popover
    */
@@ -268,6 +412,11 @@ const WritingEntry = (function() {
     if (weatherPopover && !weatherPopover.contains(e.target) && !weatherBtn.contains(e.target)) {
       closeWeatherPopover();
     }
+
+    // 🆕 心情 popover
+    if (moodPopover && !moodPopover.contains(e.target) && !moodBtn.contains(e.target)) {
+      closeMoodPopover();
+    }
   }
 
   /**
@@ -343,17 +492,23 @@ const WritingEntry = (function() {
    * 处理提交
    */
   async function handleSubmit() {
-    const content = input.value.trim();
-
-    // 空内容不提交
-    if (!content) {
-      return;
-    }
+    if (container.classList.contains('submitting')) return;
 
     // 添加提交状态
     container.classList.add('submitting');
 
     try {
+      // 🆕 等待正在处理的附件
+      if (attachmentTray) await attachmentTray.whenIdle();
+
+      const content = input.value.trim();
+      const attachments = attachmentTray ? attachmentTray.getItems() : [];
+
+      // 空内容不提交（🆕 只有附件时可以提交）
+      if (!content && attachments.length === 0) {
+        return;
+      }
+
       // 1. 创建新记录
       const newEntry = DiaryModels.createEntry(content);
 
@@ -393,8 +548,25 @@ const WritingEntry = (function() {
         newEntry.weather = selectedWeather;
       }
 
-      // 5. 保存到 localStorage
-      DiaryStorage.addEntry(newEntry);
+      // 🆕 心情（保存在 metadata 中，描述可选）
+      if (selectedMood) {
+        newEntry.metadata.mood = { value: selectedMood.value };
+        if (selectedMood.label) {
+          newEntry.metadata.mood.label = selectedMood.label;
+        }
+      }
+
+      // 🆕 附件
+      if (attachments.length > 0) {
+        newEntry.attachments = attachments;
+      }
+
+      // 5. 保存（未能写入时保留输入框中的内容）
+      if (!DiaryStorage.addEntry(newEntry)) {
+        alert('保存失败，内容仍保留在输入框中，请稍后重试');
+        return;
+      }
+      if (attachmentTray) attachmentTray.commit();
 
       // 6. 插入到时间轴（带动画）
       await insertToTimeline(newEntry);
@@ -422,9 +594,11 @@ const WritingEntry = (function() {
    * 插入到时间轴（带动画）
    */
   async function insertToTimeline(entry) {
-    // 重新加载并渲染整个时间轴（使用现有的分组逻辑）
-    const entries = DiaryStorage.getAllEntries();
-    const timelineData = DiaryModels.groupEntriesByDate(entries);
+    // 🆕 新记录不含当前筛选的标签时取消筛选，确保能看到刚写下的内容
+    DiaryApp.revealEntry(entry);
+
+    // 重新加载并渲染整个时间轴（使用现有的分组逻辑，按标签筛选）
+    const timelineData = DiaryApp.getTimelineData();
 
     // 获取时间轴容器
     const timeline = document.getElementById('timeline');
@@ -460,12 +634,16 @@ const WritingEntry = (function() {
   function reset() {
     input.value = '';
     resetHeight();
+    if (attachmentTray) attachmentTray.clear();
 
     // 重置状态
     customTime = null;
     selectedWeather = '';
+    selectedMood = null;
     updateTime();
     updateWeatherIcon();
+    updateMoodIcon();
+    closeMoodPopover();
 
     // 延迟失焦，让用户看到提交成功的反馈
     setTimeout(() => {
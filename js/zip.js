@@ -0,0 +1,129 @@
+/**
+ * zip.js - 在浏览器中生成 ZIP 文件
+ * 职责：将若干文本/二进制文件打包为 ZIP（仅存储，不压缩），供导出下载
+ *
+ * 只实现导出所需的最小子集：无压缩（method 0）、UTF-8 文件名、无 ZIP64（单个包小于 4GB）。
+ */
+
+const DiaryZip = (function() {
+  'use strict';
+
+  // CRC-32 查表（多项式 0xEDB88320）
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * 计算 CRC-32
+   * @param {Uint8Array} bytes
+   * @returns {number}
+   */
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * 将日期转换为 DOS 格式的时间与日期
+   * @param {Date} date
+   * @returns {object} { time, date }
+   */
+  function toDosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * 生成 ZIP 文件
+   * @param {Array} files - [{ name: 'a/b.md', content: string | Uint8Array }]
+   * @param {Date} modifiedAt - 文件修改时间（默认当前时间）
+   * @returns {Blob} application/zip
+   */
+  function createZip(files, modifiedAt = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(modifiedAt);
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const nameBytes = encoder.encode(file.name);
+      const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+      const crc = crc32(data);
+
+      // 本地文件头（30 字节 + 文件名）
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);   // 签名
+      local.setUint16(4, 20, true);           // 解压所需版本
+      local.setUint16(6, 0x0800, true);       // 标志：文件名为 UTF-8
+      local.setUint16(8, 0, true);            // 压缩方式：存储
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true); // 压缩后大小
+      local.setUint32(22, data.length, true); // 原始大小
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);           // 扩展字段长度
+
+      // 中央目录项（46 字节 + 文件名）
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014B50, true);
+      central.setUint16(4, 20, true);         // 创建版本
+      central.setUint16(6, 20, true);         // 解压所需版本
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, nameBytes.length, true);
+      central.setUint16(30, 0, true);         // 扩展字段长度
+      central.setUint16(32, 0, true);         // 注释长度
+      central.setUint16(34, 0, true);         // 磁盘号
+      central.setUint16(36, 0, true);         // 内部属性
+      central.setUint32(38, 0, true);         // 外部属性
+      central.setUint32(42, offset, true);    // 本地文件头偏移
+
+      localParts.push(local, nameBytes, data);
+      centralParts.push(central, nameBytes);
+
+      offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+
+    // 中央目录结束记录（22 字节）
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(4, 0, true);
+    end.setUint16(6, 0, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    end.setUint16(20, 0, true);
+
+    return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+  }
+
+  // 公开接口
+  return {
+    crc32,
+    createZip
+  };
+})();
@@ -0,0 +1,133 @@
+/**
+ * sw.js - Service Worker
+ * 职责：预缓存应用文件，离线时从缓存打开；发布新版本后等待页面确认再切换；
+ *       点击写作提醒通知后回到已打开的日记页面，没有打开的页面时新开一个
+ *
+ * 所有路径都相对于 sw.js 所在目录（即作用域），部署在子目录下同样可用。
+ * 修改任何应用文件后都要同步修改 CACHE_VERSION，浏览器才会安装新版本。
+ */
+
+'use strict';
+
+const CACHE_PREFIX = 'timeline-journal-';
+const CACHE_VERSION = 'v6';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// 预缓存的文件（新增文件时记得加在这里）
+const PRECACHE_FILES = [
+  './',
+  'index.html',
+  'site.webmanifest',
+  'favicon.ico',
+  'favicon-16x16.png',
+  'favicon-32x32.png',
+  'apple-touch-icon.png',
+  'android-chrome-192x192.png',
+  'android-chrome-512x512.png',
+  'css/reset.css',
+  'css/variables.css',
+  'css/layout.css',
+  'css/components.css',
+  'js/theme.js',
+  'js/storage-idb.js',
+  'js/migrations.js',
+  'js/crypto.js',
+  'js/storage.js',
+  'js/models.js',
+  'js/ui.js',
+  'js/recovery.js',
+  'js/encryption.js',
+  'js/app-lock.js',
+  'js/trash.js',
+  'js/history.js',
+  'js/backup.js',
+  'js/zip.js',
+  'js/markdown-export.js',
+  'js/importers.js',
+  'js/search.js',
+  'js/filters.js',
+  'js/stats.js',
+  'js/goals.js',
+  'js/reminders.js',
+  'js/on-this-day.js',
+  'js/mood-trend.js',
+  'js/attachments.js',
+  'js/markdown.js',
+  'js/wheel-picker.js',
+  'js/writing-entry.js',
+  'js/offline.js',
+  'js/app.js',
+  'assets/icons/icon.svg'
+];
+
+// 应用入口：离线打开未缓存的页面地址时返回它
+const APP_SHELL = 'index.html';
+
+self.addEventListener('install', (event) => {
+  // 不调用 skipWaiting：新版本等页面上的用户确认后再接管，避免新旧文件混用
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_FILES))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(
+      names
+        .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map(name => caches.delete(name))
+    );
+    await self.clients.claim();
+  })());
+});
+
+// 页面确认更新后切换到新版本
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || !url.href.startsWith(self.registration.scope)) return;
+
+  event.respondWith(respond(request));
+});
+
+/**
+ * 缓存优先，未缓存的从网络获取；离线打开未缓存的页面地址时返回应用入口
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function respond(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const shell = request.mode === 'navigate' ? await cache.match(APP_SHELL) : null;
+    if (shell) return shell;
+    throw error;
+  }
+}
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(w => w.url.startsWith(self.registration.scope));
+
+    if (client) {
+      return client.focus();
+    }
+    return self.clients.openWindow(self.registration.scope);
+  })());
+});